@@ -0,0 +1,128 @@
+// =============================================
+// FINDMYBANDWIDTH - WRITE-BACK WEB APP
+// Paste into Extensions → Apps Script of the tracker's Google Sheet,
+// then Deploy → New deployment → Web app (Execute as: Me, Access: Anyone).
+// Put the /exec URL in the tracker's Data Settings → Write-back URL.
+//
+// Optional: Project Settings → Script properties → WRITE_KEY. When set,
+// requests must send the same key (Data Settings → Write-back key).
+// =============================================
+
+/**
+ * Health check - open the /exec URL in a browser to see that it's deployed
+ */
+function doGet() {
+    return jsonResponse({ ok: true, service: 'findmybandwidth-write-back' });
+}
+
+/**
+ * Apply one change from the tracker
+ * Body (sent as text/plain JSON):
+ *   { action: 'updateTask', key, sheet: 'TASKS', tab: gid or tab name,
+ *     idColumn: 'id', id: 'task-1', values: { status: 'done', ... }, optional: ['completed'] }
+ * Answers { ok: true, row } or { ok: false, error }
+ */
+function doPost(e) {
+    var body;
+    try {
+        body = JSON.parse(e.postData.contents);
+    } catch (err) {
+        return jsonResponse({ ok: false, error: 'Request body is not JSON' });
+    }
+
+    var writeKey = PropertiesService.getScriptProperties().getProperty('WRITE_KEY');
+    if (writeKey && body.key !== writeKey) {
+        return jsonResponse({ ok: false, error: 'Wrong write-back key' });
+    }
+    if (body.action !== 'updateTask') {
+        return jsonResponse({ ok: false, error: 'Unknown action "' + body.action + '"' });
+    }
+
+    // One write at a time, so two edits can't interleave on the same row
+    var lock = LockService.getDocumentLock();
+    if (!lock.tryLock(10000)) {
+        return jsonResponse({ ok: false, error: 'The sheet is busy - try again' });
+    }
+    try {
+        return jsonResponse(updateRow(body));
+    } catch (err) {
+        return jsonResponse({ ok: false, error: String(err.message || err) });
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Write values into the row whose id column matches body.id
+ */
+function updateRow(body) {
+    var sheet = findTab(body.tab, body.sheet || 'TASKS');
+    if (!sheet) return { ok: false, error: 'Tab "' + (body.tab || body.sheet) + '" not found' };
+
+    var data = sheet.getDataRange().getValues();
+    var headers = data[0].map(normalizeHeader);
+    var idIndex = headers.indexOf(normalizeHeader(body.idColumn || 'id'));
+    if (idIndex === -1) return { ok: false, error: 'No "' + (body.idColumn || 'id') + '" column in ' + sheet.getName() };
+
+    var id = normalizeId(body.id);
+    var rowIndex = -1;
+    for (var r = 1; r < data.length; r++) {
+        if (normalizeId(data[r][idIndex]) === id) {
+            rowIndex = r;
+            break;
+        }
+    }
+    if (rowIndex === -1) return { ok: false, error: 'Task "' + body.id + '" not found in ' + sheet.getName() };
+
+    var values = body.values || {};
+    var optional = (body.optional || []).map(normalizeHeader);
+    var updates = [];
+    var missing = [];
+    Object.keys(values).forEach(function (column) {
+        var colIndex = headers.indexOf(normalizeHeader(column));
+        if (colIndex === -1) {
+            if (optional.indexOf(normalizeHeader(column)) === -1) missing.push(column);
+            return;
+        }
+        updates.push({ col: colIndex + 1, value: values[column] });
+    });
+    // Check every column before writing, so a bad request changes nothing
+    if (missing.length > 0) return { ok: false, error: 'No column for ' + missing.join(', ') + ' in ' + sheet.getName() };
+
+    updates.forEach(function (update) {
+        sheet.getRange(rowIndex + 1, update.col).setValue(update.value);
+    });
+    return { ok: true, row: rowIndex + 1, updated: updates.length };
+}
+
+/**
+ * Tab by gid (as in #gid=...), else by name
+ */
+function findTab(tab, fallbackName) {
+    var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    var sheets = spreadsheet.getSheets();
+    if (tab !== undefined && tab !== null && tab !== '') {
+        for (var i = 0; i < sheets.length; i++) {
+            if (String(sheets[i].getSheetId()) === String(tab)) return sheets[i];
+        }
+        var named = spreadsheet.getSheetByName(String(tab));
+        if (named) return named;
+    }
+    return spreadsheet.getSheetByName(fallbackName);
+}
+
+// Same idea as the tracker: "Start Date", "start_date" and "start date" are one column
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Matches sanitizeId() in dataLoader.js
+function normalizeId(id) {
+    return String(id).toLowerCase().trim().replace(/[^a-z0-9_-]/g, '').substring(0, 50);
+}
+
+function jsonResponse(result) {
+    return ContentService
+        .createTextOutput(JSON.stringify(result))
+        .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,73 @@
+// =============================================
+// FINDMYBANDWIDTH - LOCAL WRITE-BACK MOCK
+// Stands in for the Apps Script web app (Code.gs) while developing:
+//
+//   node apps-script/mock-endpoint.js [port]
+//
+// then set Data Settings → Write-back URL to http://localhost:8787
+// Nothing is written anywhere - each change is logged and kept in memory
+// (GET / lists them).
+//
+// Environment:
+//   PORT       - Port to listen on (default 8787, or the first argument)
+//   WRITE_KEY  - Require this key, like the script property in Code.gs
+//   MOCK_FAIL  - "1" rejects every change, a number between 0 and 1 rejects that share of them
+//   MOCK_DELAY - Milliseconds to wait before answering (default 300)
+// =============================================
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WRITE_KEY = process.env.WRITE_KEY || '';
+const FAIL_RATE = Math.min(Math.max(Number(process.env.MOCK_FAIL) || 0, 0), 1);
+const DELAY_MS = Number(process.env.MOCK_DELAY || 300);
+
+const updates = [];
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Same checks and answers as updateRow() in Code.gs, minus the sheet
+ */
+function handleChange(body) {
+    if (WRITE_KEY && body.key !== WRITE_KEY) return { ok: false, error: 'Wrong write-back key' };
+    if (body.action !== 'updateTask') return { ok: false, error: `Unknown action "${body.action}"` };
+    if (!body.id) return { ok: false, error: 'No task id' };
+    if (!body.values || Object.keys(body.values).length === 0) return { ok: false, error: 'Nothing to update' };
+    if (Math.random() < FAIL_RATE) return { ok: false, error: 'Mock failure (MOCK_FAIL)' };
+
+    updates.push({ at: new Date().toISOString(), sheet: body.sheet, tab: body.tab, id: body.id, values: body.values });
+    return { ok: true, row: updates.length + 1, updated: Object.keys(body.values).length };
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (req.method === 'GET') return send(res, 200, { ok: true, service: 'findmybandwidth-write-back (mock)', updates });
+    if (req.method !== 'POST') return send(res, 405, { ok: false, error: 'Method not allowed' });
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let result;
+        try {
+            result = handleChange(JSON.parse(raw));
+        } catch (e) {
+            result = { ok: false, error: 'Request body is not JSON' };
+        }
+        console.log(`${result.ok ? '✅' : '❌'} ${raw}${result.ok ? '' : ` → ${result.error}`}`);
+        // Apps Script answers errors with HTTP 200 too
+        setTimeout(() => send(res, 200, result), DELAY_MS);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`✏️ Write-back mock on http://localhost:${PORT}${WRITE_KEY ? ' (key required)' : ''}${FAIL_RATE ? `, failing ${Math.round(FAIL_RATE * 100)}% of changes` : ''}`);
+});
@@ -6,12 +6,13 @@
 /**
  * DATA CONTRACT - Canonical Schema
  * These are the ONLY fields the UI should reference.
- * Any field not in this contract should be rejected at normalization.
+ * Other TASKS columns are kept as custom fields (see getCustomFieldDefinitions);
+ * any other field not in this contract is rejected at normalization.
  */
 const DATA_CONTRACT = {
     MEMBERS: {
         required: ['id', 'name'],
-        optional: ['role', 'color_class', 'capacity', 'focus', 'bandwidth_hours'],
+        optional: ['role', 'color_class', 'capacity', 'focus', 'bandwidth_hours', 'leaves', 'half_days', 'work_days'],
         defaults: {
             role: 'Team Member',
             color_class: 'primary',
@@ -21,8 +22,9 @@ const DATA_CONTRACT = {
         }
     },
     TASKS: {
+        // owner may list several ids with shares, e.g. "avi:60,neha:40"
         required: ['id', 'name', 'owner', 'start_date', 'end_date'],
-        optional: ['jira_id', 'jira_url', 'bu', 'status', 'priority', 'type', 'blockers', 'notes', 'completed', 'estimated_hours'],
+        optional: ['jira_id', 'jira_url', 'bu', 'status', 'priority', 'type', 'blockers', 'notes', 'completed', 'estimated_hours', 'depends_on', 'sprint_id', 'baseline_start', 'baseline_end'],
         defaults: {
             status: 'todo',
             priority: 'normal',
@@ -32,21 +34,86 @@ const DATA_CONTRACT = {
     },
     MILESTONES: {
         required: ['id', 'date', 'title'],
-        optional: ['assignee', 'status', 'description', 'progress'],
+        optional: ['assignee', 'status', 'description', 'progress', 'sprint_id'],
         defaults: {
             status: 'pending',
             progress: 0
         }
     },
+    HOLIDAYS: {
+        required: ['date'],
+        optional: ['name', 'region'],
+        defaults: {
+            name: 'Holiday'
+        }
+    },
+    SPRINTS: {
+        required: ['id', 'start_date', 'end_date'],
+        optional: ['name', 'goal'],
+        defaults: {}
+    },
+    STATUSES: {
+        // counts_as: done|active|blocked|review|pending|todo
+        required: ['status'],
+        optional: ['label', 'color', 'icon', 'order', 'counts_as'],
+        defaults: {}
+    },
+    PRIORITIES: {
+        // counts_as: urgent|normal|low
+        required: ['priority'],
+        optional: ['label', 'color', 'icon', 'order', 'counts_as'],
+        defaults: {}
+    },
     SPRINT_CONFIG: {
         required: ['name', 'start_date', 'end_date'],
-        optional: ['prepared_by'],
+        optional: ['prepared_by', 'work_days', 'sprint_goal'],
         defaults: {
-            prepared_by: 'Unknown'
+            prepared_by: 'Unknown',
+            work_days: 'Mon,Tue,Wed,Thu,Fri'
         }
     }
 };
 
+/**
+ * Column Aliases - Other header names for DATA_CONTRACT fields
+ * Used to suggest a column mapping for sheets with their own headers
+ * (matched fuzzily, so small spelling differences still count)
+ */
+const COLUMN_ALIASES = Object.freeze({
+    id: ['key', 'ref', 'task id', 'member id'],
+    name: ['title', 'task', 'summary', 'full name', 'member', 'person'],
+    owner: ['assignee', 'assigned to', 'responsible', 'developer'],
+    start_date: ['start', 'begin', 'begins', 'from', 'kickoff'],
+    end_date: ['due', 'due date', 'deadline', 'finish', 'end', 'target date'],
+    estimated_hours: ['story points', 'points', 'estimate', 'effort', 'hours'],
+    status: ['state', 'stage'],
+    priority: ['prio', 'severity', 'importance'],
+    notes: ['comments', 'remarks'],
+    description: ['details', 'notes'],
+    depends_on: ['dependencies', 'blocked by', 'predecessors'],
+    jira_id: ['jira', 'jira key', 'ticket', 'ticket id', 'issue'],
+    jira_url: ['link', 'url', 'jira link', 'ticket url'],
+    blockers: ['blocker', 'impediments', 'risks'],
+    bu: ['business unit', 'department'],
+    type: ['kind', 'category', 'issue type'],
+    completed: ['done', 'finished'],
+    sprint_id: ['sprint', 'iteration'],
+    baseline_start: ['planned start', 'original start', 'baseline start date'],
+    baseline_end: ['planned end', 'original end', 'original due', 'baseline end date'],
+    date: ['due', 'due date', 'target date', 'when', 'day'],
+    title: ['milestone', 'name', 'goal'],
+    assignee: ['owner', 'responsible'],
+    progress: ['percent complete', 'completion', 'percent'],
+    role: ['position', 'job title'],
+    bandwidth_hours: ['hours per week', 'weekly hours', 'availability'],
+    leaves: ['leave', 'pto', 'vacation', 'time off', 'ooo'],
+    half_days: ['half day', 'half day leave'],
+    work_days: ['working days', 'schedule'],
+    color_class: ['color', 'colour'],
+    region: ['location', 'office', 'country'],
+    goal: ['sprint goal', 'objective']
+});
+
 /**
  * Valid Status Values - Whitelist for XSS prevention
  */
@@ -156,6 +223,7 @@ const PRIORITY_CONFIG = Object.freeze({
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         DATA_CONTRACT,
+        COLUMN_ALIASES,
         TASK_STATUSES,
         MILESTONE_STATUSES,
         PRIORITY_LEVELS,
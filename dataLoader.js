@@ -8,119 +8,380 @@
  * 
  * SETUP:
  * 1. Create Google Sheet with 4 tabs: SPRINT_CONFIG, MEMBERS, TASKS, MILESTONES
+ *    (optional tabs: HOLIDAYS, SPRINTS, STATUSES, PRIORITIES)
  * 2. Share → Anyone with link can VIEW
  * 3. Copy the Sheet ID from URL
- * 4. Paste below
+ * 4. Paste below - or paste the sheet URL in the app's Data Settings panel
  */
 const GOOGLE_SHEETS_CONFIG = {
     // Google Sheets gviz/tq endpoint returns CSV data without download
     // Using the original sheet ID with gviz API
     sheetId: '1_ZHZV-9X_CZ4GhrFUaon1Xv-f4JHnd1_NfSKLuclBQc',
     
-    // GID for each sheet (from the URL #gid=...)
+    // GID for each sheet (from the URL #gid=...) or the tab's name
+    // Required tabs left empty are looked up by their own name
     gids: {
         SPRINT_CONFIG: '0',
         MEMBERS: '2073523473',
         TASKS: '1579655569',
-        MILESTONES: '1458173099'
+        MILESTONES: '1458173099',
+        HOLIDAYS: '', // Optional - leave empty if the sheet has no HOLIDAYS tab
+        SPRINTS: '', // Optional - leave empty to use the single SPRINT_CONFIG sprint
+        STATUSES: '', // Optional - leave empty to use the built-in statuses
+        PRIORITIES: '' // Optional - leave empty to use urgent/normal/low
     }
 };
 
+/**
+ * Data source selection
+ * 
+ * type:
+ * - 'google-sheets' - GOOGLE_SHEETS_CONFIG above (gviz CSV, default)
+ * - 'csv-urls'      - one CSV URL per tab, e.g. Google Sheets "Publish to web" links
+ * - 'json'          - one JSON file/endpoint: { "SPRINT_CONFIG": [...], "MEMBERS": [...], "TASKS": [...], ... }
+ * - 'local-files'   - CSV/XLSX files picked in the browser ("Load from files")
+ * 
+ * Importing local files switches to 'local-files' until "Use configured source" is clicked.
+ * These are the defaults: each workspace can pick its own type and URLs in Data Settings.
+ */
+const DATA_SOURCE_CONFIG = {
+    type: 'google-sheets',
+    
+    // For 'csv-urls' - leave optional tabs empty to skip them
+    csvUrls: {
+        SPRINT_CONFIG: '',
+        MEMBERS: '',
+        TASKS: '',
+        MILESTONES: '',
+        HOLIDAYS: '',
+        SPRINTS: '',
+        STATUSES: '',
+        PRIORITIES: ''
+    },
+    
+    // For 'json' - same-origin path or CORS-enabled URL
+    jsonUrl: ''
+};
+
+// Sheets every source provides, in match order (SPRINT_CONFIG before SPRINTS)
+const SHEET_NAMES = ['SPRINT_CONFIG', 'MEMBERS', 'TASKS', 'MILESTONES', 'HOLIDAYS', 'SPRINTS', 'STATUSES', 'PRIORITIES'];
+const REQUIRED_SHEETS = ['SPRINT_CONFIG', 'MEMBERS', 'TASKS'];
+
+/**
+ * Data source adapters
+ * Each adapter's load() resolves to raw rows per sheet - { SPRINT_CONFIG: [...], MEMBERS: [...], ... } -
+ * which applyRawSheets() normalizes the same way for every source.
+ */
+const DATA_SOURCE_ADAPTERS = {
+    'google-sheets': { label: 'Google Sheets', load: loadFromGoogleSheets },
+    'csv-urls': { label: 'Published CSV URLs', load: loadFromCsvUrls },
+    'json': { label: 'JSON file', load: loadFromJsonFile },
+    'local-files': { label: 'Local files', load: loadFromLocalFiles }
+};
+
 /**
  * Global data store
  */
 let appData = {
-    project: null,
+    project: null, // Selected sprint (SPRINT_CONFIG settings + sprint dates)
     teamMembers: [],
-    tasks: [],
-    milestones: [],
+    tasks: [], // Tasks of the selected sprint
+    milestones: [], // Milestones of the selected sprint
     holidays: [],
+    sprints: [],
+    selectedSprintId: null,
+    sprintConfig: null, // SPRINT_CONFIG as loaded, before sprint selection
+    allTasks: [],
+    allMilestones: [],
     loaded: false,
     error: null,
-    source: 'excel-web-viewer'
+    source: 'google-sheets', // Data source adapter type, or 'demo' for the fallback
+    dataHealth: [], // Data issues by sheet and row, see checkDataHealth()
+    transformations: [], // Values the normalizers changed and rows they dropped
+    statuses: [], // STATUSES tab entries, [] = built-in statuses
+    priorities: [], // PRIORITIES tab entries, [] = built-in priorities
+    customFields: [], // Extra TASKS columns, see getCustomFieldDefinitions()
+    cachedAt: null // Fetch time of the cached data on screen, null when live
 };
 
 /**
- * Load data from Google Sheets using public CSV export
- * Works without authentication when sheet is shared publicly
+ * Type of the adapter loadAllData reads from
+ * Imported local files take over until the user switches back
  */
-async function loadFromGoogleSheets() {
-    try {
-        console.log('🔄 Loading from Google Sheets...');
-        
-        // Load all sheets in parallel using gviz API with gid
-        const results = await Promise.allSettled([
-            fetchGoogleSheet('SPRINT_CONFIG', GOOGLE_SHEETS_CONFIG.gids.SPRINT_CONFIG),
-            fetchGoogleSheet('MEMBERS', GOOGLE_SHEETS_CONFIG.gids.MEMBERS),
-            fetchGoogleSheet('TASKS', GOOGLE_SHEETS_CONFIG.gids.TASKS),
-            fetchGoogleSheet('MILESTONES', GOOGLE_SHEETS_CONFIG.gids.MILESTONES)
-        ]);
-        
-        // Handle partial failures gracefully
-        const errors = [];
-        const [configResult, membersResult, tasksResult, milestonesResult] = results;
-        
-        if (configResult.status === 'rejected') {
-            errors.push(`SPRINT_CONFIG: ${configResult.reason}`);
-        }
-        if (membersResult.status === 'rejected') {
-            errors.push(`MEMBERS: ${membersResult.reason}`);
-        }
-        if (tasksResult.status === 'rejected') {
-            errors.push(`TASKS: ${tasksResult.reason}`);
-        }
-        // Milestones are optional
-        
-        if (errors.length > 0) {
-            throw new Error(`Failed to load required sheets:\n${errors.join('\n')}`);
-        }
-        
-        // Normalize data with error handling
-        try {
-            appData.project = normalizeSprintConfig(configResult.value);
-        } catch (err) {
-            console.error('Error normalizing SPRINT_CONFIG:', err);
-            throw new Error('Invalid SPRINT_CONFIG data structure');
-        }
-        
-        try {
-            appData.teamMembers = normalizeMembers(membersResult.value);
-        } catch (err) {
-            console.error('Error normalizing MEMBERS:', err);
-            throw new Error('Invalid MEMBERS data structure');
-        }
-        
-        try {
-            appData.tasks = normalizeTasks(tasksResult.value);
-        } catch (err) {
-            console.error('Error normalizing TASKS:', err);
-            throw new Error('Invalid TASKS data structure');
-        }
+function getActiveDataSourceType() {
+    return getDataSourceMode() === 'files' ? 'local-files' : DATA_SOURCE_CONFIG.type;
+}
+
+function getDataSourceAdapter(type = getActiveDataSourceType()) {
+    const adapter = DATA_SOURCE_ADAPTERS[type];
+    if (!adapter) {
+        throw new Error(`Unknown data source "${type}". Use one of: ${Object.keys(DATA_SOURCE_ADAPTERS).join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * Run one loader per sheet in parallel
+ * Required sheets must load; optional ones fall back to [] when not configured or failing
+ * @param {Object<string, Function|null>} loaders - Sheet name → () => Promise<rows>, or null if not configured
+ * @returns {Promise<Object<string, Object[]>>} Raw rows per sheet
+ */
+async function loadSheetsInParallel(loaders) {
+    const results = await Promise.allSettled(
+        SHEET_NAMES.map(name => loaders[name] ? loaders[name]() : Promise.resolve(null))
+    );
+    
+    // Handle partial failures gracefully
+    const raw = {};
+    const errors = [];
+    const fetched = {}; // Rows per sheet, including tabs that loaded but failed checkSheetShape()
+    results.forEach((result, index) => {
+        const name = SHEET_NAMES[index];
+        if (result.status === 'fulfilled' && result.value) fetched[name] = result.value;
+        if (result.status === 'rejected' && result.reason && result.reason.rows) fetched[name] = result.reason.rows;
         
-        try {
-            appData.milestones = milestonesResult.status === 'fulfilled' 
-                ? normalizeMilestones(milestonesResult.value) 
-                : [];
-        } catch (err) {
-            console.warn('Error normalizing MILESTONES (optional):', err);
-            appData.milestones = [];
+        if (result.status === 'fulfilled' && result.value) {
+            raw[name] = result.value;
+        } else if (REQUIRED_SHEETS.includes(name)) {
+            errors.push(`${name}: ${result.status === 'rejected' ? result.reason : 'not configured'}`);
+        } else {
+            // Milestones, holidays, sprints and status/priority vocabularies are optional
+            if (result.status === 'rejected') console.warn(`⚠️ Optional ${name} not loaded:`, result.reason);
+            raw[name] = [];
         }
-        
-        return true;
-    } catch (error) {
-        console.error('❌ Error loading from Google Sheets:', error);
+    });
+    
+    if (errors.length > 0) {
+        const error = new Error(`Failed to load required sheets:\n${errors.join('\n')}`);
+        error.sheets = fetched;
         throw error;
     }
+    return raw;
+}
+
+/**
+ * Load data from Google Sheets using public CSV export
+ * Works without authentication when sheet is shared publicly
+ * @param {Object} [config] - { sheetId, gids, columnMapping }, defaults to the active workspace's sheet
+ */
+async function loadFromGoogleSheets(config = GOOGLE_SHEETS_CONFIG) {
+    console.log('🔄 Loading from Google Sheets...');
+    const { sheetId, gids, columnMapping = getColumnMapping() } = config;
+    
+    // Load all sheets in parallel using gviz API with gid
+    // (MILESTONES is always requested; HOLIDAYS, SPRINTS, STATUSES and PRIORITIES only when a gid is set)
+    return loadSheetsInParallel({
+        SPRINT_CONFIG: () => fetchGoogleSheet('SPRINT_CONFIG', gids.SPRINT_CONFIG, sheetId, columnMapping),
+        MEMBERS: () => fetchGoogleSheet('MEMBERS', gids.MEMBERS, sheetId, columnMapping),
+        TASKS: () => fetchGoogleSheet('TASKS', gids.TASKS, sheetId, columnMapping),
+        MILESTONES: () => fetchGoogleSheet('MILESTONES', gids.MILESTONES, sheetId, columnMapping),
+        HOLIDAYS: gids.HOLIDAYS ? () => fetchGoogleSheet('HOLIDAYS', gids.HOLIDAYS, sheetId, columnMapping) : null,
+        SPRINTS: gids.SPRINTS ? () => fetchGoogleSheet('SPRINTS', gids.SPRINTS, sheetId, columnMapping) : null,
+        STATUSES: gids.STATUSES ? () => fetchGoogleSheet('STATUSES', gids.STATUSES, sheetId, columnMapping) : null,
+        PRIORITIES: gids.PRIORITIES ? () => fetchGoogleSheet('PRIORITIES', gids.PRIORITIES, sheetId, columnMapping) : null
+    });
+}
+
+/**
+ * Load data from one published CSV URL per sheet
+ * @param {Object} [config] - { csvUrls }, defaults to the active workspace's source
+ */
+async function loadFromCsvUrls(config = DATA_SOURCE_CONFIG) {
+    console.log('🔄 Loading from published CSV URLs...');
+    const urls = config.csvUrls || {};
+    
+    const loaders = {};
+    SHEET_NAMES.forEach(name => {
+        loaders[name] = urls[name] ? () => fetchCsvSheet(name, urls[name]) : null;
+    });
+    return loadSheetsInParallel(loaders);
+}
+
+/**
+ * Load data from a static JSON file or self-hosted endpoint
+ * Keys are sheet names; values are row arrays (SPRINT_CONFIG may also be a plain key/value object)
+ * @param {Object} [config] - { jsonUrl }, defaults to the active workspace's source
+ */
+async function loadFromJsonFile(config = DATA_SOURCE_CONFIG) {
+    const url = config.jsonUrl;
+    if (!url) {
+        throw new Error('No JSON URL set - add one in Data Settings');
+    }
+    
+    console.log(`🔄 Loading from JSON: ${url}`);
+    // No CORS proxies here - a self-hosted endpoint may serve private data
+    const response = await fetch(url, { method: 'GET', cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Cannot load ${url}: HTTP ${response.status}`);
+    }
+    noteOfflineResponse(response);
+    const json = await response.json();
+    
+    const loaders = {};
+    Object.entries(json || {}).forEach(([key, value]) => {
+        const name = matchSheetName(key);
+        if (name) loaders[name] = async () => jsonToSheetRows(name, value);
+    });
+    return loadSheetsInParallel(loaders);
+}
+
+/**
+ * Convert JSON values into the string rows the normalizers expect
+ */
+function jsonToSheetRows(sheetName, value) {
+    let rows = value;
+    if (sheetName === 'SPRINT_CONFIG' && value && !Array.isArray(value)) {
+        rows = Object.entries(value).map(([key, val]) => ({ key, value: val }));
+    }
+    if (!Array.isArray(rows)) {
+        throw new Error(`${sheetName} must be an array of rows`);
+    }
+    
+    return rows.map(row => {
+        const result = {};
+        Object.entries(row || {}).forEach(([key, val]) => {
+            if (val === null || val === undefined) result[key] = '';
+            else if (Array.isArray(val)) result[key] = val.join(',');
+            else result[key] = String(val);
+        });
+        return result;
+    });
+}
+
+/**
+ * Normalize raw sheet rows into appData
+ * Shared by every data source adapter so all sources behave the same
+ * @param {Object} raw - Rows per tab: SPRINT_CONFIG, MEMBERS, TASKS (+ optional MILESTONES, HOLIDAYS, SPRINTS, STATUSES, PRIORITIES)
+ */
+function applyRawSheets(raw) {
+    Object.assign(appData, normalizeRawSheets(raw));
+    restorePendingTaskChanges();
+    
+    // Scope project, tasks and milestones to the remembered (or current) sprint
+    applySprintSelection(getSavedSprintId());
+    
+    // Working-day counts depend on holidays - drop memoized values
+    if (typeof memoCache !== 'undefined') {
+        memoCache.workingDays.clear();
+    }
+}
+
+/**
+ * Normalize raw sheet rows without touching appData
+ * @param {Object} raw - Rows per tab
+ * @returns {Object} { sprintConfig, teamMembers, allTasks, allMilestones, holidays, sprints, statuses, priorities, customFields, transformations }
+ */
+function normalizeRawSheets(raw) {
+    const data = {};
+    // Every value the normalizers changed and every row they dropped
+    const transformations = [];
+    
+    try {
+        data.sprintConfig = normalizeSprintConfig(raw.SPRINT_CONFIG, transformations);
+    } catch (err) {
+        console.error('Error normalizing SPRINT_CONFIG:', err);
+        throw new Error('Invalid SPRINT_CONFIG data structure');
+    }
+    
+    try {
+        data.teamMembers = normalizeMembers(raw.MEMBERS, transformations);
+    } catch (err) {
+        console.error('Error normalizing MEMBERS:', err);
+        throw new Error('Invalid MEMBERS data structure');
+    }
+    
+    // Task statuses and priorities are read against these, so they come first
+    try {
+        data.statuses = normalizeStatuses(raw.STATUSES || [], transformations);
+    } catch (err) {
+        console.warn('Error normalizing STATUSES (optional):', err);
+        data.statuses = [];
+    }
+    
+    try {
+        data.priorities = normalizePriorities(raw.PRIORITIES || [], transformations);
+    } catch (err) {
+        console.warn('Error normalizing PRIORITIES (optional):', err);
+        data.priorities = [];
+    }
+    
+    try {
+        data.customFields = getCustomFieldDefinitions(raw.TASKS);
+        data.allTasks = normalizeTasks(raw.TASKS, transformations, {
+            statuses: data.statuses,
+            priorities: data.priorities,
+            customFields: data.customFields
+        });
+    } catch (err) {
+        console.error('Error normalizing TASKS:', err);
+        throw new Error('Invalid TASKS data structure');
+    }
+    
+    try {
+        data.allMilestones = normalizeMilestones(raw.MILESTONES || [], transformations);
+    } catch (err) {
+        console.warn('Error normalizing MILESTONES (optional):', err);
+        data.allMilestones = [];
+    }
+    
+    try {
+        data.holidays = normalizeHolidays(raw.HOLIDAYS || [], transformations);
+    } catch (err) {
+        console.warn('Error normalizing HOLIDAYS (optional):', err);
+        data.holidays = [];
+    }
+    
+    try {
+        data.sprints = normalizeSprints(raw.SPRINTS || [], transformations);
+    } catch (err) {
+        console.warn('Error normalizing SPRINTS (optional):', err);
+        data.sprints = [];
+    }
+    
+    data.transformations = transformations;
+    return data;
 }
 
 /**
  * Fetch a specific sheet from Google Sheets as CSV
  * Uses gviz/tq API endpoint - works on GitHub Pages without CORS proxy
  */
-async function fetchGoogleSheet(sheetName, gid) {
+async function fetchGoogleSheet(sheetName, gid, sheetId = GOOGLE_SHEETS_CONFIG.sheetId, columnMapping = getColumnMapping()) {
+    const sheetUrl = buildGoogleSheetUrl(sheetId, sheetName, gid);
+    const data = await fetchCsvSheet(sheetName, sheetUrl);
+    
+    // gviz may answer an unknown tab name with another tab - don't load the wrong data
+    if (!/^\d+$/.test(gid || '')) {
+        const problem = checkSheetShape(sheetName, data, columnMapping);
+        if (problem && hasContractColumns(sheetName, data, columnMapping)) {
+            // Right tab, but headers nothing recognises - Column Mapping needs them
+            const error = new Error(`Cannot load ${sheetName}: ${problem} - map them in Column Mapping`);
+            error.rows = data;
+            throw error;
+        }
+        if (problem) throw new Error(`Cannot load ${sheetName}: tab not found by name (${problem})`);
+    }
+    return data;
+}
+
+/**
+ * gviz CSV URL for a tab
+ * @param {string} ref - Numeric gid, a tab name, or '' to use sheetName as the tab name
+ */
+function buildGoogleSheetUrl(sheetId, sheetName, ref) {
+    const tab = String(ref || sheetName).trim();
+    const selector = /^\d+$/.test(tab) ? `gid=${tab}` : `sheet=${encodeURIComponent(tab)}`;
+    return `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&${selector}`;
+}
+
+/**
+ * Fetch any public CSV URL and parse it
+ * Tries a direct fetch first, then the CORS proxy chain
+ */
+async function fetchCsvSheet(sheetName, url) {
     // Cache-busting: append timestamp to prevent stale data
     const cacheBuster = Date.now();
-    const csvUrl = `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEETS_CONFIG.sheetId}/gviz/tq?tqx=out:csv&gid=${gid}&_=${cacheBuster}`;
+    const csvUrl = `${url}${url.includes('?') ? '&' : '?'}_=${cacheBuster}`;
     
     try {
         console.log(`📥 Fetching ${sheetName}... (cache-bust: ${cacheBuster})`);
@@ -169,6 +430,7 @@ async function fetchGoogleSheet(sheetName, gid) {
             }
         }
         
+        noteOfflineResponse(response);
         const csvText = await response.text();
         console.log(`   ✅ ${sheetName}: ${csvText.length} chars via ${fetchMethod}`);
         
@@ -187,22 +449,26 @@ async function fetchGoogleSheet(sheetName, gid) {
  * Parse CSV text into array of objects
  */
 function parseCSV(text) {
-    const lines = text.split('\n').filter(line => line.trim());
+    // Keep each line's number in the file so issues can point at the sheet row
+    const lines = text.split('\n')
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.trim());
     if (lines.length === 0) return [];
     
     // Parse headers
-    const headers = parseCSVLine(lines[0]);
+    const headers = parseCSVLine(lines[0].line);
     const data = [];
     
     // Parse data rows
     for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
+        const values = parseCSVLine(lines[i].line);
         if (values.length === 0 || values.every(v => !v)) continue;
         
         const row = {};
         headers.forEach((header, index) => {
             row[header] = values[index] || '';
         });
+        sheetRowNumbers.set(row, lines[i].number);
         data.push(row);
     }
     
@@ -234,10 +500,44 @@ function parseCSVLine(line) {
     return result.map(v => v.replace(/^"|"$/g, ''));
 }
 
+/**
+ * Record what a normalizer did to a sheet's rows
+ * Entries: { sheet, row, field, action: 'coerced'|'dropped', original, normalized, reason }
+ * @param {Object[]} transformations - List the entries are added to
+ * @param {string} sheet - Sheet name
+ */
+function createTransformationLog(transformations, sheet) {
+    return {
+        coerced(row, index, field, original, normalized, reason) {
+            transformations.push({
+                sheet,
+                row: row ? getSheetRow(row, index) : null,
+                field,
+                action: 'coerced',
+                original: String(original),
+                normalized: Array.isArray(normalized) ? normalized.join(',') : String(normalized),
+                reason
+            });
+        },
+        dropped(row, index, original, reason) {
+            transformations.push({
+                sheet,
+                row: getSheetRow(row, index),
+                field: null,
+                action: 'dropped',
+                original: String(original),
+                normalized: '',
+                reason
+            });
+        }
+    };
+}
+
 /**
  * Normalize SPRINT_CONFIG data
  */
-function normalizeSprintConfig(rawData) {
+function normalizeSprintConfig(rawData, transformations = []) {
+    const log = createTransformationLog(transformations, 'SPRINT_CONFIG');
     console.log('🔧 normalizeSprintConfig input:', rawData);
     const config = {};
     
@@ -278,11 +578,24 @@ function normalizeSprintConfig(rawData) {
     const defaultStart = new Date(today.getFullYear(), today.getMonth(), 1).toISOString().split('T')[0];
     const defaultEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0).toISOString().split('T')[0];
     
+    const startDate = sanitizeDate(config.start_date);
+    const endDate = sanitizeDate(config.end_date);
+    if (!startDate) {
+        log.coerced(null, 0, 'start_date', config.start_date || '', defaultStart,
+            `${config.start_date ? 'not a date' : 'missing'} - using the first day of this month`);
+    }
+    if (!endDate) {
+        log.coerced(null, 0, 'end_date', config.end_date || '', defaultEnd,
+            `${config.end_date ? 'not a date' : 'missing'} - using the last day of this month`);
+    }
+    
     return {
         name: config.sprint_name,
-        startDate: config.start_date || defaultStart,
-        endDate: config.end_date || defaultEnd,
-        preparedBy: config.prepared_by || config.preparedBy || 'Unknown'
+        startDate: startDate || defaultStart,
+        endDate: endDate || defaultEnd,
+        goal: sanitizeText(config.sprint_goal || ''),
+        preparedBy: config.prepared_by || config.preparedBy || 'Unknown',
+        workDays: parseWorkDays(config.work_days) // Team default schedule, null = Mon–Fri
     };
 }
 
@@ -297,269 +610,2986 @@ function normalizeSprintConfig(rawData) {
  *   - focus (optional): Current focus area
  *   - bandwidth_hours (optional): Available hours per week (NUMBER), defaults to 40
  *   - leaves (optional): Comma-separated YYYY-MM-DD dates for leave days (e.g. "2026-02-16,2026-02-17")
+ *   - half_days (optional): Comma-separated YYYY-MM-DD dates for half-day leave
+ *   - work_days (optional): Days this member works (e.g. "Mon,Wed,Fri" or "Sun-Thu"),
+ *     defaults to the SPRINT_CONFIG work_days team schedule
  */
-function normalizeMembers(rawData) {
+function normalizeMembers(rawData, transformations = []) {
     if (!Array.isArray(rawData)) {
         throw new Error('MEMBERS data must be an array');
     }
+    const log = createTransformationLog(transformations, 'MEMBERS');
     
     return rawData.map((row, index) => {
         // Sanitize and validate inputs
         const id = sanitizeId(row.id || row.Id || row.ID || `member-${index}`);
         const name = sanitizeText(row.name || row.Name || row.NAME || `Member ${index + 1}`);
-        const colorClass = sanitizeColorClass(row.color_class || row['color class'] || row.ColorClass || getDefaultColorClass(id));
+        const colorRaw = row.color_class || row['color class'] || row.ColorClass || '';
+        const colorClass = sanitizeColorClass(colorRaw || getDefaultColorClass(id));
+        if (colorRaw && colorClass !== colorRaw.trim().toLowerCase()) {
+            log.coerced(row, index, 'color_class', colorRaw, colorClass, 'not one of primary, success, warning, info, danger');
+        }
         
         // Parse bandwidth_hours as explicit number - NO INFERENCE
-        const bandwidthHours = parseNumericField(
-            row.bandwidth_hours || row['bandwidth hours'] || row.bandwidthHours,
-            40 // Default: 40 hours/week
-        );
+        const bandwidthRaw = row.bandwidth_hours || row['bandwidth hours'] || row.bandwidthHours;
+        const bandwidthHours = parseNumericField(bandwidthRaw, 40); // Default: 40 hours/week
+        if (bandwidthRaw && isNaN(parseFloat(bandwidthRaw))) {
+            log.coerced(row, index, 'bandwidth_hours', bandwidthRaw, bandwidthHours, 'not a number - using the default');
+        }
         
         // Parse leaves as comma-separated YYYY-MM-DD dates
         const leavesRaw = sanitizeText(row.leaves || row.Leaves || row.LEAVES || '');
         const leaves = leavesRaw
             ? leavesRaw.split(',').map(d => d.trim()).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d))
             : [];
+        if (leavesRaw && leaves.length < leavesRaw.split(',').length) {
+            log.coerced(row, index, 'leaves', leavesRaw, leaves, 'dates not in YYYY-MM-DD were left out');
+        }
 
         // Parse half_days as comma-separated YYYY-MM-DD dates (e.g. "2026-03-10,2026-03-15")
         const halfDaysRaw = sanitizeText(row.half_days || row['half days'] || row.halfDays || row.HalfDays || row.HALF_DAYS || '');
         const halfDays = halfDaysRaw
             ? halfDaysRaw.split(',').map(d => d.trim()).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d))
             : [];
+        if (halfDaysRaw && halfDays.length < halfDaysRaw.split(',').length) {
+            log.coerced(row, index, 'half_days', halfDaysRaw, halfDays, 'dates not in YYYY-MM-DD were left out');
+        }
+        
+        const workDaysRaw = row.work_days || row['work days'] || row.workDays || row.WORK_DAYS;
+        const workDays = parseWorkDays(workDaysRaw);
+        if (workDaysRaw && !workDays) {
+            log.coerced(row, index, 'work_days', workDaysRaw, 'team schedule', 'no day names found');
+        }
+
+        return {
+            id,
+            name,
+            role: sanitizeText(row.role || row.Role || row.ROLE || 'Team Member'),
+            colorClass,
+            capacity: sanitizeText(row.capacity || row.Capacity || '100%'),
+            focus: sanitizeText(row.focus || row.Focus || 'Sprint work'),
+            bandwidthHours, // EXPLICIT numeric field - no parsing from text
+            leaves, // Array of YYYY-MM-DD date strings when member is on full-day leave
+            halfDays, // Array of YYYY-MM-DD date strings when member is on half-day leave
+            workDays // Day indexes (0 = Sunday), null = team default
+        };
+    }).filter((member, index) => {
+        if (member.id && member.name && member.id !== 'member-0') return true;
+        log.dropped(rawData[index], index, member.name, 'no usable id');
+        return false;
+    });
+}
+
+/**
+ * Parse numeric field with default fallback
+ */
+function parseNumericField(value, defaultValue) {
+    if (value === null || value === undefined || value === '') {
+        return defaultValue;
+    }
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Parse a work_days value into sorted day-of-week indexes (0 = Sunday)
+ * Accepts lists and ranges: "Mon,Wed,Fri", "Sun-Thu", "mon tue wed"
+ * Returns null when empty or unparseable so callers fall back to the default
+ */
+function parseWorkDays(value) {
+    const text = sanitizeText(value || '').toLowerCase().replace(/\s*-\s*/g, '-');
+    if (!text) return null;
+    
+    const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const days = new Set();
+    
+    text.split(/[,;\s]+/).forEach(part => {
+        const [from, to] = part.split('-').map(name => dayNames.indexOf(name.substring(0, 3)));
+        if (from === -1 || to === -1) return;
+        if (to === undefined) {
+            days.add(from);
+            return;
+        }
+        // Ranges may wrap around the week (e.g. Fri-Mon)
+        for (let d = from; ; d = (d + 1) % 7) {
+            days.add(d);
+            if (d === to) break;
+        }
+    });
+    
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Parse an owner cell into owners with their share of the task
+ * Accepts "avi", "avi,neha" (equal split) or "avi:60,neha:40".
+ * Owners without a share split whatever is left of 100.
+ * @param {string} value - Raw owner cell
+ * @param {string[]} [dropped] - Collects ids left with no share, e.g. "neha" in "avi:100,neha"
+ * @returns {object[]} [{ id, share }] with shares summing to 1
+ */
+function parseOwners(value, dropped = []) {
+    const entries = [];
+    String(value || '').split(/[,;]/).forEach(part => {
+        const [rawId, rawShare] = part.split(':');
+        const id = sanitizeId(rawId);
+        if (!id || entries.some(e => e.id === id)) return;
+        const share = parseFloat(String(rawShare || '').replace('%', ''));
+        entries.push({ id, share: Number.isFinite(share) && share > 0 ? share : null });
+    });
+    
+    if (entries.length === 0) return [];
+    
+    const explicitTotal = entries.reduce((sum, e) => sum + (e.share || 0), 0);
+    const unshared = entries.filter(e => e.share === null);
+    if (unshared.length > 0) {
+        const remainder = explicitTotal > 0 ? Math.max(100 - explicitTotal, 0) : 100;
+        const each = remainder > 0 ? remainder / unshared.length : 0;
+        unshared.forEach(e => { e.share = each; });
+    }
+    
+    const total = entries.reduce((sum, e) => sum + e.share, 0);
+    entries.filter(e => !(e.share > 0)).forEach(e => dropped.push(e.id));
+    return entries
+        .filter(e => e.share > 0)
+        .map(e => ({ id: e.id, share: total > 0 ? e.share / total : 1 / entries.length }));
+}
+
+/**
+ * Input sanitization helpers
+ */
+function sanitizeText(text) {
+    if (typeof text !== 'string') text = String(text || '');
+    return text.trim().substring(0, 500); // Limit length to prevent DoS
+}
+
+function sanitizeId(id) {
+    if (typeof id !== 'string') id = String(id || '');
+    return id.toLowerCase().trim().replace(/[^a-z0-9_-]/g, '').substring(0, 50);
+}
+
+function sanitizeColorClass(colorClass) {
+    const validColors = ['primary', 'success', 'warning', 'info', 'danger'];
+    const cleaned = colorClass.trim().toLowerCase();
+    return validColors.includes(cleaned) ? cleaned : 'primary';
+}
+
+/**
+ * Get default color class based on ID hash
+ */
+function getDefaultColorClass(id) {
+    const colors = ['primary', 'success', 'warning', 'info', 'danger'];
+    const hash = id.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+    return colors[hash % colors.length];
+}
+
+/**
+ * Normalize TASKS data
+ * DATA CONTRACT: TASKS sheet should have:
+ *   - id (required): Unique identifier
+ *   - name/title (required): Task name
+ *   - owner (required): Member ID who owns this task, or several with
+ *     optional shares (e.g. "avi:60,neha:40") to split estimated hours
+ *   - start_date (required): Task start date
+ *   - end_date (required): Task end date
+ *   - status (optional): in-progress|todo|completed|blocked|review|pending, or a STATUSES row
+ *   - priority (optional): urgent|normal|low, or a PRIORITIES row
+ *   - jira_id (optional): Jira ticket ID
+ *   - jira_url (optional): Link to Jira ticket
+ *   - estimated_hours (optional): Estimated hours (NUMBER), defaults to 8
+ *   - bu (optional): Business unit
+ *   - type (optional): Task type
+ *   - blockers (optional): Blocker description
+ *   - notes (optional): Additional notes
+ *   - depends_on (optional): Comma-separated ids of tasks that must finish first
+ *   - sprint_id (optional): SPRINTS id; untagged tasks are matched to a sprint by start date
+ *   - baseline_start / baseline_end (optional): Originally planned dates, drawn as a
+ *     ghost bar behind the Gantt bar; either one alone is paired with the actual date
+ *   - any other column: kept as a custom field, see getCustomFieldDefinitions()
+ * With a STATUSES/PRIORITIES vocabulary, statusId/priorityId keep the team's own
+ * value and status/priority hold what it counts as.
+ * @param {Object} [options] - { statuses, priorities } from normalizeStatuses()/normalizePriorities(),
+ *   { customFields } from getCustomFieldDefinitions()
+ */
+function normalizeTasks(rawData, transformations = [], options = {}) {
+    if (!Array.isArray(rawData)) {
+        throw new Error('TASKS data must be an array');
+    }
+    const log = createTransformationLog(transformations, 'TASKS');
+    
+    return rawData.map((row, index) => {
+        const id = sanitizeId(row.id || row.Id || row.ID || `T-${index + 1}`);
+        const title = sanitizeText(row.title || row.Title || row.task || row.name || `Task ${index + 1}`);
+        const ownerRaw = row.owner || row.Owner || '';
+        const zeroShareOwners = [];
+        const owners = parseOwners(ownerRaw, zeroShareOwners);
+        const owner = owners.length > 0 ? owners[0].id : 'unassigned';
+        if (zeroShareOwners.length > 0) {
+            log.coerced(row, index, 'owner', ownerRaw, owners.map(o => `${o.id}:${Math.round(o.share * 100)}`),
+                `no share left for ${zeroShareOwners.join(', ')} - left out`);
+        }
+        
+        const priorityRaw = row.priority || row.Priority || '';
+        const priorityEntry = readVocabularyValue(options.priorities, priorityRaw, 'normal');
+        const priority = priorityEntry ? priorityEntry.category : sanitizePriority(priorityRaw || 'normal');
+        if (priorityRaw && !(priorityEntry ? findVocabularyEntry(options.priorities, priorityRaw) : resolvePriority(priorityRaw))) {
+            log.coerced(row, index, 'priority', priorityRaw, priorityEntry ? priorityEntry.label : priority,
+                priorityEntry ? 'not in PRIORITIES' : 'unknown priority');
+        }
+        
+        const statusRaw = row.status || row.Status || '';
+        const statusEntry = readVocabularyValue(options.statuses, statusRaw, 'todo');
+        const status = statusEntry ? statusEntry.category : sanitizeTaskStatus(statusRaw || 'todo');
+        if (statusRaw && !(statusEntry ? findVocabularyEntry(options.statuses, statusRaw) : resolveTaskStatus(statusRaw))) {
+            log.coerced(row, index, 'status', statusRaw, statusEntry ? statusEntry.label : status,
+                statusEntry ? 'not in STATUSES' : 'unknown status');
+        }
+        
+        const completedRaw = row.completed || row.Completed || '';
+        const completed = sanitizeBoolean(completedRaw);
+        if (completedRaw && !/^(true|false)$/i.test(String(completedRaw).trim())) {
+            log.coerced(row, index, 'completed', completedRaw, completed, 'only TRUE counts as completed');
+        }
+        
+        // Validate dates
+        const startRaw = row.start_date || row['start date'] || row.StartDate;
+        const endRaw = row.end_date || row['end date'] || row.EndDate;
+        const startDate = sanitizeDate(startRaw);
+        const endDate = sanitizeDate(endRaw);
+        if (startRaw && !startDate) log.coerced(row, index, 'start_date', startRaw, '', 'not a date - left empty');
+        if (endRaw && !endDate) log.coerced(row, index, 'end_date', endRaw, '', 'not a date - left empty');
+        
+        // Baseline (original plan) - optional, never affects the task itself
+        const baselineStartRaw = row.baseline_start || row['baseline start'] || row.baselineStart;
+        const baselineEndRaw = row.baseline_end || row['baseline end'] || row.baselineEnd;
+        let baselineStart = sanitizeDate(baselineStartRaw);
+        let baselineEnd = sanitizeDate(baselineEndRaw);
+        if (baselineStartRaw && !baselineStart) log.coerced(row, index, 'baseline_start', baselineStartRaw, '', 'not a date - left empty');
+        if (baselineEndRaw && !baselineEnd) log.coerced(row, index, 'baseline_end', baselineEndRaw, '', 'not a date - left empty');
+        if (!isValidDateRange(baselineStart, baselineEnd)) {
+            log.coerced(row, index, 'baseline_end', baselineEndRaw, '', 'before baseline_start - baseline left empty');
+            baselineStart = '';
+            baselineEnd = '';
+        }
+        
+        // Parse estimated_hours as explicit number - NO INFERENCE
+        const hoursRaw = row.estimated_hours || row['estimated hours'] || row.estimatedHours;
+        const estimatedHours = parseNumericField(hoursRaw, 8); // Default: 8 hours per task
+        if (hoursRaw && isNaN(parseFloat(hoursRaw))) {
+            log.coerced(row, index, 'estimated_hours', hoursRaw, estimatedHours, 'not a number - using the default');
+        }
+        
+        // Parse depends_on as comma-separated predecessor task ids
+        const dependsOnRaw = sanitizeText(row.depends_on || row['depends on'] || row.dependsOn || row.dependencies || '');
+        const dependsOn = [...new Set(
+            dependsOnRaw.split(',').map(depId => sanitizeId(depId)).filter(depId => depId && depId !== id)
+        )];
+        if (dependsOnRaw.split(',').some(depId => sanitizeId(depId) === id)) {
+            log.coerced(row, index, 'depends_on', dependsOnRaw, dependsOn, 'a task cannot depend on itself');
+        }
+        
+        return {
+            id,
+            name: title,
+            jiraId: sanitizeText(row.jira || row.Jira || row.jira_id || row['jira id'] || ''),
+            jiraUrl: sanitizeUrl(row.jira_url || row['jira url'] || row.jira_link || ''),
+            owner,
+            owners,
+            bu: sanitizeText(row.bu || row.BU || ''),
+            status,
+            statusId: statusEntry ? statusEntry.id : status, // STATUSES id, or the built-in status
+            priority,
+            priorityId: priorityEntry ? priorityEntry.id : priority, // PRIORITIES id, or the built-in priority
+            startDate,
+            endDate,
+            type: sanitizeText(row.type || row.Type || ''),
+            blockers: sanitizeText(row.blocker || row.blockers || row.Blocker || ''),
+            notes: sanitizeText(row.notes || row.Notes || ''),
+            completed,
+            estimatedHours, // EXPLICIT numeric field
+            dependsOn, // Array of predecessor task ids
+            sprintId: sanitizeId(row.sprint_id || row['sprint id'] || row.sprint || ''),
+            baselineStart, // '' when the sheet has no baseline
+            baselineEnd,
+            customFields: readCustomFields(row, index, options.customFields || [], log) // key → typed value
+        };
+    }).filter((task, index) => {
+        if (task.name && isValidDateRange(task.startDate, task.endDate)) return true;
+        log.dropped(rawData[index], index, task.name, `end date ${task.endDate} is before start date ${task.startDate}`);
+        return false;
+    });
+}
+
+/**
+ * Sanitize task status to valid enum value
+ */
+function sanitizeTaskStatus(status) {
+    return resolveTaskStatus(status) || 'todo';
+}
+
+/**
+ * Canonical status for a sheet value, or null when it isn't recognised
+ */
+function resolveTaskStatus(status) {
+    const validStatuses = ['in-progress', 'todo', 'completed', 'blocked', 'review', 'pending'];
+    const cleaned = String(status).toLowerCase().trim().replace(/\s+/g, '-');
+    // Map common variations
+    const statusMap = {
+        'not-started': 'todo',
+        'notstarted': 'todo',
+        'in progress': 'in-progress',
+        'inprogress': 'in-progress',
+        'done': 'completed',
+        'complete': 'completed',
+        'in-review': 'review',
+        'reviewing': 'review'
+    };
+    const mapped = statusMap[cleaned] || cleaned;
+    return validStatuses.includes(mapped) ? mapped : null;
+}
+
+/**
+ * Additional sanitization helpers
+ */
+function sanitizePriority(priority) {
+    return resolvePriority(priority) || 'normal';
+}
+
+/**
+ * Canonical priority for a sheet value, or null when it isn't recognised
+ */
+function resolvePriority(priority) {
+    const valid = ['urgent', 'normal', 'low'];
+    const cleaned = String(priority).toLowerCase().trim();
+    // Map common variations
+    const priorityMap = {
+        'high': 'urgent',
+        'critical': 'urgent',
+        'medium': 'normal',
+        'pending': 'low'
+    };
+    const mapped = priorityMap[cleaned] || cleaned;
+    return valid.includes(mapped) ? mapped : null;
+}
+
+function sanitizeBoolean(value) {
+    return String(value).toLowerCase().trim() === 'true';
+}
+
+function sanitizeDate(dateStr) {
+    if (!dateStr) return '';
+    const date = new Date(dateStr);
+    return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+}
+
+function sanitizeUrl(url) {
+    if (!url) return '';
+    const cleaned = sanitizeText(url);
+    // Basic URL validation
+    try {
+        if (cleaned.startsWith('http://') || cleaned.startsWith('https://') || cleaned.startsWith('#')) {
+            return cleaned;
+        }
+    } catch (e) {
+        console.warn('Invalid URL:', url);
+    }
+    return '';
+}
+
+function isValidDateRange(startDate, endDate) {
+    // Allow tasks without dates (they'll show as status-only in timeline)
+    if (!startDate || !endDate) return true;
+    
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    return start <= end;
+}
+
+/**
+ * Normalize MILESTONES data
+ * DATA CONTRACT: MILESTONES sheet should have:
+ *   - id (optional): Unique identifier, auto-generated if missing
+ *   - date (required): Milestone target date
+ *   - title (required): Milestone name
+ *   - assignee (optional): Person responsible
+ *   - status (optional): pending|in-progress|completed|blocked, defaults to 'pending'
+ *   - description (optional): Milestone description
+ *   - progress (optional): Completion percentage (NUMBER 0-100), defaults to 0
+ */
+function normalizeMilestones(rawData, transformations = []) {
+    const log = createTransformationLog(transformations, 'MILESTONES');
+    
+    return rawData.map((row, index) => {
+        const statusRaw = row.status || row.Status || '';
+        const status = sanitizeMilestoneStatus(statusRaw || 'pending');
+        if (statusRaw && !resolveMilestoneStatus(statusRaw)) {
+            log.coerced(row, index, 'status', statusRaw, status, 'unknown status');
+        }
+        
+        const progressRaw = row.progress || row.Progress;
+        const progress = Math.min(100, Math.max(0, parseNumericField(
+            progressRaw,
+            status === 'completed' ? 100 : 0 // Default: 100 if completed, 0 otherwise
+        )));
+        if (progressRaw && String(progress) !== String(progressRaw).trim()) {
+            log.coerced(row, index, 'progress', progressRaw, progress,
+                isNaN(parseFloat(progressRaw)) ? 'not a number - using the default' : 'kept between 0 and 100');
+        }
+        
+        return {
+            id: sanitizeId(row.id || row.Id || `milestone-${index}`),
+            date: sanitizeDate(row.date || row.Date || ''),
+            title: sanitizeText(row.title || row.Title || row.milestone || `Milestone ${index + 1}`),
+            assignee: sanitizeText(row.owner || row.Owner || row.assignee || row.Assignee || ''),
+            status, // EXPLICIT status field from sheet
+            description: sanitizeText(row.description || row.Description || ''),
+            progress, // EXPLICIT progress field from sheet
+            sprintId: sanitizeId(row.sprint_id || row['sprint id'] || row.sprint || '')
+        };
+    }).filter((milestone, index) => {
+        if (milestone.date && milestone.title) return true;
+        const rawDate = rawData[index].date || rawData[index].Date || '';
+        log.dropped(rawData[index], index, milestone.title, rawDate ? `date "${rawDate}" is not a date` : 'no date');
+        return false;
+    });
+}
+
+/**
+ * Sanitize milestone status to valid enum value
+ */
+function sanitizeMilestoneStatus(status) {
+    return resolveMilestoneStatus(status) || 'pending';
+}
+
+/**
+ * Canonical milestone status for a sheet value, or null when it isn't recognised
+ */
+function resolveMilestoneStatus(status) {
+    const validStatuses = ['pending', 'in-progress', 'completed', 'blocked'];
+    const cleaned = String(status).toLowerCase().trim().replace(/\s+/g, '-');
+    // Map common variations
+    const statusMap = {
+        'not-started': 'pending',
+        'notstarted': 'pending',
+        'in progress': 'in-progress',
+        'inprogress': 'in-progress',
+        'done': 'completed',
+        'complete': 'completed',
+        'upcoming': 'pending'
+    };
+    const mapped = statusMap[cleaned] || cleaned;
+    return validStatuses.includes(mapped) ? mapped : null;
+}
+
+/**
+ * Normalize HOLIDAYS data
+ * DATA CONTRACT: HOLIDAYS sheet should have:
+ *   - date (required): Holiday date (YYYY-MM-DD)
+ *   - name (optional): Holiday name, defaults to "Holiday"
+ *   - region (optional): Region/office the holiday applies to
+ * Holidays are excluded from working days in every capacity calculation.
+ */
+function normalizeHolidays(rawData, transformations = []) {
+    if (!Array.isArray(rawData)) {
+        throw new Error('HOLIDAYS data must be an array');
+    }
+    const log = createTransformationLog(transformations, 'HOLIDAYS');
+    
+    return rawData.map(row => ({
+        date: sanitizeDate(row.date || row.Date || row.DATE || ''),
+        name: sanitizeText(row.name || row.Name || row.holiday || row.Holiday || 'Holiday'),
+        region: sanitizeText(row.region || row.Region || '')
+    })).filter((holiday, index) => {
+        if (holiday.date) return true;
+        const rawDate = rawData[index].date || rawData[index].Date || rawData[index].DATE || '';
+        log.dropped(rawData[index], index, holiday.name, rawDate ? `date "${rawDate}" is not a date` : 'no date');
+        return false;
+    });
+}
+
+/**
+ * Normalize SPRINTS data
+ * DATA CONTRACT: SPRINTS sheet should have:
+ *   - id (required): Unique sprint identifier, referenced by TASKS/MILESTONES sprint_id
+ *   - name (optional): Display name, defaults to the id
+ *   - start_date (required): Sprint start date
+ *   - end_date (required): Sprint end date
+ *   - goal (optional): Sprint goal
+ * Sprints are returned in start-date order.
+ */
+function normalizeSprints(rawData, transformations = []) {
+    if (!Array.isArray(rawData)) {
+        throw new Error('SPRINTS data must be an array');
+    }
+    const log = createTransformationLog(transformations, 'SPRINTS');
+    
+    return rawData.map((row, index) => {
+        const id = sanitizeId(row.id || row.Id || row.sprint_id || `sprint-${index + 1}`);
+        return {
+            id,
+            name: sanitizeText(row.name || row.Name || row.sprint_name || id),
+            startDate: sanitizeDate(row.start_date || row['start date'] || row.start || row.Start || ''),
+            endDate: sanitizeDate(row.end_date || row['end date'] || row.end || row.End || ''),
+            goal: sanitizeText(row.goal || row.Goal || row.sprint_goal || '')
+        };
+    })
+        .filter((sprint, index) => {
+            if (sprint.id && sprint.startDate && sprint.endDate && sprint.startDate <= sprint.endDate) return true;
+            const reason = !sprint.id ? 'no usable id'
+                : !sprint.startDate || !sprint.endDate ? 'missing or unreadable start/end date'
+                    : `end date ${sprint.endDate} is before start date ${sprint.startDate}`;
+            log.dropped(rawData[index], index, sprint.name, reason);
+            return false;
+        })
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// =============================================
+// STATUS & PRIORITY VOCABULARY (optional STATUSES / PRIORITIES tabs)
+// =============================================
+// A team's own statuses ("QA", "UAT Done") and priorities ("P0".."P2").
+// Each entry says what it counts as, so dashboards, burndown and
+// notifications keep working; labels, colors and order drive the UI.
+// =============================================
+
+// counts_as words that aren't status names themselves
+const STATUS_CATEGORY_ALIASES = { done: 'completed', active: 'in-progress', started: 'in-progress' };
+
+/**
+ * Id for a vocabulary value: "UAT Done" → "uat-done"
+ */
+function toVocabularyId(value) {
+    return sanitizeId(String(value || '').trim().replace(/\s+/g, '-'));
+}
+
+function sanitizeHexColor(color, fallback) {
+    const cleaned = String(color || '').trim();
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(cleaned) ? cleaned : fallback;
+}
+
+/**
+ * Entry whose id or label matches a sheet value
+ * @returns {Object|null}
+ */
+function findVocabularyEntry(entries, value) {
+    const id = toVocabularyId(value);
+    if (!id || !entries) return null;
+    return entries.find(entry => entry.id === id || toVocabularyId(entry.label) === id) || null;
+}
+
+/**
+ * Entry for a task's value, or the default entry when it isn't listed
+ * @param {Object[]} entries - Vocabulary, empty when the tab isn't used
+ * @param {string} defaultCategory - Category of the entry used for blank/unknown values
+ * @returns {Object|null} null when there is no vocabulary
+ */
+function readVocabularyValue(entries, value, defaultCategory) {
+    if (!entries || entries.length === 0) return null;
+    return findVocabularyEntry(entries, value)
+        || entries.find(entry => entry.category === defaultCategory)
+        || entries[0];
+}
+
+/**
+ * Shared row reading for STATUSES and PRIORITIES
+ * @param {Function} resolveCategory - (counts_as, value, index, count) → category or null
+ */
+function normalizeVocabulary(rawData, sheetName, valueColumn, resolveCategory, defaults, transformations) {
+    if (!Array.isArray(rawData)) {
+        throw new Error(`${sheetName} data must be an array`);
+    }
+    const log = createTransformationLog(transformations, sheetName);
+    const seen = new Set();
+    
+    return rawData.map((row, index) => {
+        const value = sanitizeText(row[valueColumn] || row[valueColumn[0].toUpperCase() + valueColumn.slice(1)] || row.name || row.Name || '');
+        const id = toVocabularyId(value);
+        if (!id || seen.has(id)) {
+            log.dropped(row, index, value, id ? `duplicate ${valueColumn}` : `no ${valueColumn}`);
+            return null;
+        }
+        seen.add(id);
+        
+        const countsAs = sanitizeText(row.counts_as || row['counts as'] || row.countsAs || row.category || '');
+        let category = resolveCategory(countsAs, value, index, rawData.length);
+        if (!category) {
+            category = resolveCategory('', value, index, rawData.length);
+            log.coerced(row, index, 'counts_as', countsAs, category, `not one of ${defaults.categories.join(', ')}`);
+        }
+        
+        const base = defaults.config[category];
+        const colorRaw = row.color || row.Color || row.colour || '';
+        const color = sanitizeHexColor(colorRaw, base.color);
+        if (colorRaw && color !== colorRaw.trim()) {
+            log.coerced(row, index, 'color', colorRaw, color, 'not a hex color like #2563eb');
+        }
+        const iconRaw = sanitizeText(row.icon || row.Icon || '').toLowerCase();
+        const icon = SVG_ICONS[iconRaw] ? iconRaw : (base.icon || null);
+        if (iconRaw && !SVG_ICONS[iconRaw]) {
+            log.coerced(row, index, 'icon', iconRaw, icon || '', `not one of ${Object.keys(SVG_ICONS).join(', ')}`);
+        }
+        
+        return {
+            id,
+            value, // As written in the sheet, used when writing a task back
+            label: sanitizeText(row.label || row.Label || value),
+            color,
+            icon,
+            order: parseNumericField(row.order || row.Order, index + 1),
+            category
+        };
+    })
+        .filter(Boolean)
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Normalize STATUSES data (optional)
+ * DATA CONTRACT: STATUSES sheet should have:
+ *   - status (required): Status as written in TASKS (e.g. "QA", "UAT Done")
+ *   - label (optional): Display name, defaults to the status
+ *   - color (optional): Hex color, defaults to the color of what it counts as
+ *   - icon (optional): Icon name (clock, check, blocked, search, tasks, alert, ...)
+ *   - order (optional): Position in filters, charts and Kanban columns (NUMBER)
+ *   - counts_as (optional): done|active|blocked|review|pending|todo - defaults to the
+ *     built-in status with the same name, else todo
+ * Tasks whose status isn't listed use the first entry counting as todo.
+ * @returns {Object[]} [{ id, label, color, icon, order, category }] in order, [] = built-ins
+ */
+function normalizeStatuses(rawData, transformations = []) {
+    return normalizeVocabulary(rawData, 'STATUSES', 'status', (countsAs, value) => {
+        if (countsAs) {
+            const key = countsAs.toLowerCase();
+            return STATUS_CATEGORY_ALIASES[key] || resolveTaskStatus(key);
+        }
+        return resolveTaskStatus(value) || 'todo';
+    }, {
+        categories: ['done', 'active', ...VALID_TASK_STATUS_LIST],
+        config: STATUS_CONFIG
+    }, transformations);
+}
+
+/**
+ * Normalize PRIORITIES data (optional)
+ * DATA CONTRACT: PRIORITIES sheet should have:
+ *   - priority (required): Priority as written in TASKS (e.g. "P0")
+ *   - label, color, icon, order (optional): As for STATUSES
+ *   - counts_as (optional): urgent|normal|low - defaults to the built-in priority
+ *     with the same name; otherwise the first row is urgent, the last low
+ *     (with three or more rows) and the rest normal
+ * @returns {Object[]} [{ id, label, color, icon, order, category }] in order, [] = built-ins
+ */
+function normalizePriorities(rawData, transformations = []) {
+    return normalizeVocabulary(rawData, 'PRIORITIES', 'priority', (countsAs, value, index, count) => {
+        if (countsAs) return resolvePriority(countsAs);
+        const known = resolvePriority(value);
+        if (known) return known;
+        if (index === 0 && count > 1) return 'urgent';
+        if (index === count - 1 && count > 2) return 'low';
+        return 'normal';
+    }, {
+        categories: VALID_PRIORITY_LIST,
+        config: PRIORITY_CONFIG
+    }, transformations);
+}
+
+// =============================================
+// CUSTOM FIELDS (extra TASKS columns)
+// =============================================
+// TASKS columns the tracker has no use for are kept as custom fields
+// instead of being dropped. A header may declare its type -
+// "Story Points:number", "Env:enum(dev|staging|prod)" - otherwise the
+// type is inferred from the column's values.
+// =============================================
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'url', 'enum'];
+
+// A column with this many distinct values or fewer (and some repeats) is an enum
+const CUSTOM_FIELD_ENUM_MAX_OPTIONS = 8;
+
+// Case, spaces and underscores don't tell headers apart:
+// "baseline_start", "Baseline Start" and "baselineStart" are all "baselinestart"
+function getTaskColumnKey(header) {
+    return String(header).toLowerCase().replace(/[\s_]+/g, '');
+}
+
+// Headers normalizeTasks() reads, including the variants it accepts
+const TASK_COLUMN_NAMES = new Set([
+    ...DATA_CONTRACT.TASKS.required, ...DATA_CONTRACT.TASKS.optional,
+    'title', 'task', 'jira', 'jira_link', 'blocker', 'dependencies', 'sprint'
+].map(getTaskColumnKey));
+
+function isTaskColumn(header) {
+    return TASK_COLUMN_NAMES.has(getTaskColumnKey(header));
+}
+
+/**
+ * Split "Story Points:number" / "Env:enum(dev|prod)" into label, type and options
+ * @returns {{label: string, type: string|null, options: string[]|null}}
+ */
+function parseCustomFieldHeader(header) {
+    const match = String(header).match(/^(.*?)\s*:\s*(\w+)\s*(?:\(([^)]*)\))?\s*$/);
+    const type = match && match[2].toLowerCase();
+    if (!match || !match[1] || !CUSTOM_FIELD_TYPES.includes(type)) {
+        return { label: sanitizeText(header), type: null, options: null };
+    }
+    const options = type === 'enum' && match[3]
+        ? match[3].split('|').map(option => sanitizeText(option)).filter(Boolean)
+        : null;
+    return { label: sanitizeText(match[1]), type, options };
+}
+
+function isDateLike(value) {
+    return /^\d{4}-\d{1,2}-\d{1,2}/.test(value) || /^\d{1,2}[/.]\d{1,2}[/.]\d{2,4}$/.test(value);
+}
+
+/**
+ * Most specific type every value fits: number, date, url, enum, else text
+ */
+function inferCustomFieldType(values) {
+    if (values.length === 0) return 'text';
+    if (values.every(value => /^-?\d+(\.\d+)?$/.test(value))) return 'number';
+    if (values.every(value => isDateLike(value) && sanitizeDate(value))) return 'date';
+    if (values.every(value => /^https?:\/\//i.test(value))) return 'url';
+    const distinct = new Set(values.map(value => value.toLowerCase()));
+    if (distinct.size <= CUSTOM_FIELD_ENUM_MAX_OPTIONS && distinct.size < values.length) return 'enum';
+    return 'text';
+}
+
+/**
+ * Custom fields of a TASKS sheet, in column order
+ * @param {Object[]} rawData - TASKS rows
+ * @returns {Array<{key, label, header, type, declared, options}>} options lists enum values
+ */
+function getCustomFieldDefinitions(rawData) {
+    if (!Array.isArray(rawData) || rawData.length === 0) return [];
+    
+    const headers = [...new Set(rawData.flatMap(row => Object.keys(row)))]
+        .filter(header => header.trim() && !isTaskColumn(header));
+    const usedKeys = new Set();
+    
+    return headers.map(header => {
+        const { label, type: declaredType, options: declaredOptions } = parseCustomFieldHeader(header);
+        let key = sanitizeId(label.replace(/\s+/g, '_')) || `field_${usedKeys.size + 1}`;
+        while (usedKeys.has(key)) key = `${key}_2`;
+        usedKeys.add(key);
+        
+        const values = rawData.map(row => sanitizeText(row[header])).filter(Boolean);
+        const type = declaredType || inferCustomFieldType(values);
+        let options = null;
+        if (type === 'enum') {
+            options = declaredOptions || values.filter((value, index) =>
+                values.findIndex(other => other.toLowerCase() === value.toLowerCase()) === index);
+        }
+        return { key, label, header, type, declared: Boolean(declaredType), options };
+    });
+}
+
+/**
+ * Typed custom field values of one TASKS row
+ * Values that don't fit a declared type are logged and left empty
+ * @param {Object} log - createTransformationLog() for TASKS
+ * @returns {Object<string, string|number|null>} Empty values are null
+ */
+function readCustomFields(row, index, fields, log) {
+    const values = {};
+    fields.forEach(field => {
+        const raw = sanitizeText(row[field.header]);
+        let value = null;
+        if (raw) {
+            if (field.type === 'number') {
+                const number = parseFloat(raw.replace(/,/g, ''));
+                value = Number.isFinite(number) ? number : null;
+            } else if (field.type === 'date') {
+                value = sanitizeDate(raw) || null;
+            } else if (field.type === 'url') {
+                // renderer.js's sanitizeUrl() answers rejected links with '#'
+                const url = sanitizeUrl(raw);
+                value = url && url !== '#' ? url : null;
+            } else if (field.type === 'enum') {
+                value = field.options.find(option => option.toLowerCase() === raw.toLowerCase()) || null;
+            } else {
+                value = raw;
+            }
+            if (value === null) {
+                const expected = field.type === 'enum' ? `one of ${field.options.join(', ')}` : `a ${field.type}`;
+                log.coerced(row, index, field.header, raw, '', `not ${expected} - left empty`);
+            }
+        }
+        values[field.key] = value;
+    });
+    return values;
+}
+
+// =============================================
+// DATA HEALTH (issues by sheet, row and column)
+// =============================================
+// Problems the normalizers fix quietly or drop, found on the raw rows
+// so every issue can point at the cell to fix in the sheet.
+// =============================================
+
+// Sheet row of each parsed row (header = row 1). Rows read back from
+// storage aren't in here and fall back to their position.
+const sheetRowNumbers = new WeakMap();
+
+function getSheetRow(row, index) {
+    return sheetRowNumbers.get(row) || index + 2;
+}
+
+/**
+ * Which of the accepted header spellings a row uses
+ * @returns {string|null} Header as written in the sheet
+ */
+function findColumn(row, candidates) {
+    return candidates.find(name => Object.prototype.hasOwnProperty.call(row, name)) || null;
+}
+
+/**
+ * Spreadsheet column letter for a 0-based index (0 → A, 26 → AA)
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Why a dated task won't show where its owner expects, or null
+ * @param {object} task - { sprintId, startDate, endDate }
+ * @param {object} data - Normalized data (sprints, sprintConfig)
+ */
+function getSprintDateProblem(task, data) {
+    if (data.sprints && data.sprints.length > 0) {
+        if (task.sprintId) {
+            const sprint = data.sprints.find(s => s.id === task.sprintId);
+            if (!sprint) return `sprint_id "${task.sprintId}" is not in SPRINTS - the task is never shown`;
+            return task.startDate < sprint.startDate || task.endDate > sprint.endDate
+                ? `dates fall outside ${sprint.name} (${sprint.startDate} to ${sprint.endDate})`
+                : null;
+        }
+        const sprint = data.sprints.find(s => isInSprint(task, task.startDate, s));
+        if (!sprint) return 'starts outside every sprint in SPRINTS - the task is never shown';
+        return task.endDate > sprint.endDate ? `ends after ${sprint.name} (${sprint.endDate})` : null;
+    }
+    
+    const config = data.sprintConfig;
+    if (!config || !config.startDate || !config.endDate) return null;
+    return task.startDate < config.startDate || task.endDate > config.endDate
+        ? `dates fall outside the sprint (${config.startDate} to ${config.endDate})`
+        : null;
+}
+
+/**
+ * Check the raw sheet rows
+ * @param {Object} raw - Rows per sheet, as loaded
+ * @param {Object} data - The same rows normalized (teamMembers, sprints, sprintConfig)
+ * @returns {Object[]} Issues: { sheet, row, column, columnIndex, severity: 'error'|'warning', message, value }
+ */
+function checkDataHealth(raw, data) {
+    const issues = [];
+    const add = (sheet, row, rowNumber, column, severity, message, value = '') => {
+        issues.push({
+            sheet,
+            row: rowNumber,
+            column,
+            columnIndex: column ? Object.keys(row).indexOf(column) : -1,
+            severity,
+            message,
+            value: String(value)
+        });
+    };
+    
+    // MEMBERS: duplicate ids
+    const seenMembers = new Set();
+    (raw.MEMBERS || []).forEach((row, index) => {
+        const id = sanitizeId(row.id || row.Id || row.ID || '');
+        if (id && seenMembers.has(id)) {
+            add('MEMBERS', row, getSheetRow(row, index), findColumn(row, ['id', 'Id', 'ID']), 'error',
+                `Duplicate member id "${id}" - tasks can't tell these members apart`, id);
+        }
+        seenMembers.add(id);
+    });
+    
+    // TASKS
+    const memberIds = new Set((data.teamMembers || []).map(m => m.id));
+    const taskRows = raw.TASKS || [];
+    const taskIds = new Set(taskRows.map((row, index) => sanitizeId(row.id || row.Id || row.ID || `T-${index + 1}`)));
+    const seenTasks = new Set();
+    
+    taskRows.forEach((row, index) => {
+        const rowNumber = getSheetRow(row, index);
+        const id = sanitizeId(row.id || row.Id || row.ID || `T-${index + 1}`);
+        const label = sanitizeText(row.title || row.Title || row.task || row.name || id);
+        
+        if (seenTasks.has(id)) {
+            add('TASKS', row, rowNumber, findColumn(row, ['id', 'Id', 'ID']), 'error',
+                `Duplicate task id "${id}" - dependencies may point at the wrong task`, id);
+        }
+        seenTasks.add(id);
+        
+        const ownerValue = row.owner || row.Owner || '';
+        parseOwners(ownerValue).forEach(owner => {
+            if (owner.id === 'unassigned' || owner.id === 'both' || memberIds.has(owner.id)) return;
+            add('TASKS', row, rowNumber, findColumn(row, ['owner', 'Owner']), 'warning',
+                `"${label}": owner "${owner.id}" is not in MEMBERS`, ownerValue);
+        });
+        
+        const startColumn = findColumn(row, ['start_date', 'start date', 'StartDate']);
+        const endColumn = findColumn(row, ['end_date', 'end date', 'EndDate']);
+        const rawStart = row.start_date || row['start date'] || row.StartDate || '';
+        const rawEnd = row.end_date || row['end date'] || row.EndDate || '';
+        const startDate = sanitizeDate(rawStart);
+        const endDate = sanitizeDate(rawEnd);
+        if (rawStart && !startDate) {
+            add('TASKS', row, rowNumber, startColumn, 'error', `"${label}": start date is not a date (use YYYY-MM-DD)`, rawStart);
+        }
+        if (rawEnd && !endDate) {
+            add('TASKS', row, rowNumber, endColumn, 'error', `"${label}": end date is not a date (use YYYY-MM-DD)`, rawEnd);
+        }
+        if (!isValidDateRange(startDate, endDate)) {
+            add('TASKS', row, rowNumber, endColumn, 'error',
+                `"${label}": end date is before start date - the task is hidden`, `${rawStart} → ${rawEnd}`);
+        } else if (startDate && endDate) {
+            const sprintId = sanitizeId(row.sprint_id || row['sprint id'] || row.sprint || '');
+            const problem = getSprintDateProblem({ sprintId, startDate, endDate }, data);
+            if (problem) {
+                add('TASKS', row, rowNumber, startColumn, 'warning', `"${label}": ${problem}`, `${startDate} → ${endDate}`);
+            }
+        }
+        
+        const rawStatus = row.status || row.Status || '';
+        if (rawStatus && data.statuses && data.statuses.length > 0) {
+            if (!findVocabularyEntry(data.statuses, rawStatus)) {
+                add('TASKS', row, rowNumber, findColumn(row, ['status', 'Status']), 'warning',
+                    `"${label}": status "${rawStatus}" is not in STATUSES - shown as ${readVocabularyValue(data.statuses, '', 'todo').label}`, rawStatus);
+            }
+        } else if (rawStatus && !resolveTaskStatus(rawStatus)) {
+            add('TASKS', row, rowNumber, findColumn(row, ['status', 'Status']), 'warning',
+                `"${label}": unknown status "${rawStatus}" is shown as To Do`, rawStatus);
+        }
+        
+        const rawBaselineStart = row.baseline_start || row['baseline start'] || row.baselineStart || '';
+        const rawBaselineEnd = row.baseline_end || row['baseline end'] || row.baselineEnd || '';
+        const baselineEndColumn = findColumn(row, ['baseline_end', 'baseline end', 'baselineEnd']);
+        if (rawBaselineStart && !sanitizeDate(rawBaselineStart)) {
+            add('TASKS', row, rowNumber, findColumn(row, ['baseline_start', 'baseline start', 'baselineStart']), 'warning',
+                `"${label}": baseline start is not a date (use YYYY-MM-DD)`, rawBaselineStart);
+        }
+        if (rawBaselineEnd && !sanitizeDate(rawBaselineEnd)) {
+            add('TASKS', row, rowNumber, baselineEndColumn, 'warning', `"${label}": baseline end is not a date (use YYYY-MM-DD)`, rawBaselineEnd);
+        } else if (!isValidDateRange(sanitizeDate(rawBaselineStart), sanitizeDate(rawBaselineEnd))) {
+            add('TASKS', row, rowNumber, baselineEndColumn, 'warning',
+                `"${label}": baseline end is before baseline start - no baseline is shown`, `${rawBaselineStart} → ${rawBaselineEnd}`);
+        }
+        
+        const dependsOn = sanitizeText(row.depends_on || row['depends on'] || row.dependsOn || row.dependencies || '');
+        dependsOn.split(',').map(depId => sanitizeId(depId)).filter(Boolean).forEach(depId => {
+            if (taskIds.has(depId)) return;
+            add('TASKS', row, rowNumber, findColumn(row, ['depends_on', 'depends on', 'dependsOn', 'dependencies']), 'warning',
+                `"${label}": depends on unknown task "${depId}"`, dependsOn);
+        });
+    });
+    
+    // MILESTONES
+    const seenMilestones = new Set();
+    (raw.MILESTONES || []).forEach((row, index) => {
+        const rowNumber = getSheetRow(row, index);
+        const label = sanitizeText(row.title || row.Title || row.milestone || `Milestone ${index + 1}`);
+        const id = sanitizeId(row.id || row.Id || '');
+        const idColumn = findColumn(row, ['id', 'Id']);
+        
+        if (!id) {
+            add('MILESTONES', row, rowNumber, idColumn, 'warning', `"${label}" has no id`);
+        } else if (seenMilestones.has(id)) {
+            add('MILESTONES', row, rowNumber, idColumn, 'error', `Duplicate milestone id "${id}"`, id);
+        }
+        seenMilestones.add(id);
+        
+        const rawDate = row.date || row.Date || '';
+        const dateColumn = findColumn(row, ['date', 'Date']);
+        if (!rawDate) {
+            add('MILESTONES', row, rowNumber, dateColumn, 'error', `"${label}" has no date - the milestone is hidden`);
+        } else if (!sanitizeDate(rawDate)) {
+            add('MILESTONES', row, rowNumber, dateColumn, 'error',
+                `"${label}": date is not a date (use YYYY-MM-DD) - the milestone is hidden`, rawDate);
+        }
+    });
+    
+    return issues;
+}
+
+/**
+ * Google Sheets link to the cell (or row) an issue is about
+ * @returns {string|null} null when the data doesn't come from a Google Sheet tab with a numeric gid
+ */
+function getDataHealthLink(issue) {
+    if (!issue.row || !issue.sheet || appData.source !== 'google-sheets') return null;
+    
+    const gid = GOOGLE_SHEETS_CONFIG.gids[issue.sheet];
+    if (!/^\d+$/.test(gid || '')) return null;
+    
+    const range = issue.columnIndex >= 0 ? `${getColumnLetter(issue.columnIndex)}${issue.row}` : `${issue.row}:${issue.row}`;
+    return `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEETS_CONFIG.sheetId}/edit#gid=${gid}&range=${range}`;
+}
+
+// =============================================
+// LOCAL FILE IMPORT (CSV / XLSX)
+// =============================================
+
+const DATA_SOURCE_STORAGE_KEY = 'fmb-data-source';
+const LOCAL_SHEETS_STORAGE_KEY = 'fmb-local-sheets';
+
+// Imported rows for this session (used when localStorage is full or unavailable)
+let localSheetsCache = null;
+
+/**
+ * Whether imported files override DATA_SOURCE_CONFIG: 'files' or 'configured' (default)
+ */
+function getDataSourceMode(workspaceId = getActiveWorkspaceId()) {
+    try {
+        return localStorage.getItem(workspaceKey(DATA_SOURCE_STORAGE_KEY, workspaceId)) === 'files' ? 'files' : 'configured';
+    } catch (e) {
+        return localSheetsCache && workspaceId === getActiveWorkspaceId() ? 'files' : 'configured';
+    }
+}
+
+/**
+ * Get the last imported files: { files, importedAt, sheets }
+ */
+function getStoredLocalSheets(workspaceId = getActiveWorkspaceId()) {
+    if (localSheetsCache && workspaceId === getActiveWorkspaceId()) return localSheetsCache;
+    try {
+        const stored = JSON.parse(localStorage.getItem(workspaceKey(LOCAL_SHEETS_STORAGE_KEY, workspaceId)) || 'null');
+        return stored && stored.sheets ? stored : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveLocalSheets(entry) {
+    localSheetsCache = entry;
+    try {
+        localStorage.setItem(workspaceKey(LOCAL_SHEETS_STORAGE_KEY), JSON.stringify(entry));
+        localStorage.setItem(workspaceKey(DATA_SOURCE_STORAGE_KEY), 'files');
+    } catch (e) {
+        console.warn('⚠️ Could not persist imported files - they will be used for this session only:', e);
+    }
+}
+
+/**
+ * Load data from previously imported local files
+ */
+async function loadFromLocalFiles(workspaceId = getActiveWorkspaceId()) {
+    console.log('📂 Loading from local files...');
+    
+    const stored = getStoredLocalSheets(workspaceId);
+    if (!stored) {
+        throw new Error('No local files imported yet. Use "Load from files" to pick your CSV or XLSX files.');
+    }
+    
+    const loaders = {};
+    SHEET_NAMES.forEach(name => {
+        loaders[name] = stored.sheets[name] ? async () => stored.sheets[name] : null;
+    });
+    return loadSheetsInParallel(loaders);
+}
+
+/**
+ * Map a file or workbook tab name to a sheet name
+ * Accepts "TASKS.csv", "TASKS_template.csv" and Google Sheets
+ * downloads such as "Sprint Tracker - TASKS.csv"
+ * @returns {string|null}
+ */
+function matchSheetName(name) {
+    const key = String(name).replace(/\.[^.]+$/, '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return SHEET_NAMES.find(sheet =>
+        key === sheet || key.startsWith(`${sheet}_`) || key.endsWith(`_${sheet}`)
+    ) || null;
+}
+
+/**
+ * Import CSV files and/or an .xlsx workbook picked or dropped by the user
+ * New sheets replace earlier imports of the same tab; other tabs are kept
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<boolean>} Whether the dashboard now shows the files
+ */
+async function importDataFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return false;
+    
+    setFileImportStatus(`Reading ${files.length} file${files.length === 1 ? '' : 's'}...`);
+    
+    try {
+        const sheets = {};
+        const used = [];
+        const skipped = [];
+        
+        for (const file of files) {
+            const fileName = file.name.toLowerCase();
+            if (fileName.endsWith('.xlsx')) {
+                const workbook = await parseXlsxWorkbook(await file.arrayBuffer());
+                Object.entries(workbook).forEach(([tabName, rows]) => {
+                    const sheet = matchSheetName(tabName);
+                    if (sheet) sheets[sheet] = rows;
+                });
+                used.push(file.name);
+            } else if (fileName.endsWith('.csv') && matchSheetName(file.name)) {
+                sheets[matchSheetName(file.name)] = parseCSV(await file.text());
+                used.push(file.name);
+            } else {
+                skipped.push(file.name);
+            }
+        }
+        
+        if (Object.keys(sheets).length === 0) {
+            throw new Error(`No sheets recognised. Name CSV files after their tab (e.g. TASKS.csv) or use an .xlsx workbook with tabs named ${SHEET_NAMES.join(', ')}.`);
+        }
+        
+        // Keep tabs from the previous import so a single updated CSV can be dropped in
+        const previous = getDataSourceMode() === 'files' ? getStoredLocalSheets() : null;
+        const merged = { ...(previous ? previous.sheets : {}), ...sheets };
+        const missing = REQUIRED_SHEETS.filter(name => !merged[name]);
+        if (missing.length > 0) {
+            throw new Error(`Missing required sheets: ${missing.join(', ')}`);
+        }
+        
+        saveLocalSheets({
+            files: [...new Set([...(previous ? previous.files : []), ...used])],
+            importedAt: new Date().toISOString(),
+            sheets: merged
+        });
+        
+        if (skipped.length > 0) {
+            console.warn('⚠️ Skipped unrecognised files:', skipped);
+        }
+        console.log(`✅ Imported ${Object.keys(sheets).join(', ')} from ${used.join(', ')}`);
+        
+        const existingError = document.getElementById('data-error');
+        if (existingError) existingError.remove();
+        
+        const success = await refreshData();
+        if (success) {
+            closeFileImport();
+            if (typeof showToast === 'function') {
+                const note = skipped.length > 0 ? ` (skipped ${skipped.join(', ')})` : '';
+                showToast(`Loaded ${Object.keys(sheets).join(', ')} from local files${note}`, 'success');
+            }
+        }
+        return success;
+    } catch (error) {
+        console.error('❌ Error importing files:', error);
+        setFileImportStatus(error.message, true);
+        if (typeof showToast === 'function') {
+            showToast(`Import failed: ${error.message}`, 'error', 5000);
+        }
+        return false;
+    }
+}
+
+/**
+ * Switch back from local files to the source in DATA_SOURCE_CONFIG
+ */
+async function useConfiguredSource() {
+    localSheetsCache = null;
+    try {
+        localStorage.removeItem(workspaceKey(LOCAL_SHEETS_STORAGE_KEY));
+        localStorage.setItem(workspaceKey(DATA_SOURCE_STORAGE_KEY), 'configured');
+    } catch (e) {
+        console.warn('Could not clear imported files:', e);
+    }
+    closeFileImport();
+    return refreshData();
+}
+
+// ---------- XLSX reading ----------
+
+/**
+ * Parse an .xlsx workbook into rows per tab
+ * Uses the browser's DecompressionStream - no spreadsheet library needed
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Object<string, Object[]>>} Tab name → array of row objects
+ */
+async function parseXlsxWorkbook(buffer) {
+    const entries = await readZipEntries(buffer);
+    const parseXml = text => new DOMParser().parseFromString(text, 'application/xml');
+    
+    if (!entries['xl/workbook.xml']) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+    }
+    
+    // Relationship id → worksheet path
+    const targets = {};
+    if (entries['xl/_rels/workbook.xml.rels']) {
+        const rels = parseXml(entries['xl/_rels/workbook.xml.rels']).getElementsByTagName('Relationship');
+        Array.from(rels).forEach(rel => {
+            const target = rel.getAttribute('Target') || '';
+            targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        });
+    }
+    
+    const sharedStrings = entries['xl/sharedStrings.xml']
+        ? Array.from(parseXml(entries['xl/sharedStrings.xml']).getElementsByTagName('si'))
+            .map(si => Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+        : [];
+    const dateStyles = getXlsxDateStyles(entries['xl/styles.xml'] ? parseXml(entries['xl/styles.xml']) : null);
+    
+    const workbook = {};
+    const sheets = parseXml(entries['xl/workbook.xml']).getElementsByTagName('sheet');
+    Array.from(sheets).forEach((sheet, index) => {
+        const relId = sheet.getAttribute('r:id');
+        const path = targets[relId] || `xl/worksheets/sheet${index + 1}.xml`;
+        if (!entries[path]) return;
+        workbook[sheet.getAttribute('name')] = parseXlsxSheet(parseXml(entries[path]), sharedStrings, dateStyles);
+    });
+    
+    return workbook;
+}
+
+/**
+ * Read the XML parts of a zip archive (an .xlsx file is a zip of XML files)
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Object<string, string>>} Entry path → text
+ */
+async function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+    
+    // End-of-central-directory record: last 22 bytes plus an optional comment
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('File is not a valid .xlsx workbook');
+    
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = {};
+    
+    for (let n = 0; n < entryCount; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        if (!/\.(xml|rels)$/.test(name)) continue;
+        
+        // Local header has its own name/extra lengths before the data
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        entries[name] = decoder.decode(await inflateZipEntry(data, method));
+    }
+    
+    return entries;
+}
+
+async function inflateZipEntry(data, method) {
+    if (method === 0) return data; // stored
+    if (method !== 8) throw new Error(`Unsupported zip compression (method ${method})`);
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read .xlsx files - export each tab as CSV instead');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Find cell style indexes that format numbers as dates
+ * Excel stores dates as serial numbers; only the style tells them apart
+ * @returns {Set<number>}
+ */
+function getXlsxDateStyles(stylesDoc) {
+    const dateStyles = new Set();
+    if (!stylesDoc) return dateStyles;
+    
+    const customFormats = {};
+    Array.from(stylesDoc.getElementsByTagName('numFmt')).forEach(fmt => {
+        customFormats[fmt.getAttribute('numFmtId')] = fmt.getAttribute('formatCode') || '';
+    });
+    
+    const cellXfs = stylesDoc.getElementsByTagName('cellXfs')[0];
+    if (!cellXfs) return dateStyles;
+    
+    Array.from(cellXfs.getElementsByTagName('xf')).forEach((xf, index) => {
+        const formatId = Number(xf.getAttribute('numFmtId'));
+        const code = customFormats[formatId];
+        const isBuiltInDate = (formatId >= 14 && formatId <= 22) || (formatId >= 45 && formatId <= 47);
+        // Ignore quoted literals and [color]/[locale] blocks when sniffing custom formats
+        const isCustomDate = code && /[dmy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]/g, ''));
+        if (isBuiltInDate || isCustomDate) dateStyles.add(index);
+    });
+    
+    return dateStyles;
+}
+
+/**
+ * Convert a worksheet into row objects keyed by the header row (same shape as parseCSV)
+ */
+function parseXlsxSheet(sheetDoc, sharedStrings, dateStyles) {
+    const grid = [];
+    
+    Array.from(sheetDoc.getElementsByTagName('row')).forEach((row, index) => {
+        const values = [];
+        let nextColumn = 0;
+        Array.from(row.getElementsByTagName('c')).forEach(cell => {
+            const ref = cell.getAttribute('r');
+            const column = ref ? xlsxColumnIndex(ref) : nextColumn;
+            values[column] = readXlsxCell(cell, sharedStrings, dateStyles);
+            nextColumn = column + 1;
+        });
+        const cells = Array.from(values, value => (value || '').trim());
+        cells.number = parseInt(row.getAttribute('r'), 10) || index + 1;
+        grid.push(cells);
+    });
+    
+    const rows = grid.filter(values => values.some(Boolean));
+    if (rows.length === 0) return [];
+    
+    const headers = rows[0];
+    return rows.slice(1).map(values => {
+        const row = {};
+        headers.forEach((header, index) => {
+            if (header) row[header] = values[index] || '';
+        });
+        sheetRowNumbers.set(row, values.number);
+        return row;
+    });
+}
+
+function readXlsxCell(cell, sharedStrings, dateStyles) {
+    const type = cell.getAttribute('t');
+    const valueNode = cell.getElementsByTagName('v')[0];
+    const raw = valueNode ? valueNode.textContent : '';
+    
+    switch (type) {
+        case 's':
+            return sharedStrings[Number(raw)] || '';
+        case 'inlineStr':
+            return Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'e':
+            return '';
+        default:
+            if (raw !== '' && dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+                return excelSerialToDate(Number(raw));
+            }
+            return raw;
+    }
+}
+
+/**
+ * "AB12" → 27 (zero-based column index)
+ */
+function xlsxColumnIndex(ref) {
+    const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+    let index = 0;
+    for (let i = 0; i < letters.length; i++) {
+        index = index * 26 + (letters.charCodeAt(i) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Excel date serial (days since 1899-12-30) → YYYY-MM-DD
+ */
+function excelSerialToDate(serial) {
+    const ms = Math.round((serial - 25569) * 86400000);
+    return new Date(ms).toISOString().split('T')[0];
+}
+
+// ---------- Import dialog ----------
+
+function openFileImport() {
+    const overlay = document.getElementById('file-import-overlay');
+    if (!overlay) return;
+    setFileImportStatus();
+    overlay.classList.add('active');
+}
+
+function closeFileImport() {
+    const overlay = document.getElementById('file-import-overlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+/**
+ * Show progress/errors in the import dialog, or the current source when no message is given
+ */
+function setFileImportStatus(message, isError = false) {
+    const status = document.getElementById('file-import-status');
+    const sheetsBtn = document.getElementById('file-import-sheets-btn');
+    const stored = getDataSourceMode() === 'files' ? getStoredLocalSheets() : null;
+    const configured = DATA_SOURCE_ADAPTERS[DATA_SOURCE_CONFIG.type];
+    const canSwitchBack = stored && DATA_SOURCE_CONFIG.type !== 'local-files';
+    if (sheetsBtn) {
+        sheetsBtn.hidden = !canSwitchBack;
+        if (configured) sheetsBtn.textContent = `Use ${configured.label}`;
+    }
+    if (!status) return;
+    
+    status.classList.toggle('is-error', isError);
+    if (message) {
+        status.textContent = message;
+    } else if (stored) {
+        const importedAt = new Date(stored.importedAt).toLocaleString();
+        status.textContent = `Showing ${Object.keys(stored.sheets).join(', ')} from ${stored.files.join(', ')} (imported ${importedAt}).`;
+    } else {
+        status.textContent = `Currently showing data from ${configured ? configured.label : DATA_SOURCE_CONFIG.type}.`;
+    }
+}
+
+/**
+ * Accept files dropped on the dialog's drop zone or anywhere on the page
+ */
+function initializeFileDrop() {
+    const dropzone = document.getElementById('file-import-dropzone');
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    
+    window.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        if (dropzone) dropzone.classList.add('is-dragging');
+    });
+    window.addEventListener('dragleave', (e) => {
+        if (dropzone && !e.relatedTarget) dropzone.classList.remove('is-dragging');
+    });
+    window.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        if (dropzone) dropzone.classList.remove('is-dragging');
+        openFileImport();
+        importDataFiles(e.dataTransfer.files);
+    });
+}
+
+// =============================================
+// WORKSPACES (one per team)
+// =============================================
+
+const WORKSPACES_STORAGE_KEY = 'fmb-workspaces';
+const ACTIVE_WORKSPACE_STORAGE_KEY = 'fmb-active-workspace';
+const DEFAULT_WORKSPACE_ID = 'default';
+
+/**
+ * Saved workspaces - the built-in "Default" one always comes first
+ * @returns {Array<{id: string, name: string}>}
+ */
+function getWorkspaces() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(WORKSPACES_STORAGE_KEY) || '[]');
+    } catch (e) {
+        saved = [];
+    }
+    const list = Array.isArray(saved) ? saved.filter(ws => ws && ws.id && ws.name) : [];
+    if (!list.some(ws => ws.id === DEFAULT_WORKSPACE_ID)) {
+        list.unshift({ id: DEFAULT_WORKSPACE_ID, name: 'Default' });
+    }
+    return list;
+}
+
+function saveWorkspaces(workspaces) {
+    try {
+        localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(workspaces));
+    } catch (e) {
+        console.warn('Could not save workspaces:', e);
+    }
+}
+
+function getActiveWorkspaceId() {
+    try {
+        const id = localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+        return id && getWorkspaces().some(ws => ws.id === id) ? id : DEFAULT_WORKSPACE_ID;
+    } catch (e) {
+        return DEFAULT_WORKSPACE_ID;
+    }
+}
+
+function getActiveWorkspace() {
+    const id = getActiveWorkspaceId();
+    return getWorkspaces().find(ws => ws.id === id);
+}
+
+/**
+ * Per-workspace version of a storage key or record id
+ * The Default workspace keeps the plain key so existing settings and history carry over.
+ * Each workspace therefore has its own data settings, imported files, selected sprint,
+ * theme, widget order and burndown/velocity history.
+ */
+function workspaceKey(key, workspaceId = getActiveWorkspaceId()) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? key : `${key}@${workspaceId}`;
+}
+
+/**
+ * Add a workspace and switch to it
+ * @returns {Promise<object|null>} The new workspace
+ */
+async function createWorkspace(name) {
+    const cleanName = sanitizeText(name).slice(0, 60);
+    if (!cleanName) return null;
+    
+    const workspaces = getWorkspaces();
+    const workspace = { id: `ws-${Date.now().toString(36)}`, name: cleanName };
+    workspaces.push(workspace);
+    saveWorkspaces(workspaces);
+    
+    await switchWorkspace(workspace.id);
+    return workspace;
+}
+
+function renameWorkspace(workspaceId, name) {
+    const cleanName = sanitizeText(name).slice(0, 60);
+    if (!cleanName) return;
+    
+    const workspaces = getWorkspaces();
+    const workspace = workspaces.find(ws => ws.id === workspaceId);
+    if (!workspace) return;
+    workspace.name = cleanName;
+    saveWorkspaces(workspaces);
+    
+    if (typeof renderWorkspaceSwitcher === 'function') renderWorkspaceSwitcher();
+}
+
+/**
+ * Remove a workspace, its saved settings and its local history
+ * (the Default workspace can't be deleted)
+ */
+async function deleteWorkspace(workspaceId) {
+    if (workspaceId === DEFAULT_WORKSPACE_ID) return;
+    
+    const wasActive = getActiveWorkspaceId() === workspaceId;
+    saveWorkspaces(getWorkspaces().filter(ws => ws.id !== workspaceId));
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.endsWith(`@${workspaceId}`))
+            .forEach(key => localStorage.removeItem(key));
+    } catch (e) { /* ignore */ }
+    if (typeof deleteWorkspaceHistory === 'function') await deleteWorkspaceHistory(workspaceId);
+    sendDataSourceUrls();
+    
+    if (wasActive) {
+        await switchWorkspace(DEFAULT_WORKSPACE_ID);
+    } else if (typeof renderWorkspaceSwitcher === 'function') {
+        renderWorkspaceSwitcher();
+    }
+}
+
+/**
+ * Make a workspace active and reload everything from its settings
+ */
+async function switchWorkspace(workspaceId) {
+    const workspace = getWorkspaces().find(ws => ws.id === workspaceId);
+    if (!workspace) return;
+    
+    try {
+        localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, workspace.id);
+    } catch (e) {
+        console.warn('Could not save active workspace:', e);
+    }
+    
+    // ?sheet= parameters point at one shared sheet - drop them when changing workspace
+    if (typeof location !== 'undefined' && location.search && typeof history !== 'undefined') {
+        history.replaceState(null, '', location.pathname + location.hash);
+    }
+    
+    localSheetsCache = null;
+    appData.selectedSprintId = null;
+    applySheetSettings();
+    if (typeof applyWorkspacePreferences === 'function') applyWorkspacePreferences();
+    if (typeof renderWorkspaceSwitcher === 'function') renderWorkspaceSwitcher();
+    
+    console.log(`🗂️ Switched to workspace "${workspace.name}"`);
+    if (typeof showToast === 'function') showToast(`Switched to ${workspace.name}`, 'info');
+    
+    const existingError = document.getElementById('data-error');
+    if (existingError) existingError.remove();
+    await refreshData();
+    if (typeof updateGoogleSheetLink === 'function') updateGoogleSheetLink();
+}
+
+// =============================================
+// SHEET SETTINGS (data source, sheet ID + tab gids)
+// =============================================
+
+const SHEET_SETTINGS_STORAGE_KEY = 'fmb-sheet-settings';
+const SOURCE_SETTINGS_STORAGE_KEY = 'fmb-source-settings';
+
+// Sources a workspace can pick in Data Settings (local files come from "Load from files")
+const CONFIGURABLE_SOURCE_TYPES = ['google-sheets', 'csv-urls', 'json'];
+
+// Hard-coded values, kept for "Reset to defaults"
+const DEFAULT_SHEETS_CONFIG = {
+    sheetId: GOOGLE_SHEETS_CONFIG.sheetId,
+    gids: { ...GOOGLE_SHEETS_CONFIG.gids }
+};
+const DEFAULT_DATA_SOURCE_CONFIG = {
+    type: DATA_SOURCE_CONFIG.type,
+    csvUrls: { ...DATA_SOURCE_CONFIG.csvUrls },
+    jsonUrl: DATA_SOURCE_CONFIG.jsonUrl
+};
+
+/**
+ * Data source a workspace reads from: its saved type and URLs, else the
+ * hard-coded DATA_SOURCE_CONFIG
+ * @returns {{type: string, csvUrls: Object<string, string>, jsonUrl: string}}
+ */
+function getWorkspaceDataSourceConfig(workspaceId = getActiveWorkspaceId()) {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(workspaceKey(SOURCE_SETTINGS_STORAGE_KEY, workspaceId)) || 'null');
+    } catch (e) {
+        saved = null;
+    }
+    if (!saved || !CONFIGURABLE_SOURCE_TYPES.includes(saved.type)) {
+        return { ...DEFAULT_DATA_SOURCE_CONFIG, csvUrls: { ...DEFAULT_DATA_SOURCE_CONFIG.csvUrls } };
+    }
+    const csvUrls = {};
+    SHEET_NAMES.forEach(name => {
+        csvUrls[name] = sanitizeText((saved.csvUrls && saved.csvUrls[name]) || '');
+    });
+    return { type: saved.type, csvUrls, jsonUrl: sanitizeText(saved.jsonUrl || '') };
+}
+
+/**
+ * Pull the sheet ID out of a pasted Google Sheets URL (or accept a bare ID)
+ * @returns {string} Sheet ID, or '' when the input doesn't look like one
+ */
+function extractSheetId(input) {
+    const value = String(input || '').trim();
+    const match = value.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+    if (match) return match[1];
+    return /^[a-zA-Z0-9_-]{20,}$/.test(value) ? value : '';
+}
+
+function getSavedSheetSettings(workspaceId = getActiveWorkspaceId()) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(workspaceKey(SHEET_SETTINGS_STORAGE_KEY, workspaceId)) || 'null');
+        return saved && saved.sheetId ? saved : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Settings from the page URL: ?sheet=<id or url>&tasks=<gid>&members=<gid>...
+ * @returns {Object|null}
+ */
+function getUrlSheetSettings() {
+    if (typeof location === 'undefined') return null;
+    const params = new URLSearchParams(location.search);
+    const sheetId = extractSheetId(params.get('sheet'));
+    if (!sheetId) return null;
+    
+    const gids = {};
+    SHEET_NAMES.forEach(name => {
+        const value = params.get(name.toLowerCase());
+        if (value !== null) gids[name] = value.trim();
+    });
+    return { sheetId, gids };
+}
+
+/**
+ * Apply saved settings, then URL parameters, on top of the hard-coded config
+ * Called at startup and whenever the workspace changes
+ */
+function applySheetSettings() {
+    const settings = getUrlSheetSettings() || getSavedSheetSettings();
+    const config = resolveSheetConfig(settings);
+    GOOGLE_SHEETS_CONFIG.sheetId = config.sheetId;
+    Object.assign(GOOGLE_SHEETS_CONFIG.gids, config.gids);
+    Object.assign(DATA_SOURCE_CONFIG, getWorkspaceDataSourceConfig());
+    
+    if (settings) {
+        console.log(`⚙️ Using sheet ${settings.sheetId} from ${getUrlSheetSettings() ? 'URL parameters' : 'saved settings'}`);
+    }
+}
+
+/**
+ * Sheet ID and tab gids for a settings object (null = hard-coded defaults)
+ * @returns {Object} { sheetId, gids }
+ */
+function resolveSheetConfig(settings) {
+    if (!settings) {
+        return { sheetId: DEFAULT_SHEETS_CONFIG.sheetId, gids: { ...DEFAULT_SHEETS_CONFIG.gids } };
+    }
+    
+    // A different sheet can't reuse the default gids - unset tabs are looked up by name
+    const baseGids = settings.sheetId === DEFAULT_SHEETS_CONFIG.sheetId ? DEFAULT_SHEETS_CONFIG.gids : {};
+    const gids = {};
+    SHEET_NAMES.forEach(name => {
+        gids[name] = settings.gids && settings.gids[name] !== undefined
+            ? settings.gids[name]
+            : (baseGids[name] || '');
+    });
+    return { sheetId: settings.sheetId, gids };
+}
+
+/**
+ * Sheet a workspace reads from - the active one keeps any ?sheet= URL override
+ */
+function getWorkspaceSheetConfig(workspaceId) {
+    if (workspaceId === getActiveWorkspaceId()) {
+        return { sheetId: GOOGLE_SHEETS_CONFIG.sheetId, gids: { ...GOOGLE_SHEETS_CONFIG.gids }, columnMapping: getColumnMapping() };
+    }
+    return { ...resolveSheetConfig(getSavedSheetSettings(workspaceId)), columnMapping: getColumnMapping(workspaceId) };
+}
+
+/**
+ * Check that fetched rows look like the expected tab
+ * (a tab looked up by a wrong name or gid usually returns another tab)
+ * @returns {string|null} What's wrong, or null when the tab looks right
+ */
+function checkSheetShape(sheetName, rows, columnMapping = getColumnMapping()) {
+    if (!rows || rows.length === 0) return null;
+    
+    if (sheetName === 'SPRINT_CONFIG') {
+        const keys = rows.map(row => String(Object.values(row)[0] || '').trim().replace(/^key\s+/i, '').toLowerCase());
+        const missing = ['start_date', 'end_date'].filter(key => !keys.includes(key));
+        return missing.length > 0 ? `missing keys: ${missing.join(', ')}` : null;
+    }
+    
+    const headers = Object.keys(rows[0]);
+    const fields = getSheetColumnFields(sheetName, headers, columnMapping[sheetName]);
+    const columns = new Set(headers.map(header => fields[header] || header));
+    // Every normalizer numbers rows that have no id
+    const missing = DATA_CONTRACT[sheetName].required.filter(field => field !== 'id' && !columns.has(field));
+    return missing.length > 0 ? `missing columns: ${missing.join(', ')}` : null;
+}
+
+/**
+ * Does a mappable tab have any column read as one of its DATA_CONTRACT fields
+ * (a wrong tab usually has none)
+ */
+function hasContractColumns(sheetName, rows, columnMapping = getColumnMapping()) {
+    if (!COLUMN_MAPPING_SHEETS.includes(sheetName) || !rows || rows.length === 0) return false;
+    const contract = DATA_CONTRACT[sheetName];
+    const headers = Object.keys(rows[0]);
+    const fields = getSheetColumnFields(sheetName, headers, columnMapping[sheetName]);
+    return headers.some(header => [...contract.required, ...contract.optional].includes(fields[header] || header));
+}
+
+/**
+ * Test-fetch one tab
+ * @param {string} ref - gid, tab name, or '' to look the tab up by its own name
+ * @returns {Promise<{status: string, message: string}>} status is 'pass', 'warn' or 'fail'
+ */
+async function testSheetTab(sheetId, sheetName, ref) {
+    try {
+        const rows = await fetchCsvSheet(sheetName, buildGoogleSheetUrl(sheetId, sheetName, ref));
+        const problem = checkSheetShape(sheetName, rows);
+        if (problem && hasContractColumns(sheetName, rows)) return { status: 'fail', message: `${problem} - map them in Column Mapping` };
+        if (problem) return { status: 'fail', message: `Wrong tab? ${problem}` };
+        if (rows.length === 0) return { status: 'warn', message: 'Found, but no data rows' };
+        return { status: 'pass', message: `${rows.length} row${rows.length === 1 ? '' : 's'}` };
+    } catch (error) {
+        return { status: 'fail', message: error.message };
+    }
+}
+
+// ---------- Settings dialog ----------
+
+function openSheetSettings() {
+    const overlay = document.getElementById('sheet-settings-overlay');
+    if (!overlay) return;
+    
+    const source = getWorkspaceDataSourceConfig();
+    const sourceSelect = document.getElementById('settings-source-type');
+    if (sourceSelect) sourceSelect.value = CONFIGURABLE_SOURCE_TYPES.includes(source.type) ? source.type : 'google-sheets';
+    SHEET_NAMES.forEach(name => {
+        const input = document.getElementById(`settings-csv-${name}`);
+        if (input) input.value = source.csvUrls[name] || '';
+    });
+    const jsonInput = document.getElementById('settings-json-url');
+    if (jsonInput) jsonInput.value = source.jsonUrl || '';
+    showSettingsSource(sourceSelect ? sourceSelect.value : 'google-sheets');
+    
+    document.getElementById('settings-sheet-url').value = GOOGLE_SHEETS_CONFIG.sheetId || '';
+    const writeBack = getWriteBackConfig();
+    document.getElementById('settings-write-back-url').value = writeBack.url;
+    document.getElementById('settings-write-back-key').value = writeBack.key;
+    SHEET_NAMES.forEach(name => {
+        const input = document.getElementById(`settings-gid-${name}`);
+        if (input) input.value = GOOGLE_SHEETS_CONFIG.gids[name] || '';
+        setSettingsTabResult(name);
+    });
+    
+    const notes = [];
+    if (getUrlSheetSettings()) {
+        notes.push('This page was opened with ?sheet= in the URL, which overrides saved settings.');
+    }
+    if (getDataSourceMode() === 'files') {
+        notes.push('The tracker is currently reading imported files; this source is used again after "Use configured source".');
+    }
+    setSettingsStatus(notes.join(' '));
+    overlay.classList.add('active');
+}
+
+/**
+ * Show the fields of one source type in the settings dialog
+ */
+function showSettingsSource(type) {
+    document.querySelectorAll('#sheet-settings-overlay [data-source]').forEach(section => {
+        section.hidden = section.dataset.source !== type;
+    });
+}
+
+function closeSheetSettings() {
+    const overlay = document.getElementById('sheet-settings-overlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+/**
+ * Read the dialog inputs
+ * @returns {{type: string, sheetId: string, gids: Object<string, string>, csvUrls: Object<string, string>, jsonUrl: string}}
+ */
+function readSettingsForm() {
+    const gids = {};
+    const csvUrls = {};
+    SHEET_NAMES.forEach(name => {
+        const input = document.getElementById(`settings-gid-${name}`);
+        gids[name] = input ? input.value.trim() : '';
+        const csvInput = document.getElementById(`settings-csv-${name}`);
+        csvUrls[name] = csvInput ? csvInput.value.trim() : '';
+    });
+    const sourceSelect = document.getElementById('settings-source-type');
+    const jsonInput = document.getElementById('settings-json-url');
+    return {
+        type: sourceSelect ? sourceSelect.value : 'google-sheets',
+        sheetId: extractSheetId(document.getElementById('settings-sheet-url').value),
+        gids,
+        csvUrls,
+        jsonUrl: jsonInput ? jsonInput.value.trim() : ''
+    };
+}
+
+/**
+ * What's missing for the picked source, or null when it can be saved
+ */
+function getSettingsFormProblem(form) {
+    if (form.type === 'csv-urls') {
+        const missing = REQUIRED_SHEETS.filter(name => !form.csvUrls[name]);
+        return missing.length > 0 ? `Add a CSV URL for ${missing.join(', ')}.` : null;
+    }
+    if (form.type === 'json') {
+        return form.jsonUrl ? null : 'Add the URL of the JSON file.';
+    }
+    return form.sheetId ? null : 'Paste a Google Sheets URL or sheet ID first.';
+}
+
+function setSettingsStatus(message, isError = false) {
+    const status = document.getElementById('settings-status');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('is-error', isError);
+}
+
+function setSettingsTabResult(sheetName, result) {
+    const cell = document.getElementById(`settings-result-${sheetName}`);
+    if (!cell) return;
+    cell.className = `settings-tab-result${result ? ` is-${result.status}` : ''}`;
+    cell.textContent = result ? result.message : '';
+    cell.title = result ? result.message : '';
+}
+
+/**
+ * Test every tab and show a pass/fail line per tab
+ * Tabs without a gid are looked up by name; optional tabs left blank are skipped
+ * @param {boolean} fillNames - Write the tab name into blank fields that were found by name
+ * @returns {Promise<boolean>} Whether all required tabs passed
+ */
+async function testSheetSettings(fillNames = false) {
+    const form = readSettingsForm();
+    if (form.type !== 'google-sheets') {
+        setSettingsStatus('Testing tabs is only available for Google Sheets. Save to load from these URLs.');
+        return false;
+    }
+    if (!form.sheetId) {
+        setSettingsStatus('Paste a Google Sheets URL or sheet ID first.', true);
+        return false;
+    }
+    
+    setSettingsStatus('Testing tabs...');
+    SHEET_NAMES.forEach(name => setSettingsTabResult(name, { status: 'pending', message: 'Testing...' }));
+    
+    // One tab at a time keeps the CORS proxies from rate-limiting us
+    let requiredOk = true;
+    for (const name of SHEET_NAMES) {
+        const isRequired = REQUIRED_SHEETS.includes(name);
+        if (!form.gids[name] && !isRequired && !fillNames) {
+            setSettingsTabResult(name, { status: 'skip', message: 'Not set (optional)' });
+            continue;
+        }
+        
+        const result = await testSheetTab(form.sheetId, name, form.gids[name]);
+        if (!isRequired && !form.gids[name] && result.status === 'fail') {
+            result.status = 'skip';
+            result.message = 'No tab with this name (optional)';
+        }
+        if (fillNames && !form.gids[name] && result.status !== 'fail' && result.status !== 'skip') {
+            document.getElementById(`settings-gid-${name}`).value = name;
+            result.message = `Found by name - ${result.message}`;
+        }
+        if (isRequired && result.status === 'fail') requiredOk = false;
+        setSettingsTabResult(name, result);
+    }
+    
+    setSettingsStatus(requiredOk ? 'All required tabs found.' : 'Some required tabs failed - check the gids or tab names.', !requiredOk);
+    return requiredOk;
+}
+
+/**
+ * Persist the dialog values and reload from the new sheet
+ */
+async function saveSheetSettings() {
+    const form = readSettingsForm();
+    const problem = getSettingsFormProblem(form);
+    if (problem) {
+        setSettingsStatus(problem, true);
+        return;
+    }
+    
+    try {
+        // Other source types keep the saved sheet for when the workspace switches back
+        if (form.type === 'google-sheets') {
+            localStorage.setItem(workspaceKey(SHEET_SETTINGS_STORAGE_KEY), JSON.stringify({ sheetId: form.sheetId, gids: form.gids }));
+        }
+        localStorage.setItem(workspaceKey(SOURCE_SETTINGS_STORAGE_KEY), JSON.stringify({ type: form.type, csvUrls: form.csvUrls, jsonUrl: form.jsonUrl }));
+    } catch (e) {
+        console.warn('Could not save sheet settings:', e);
+    }
+    saveWriteBackConfig({
+        url: document.getElementById('settings-write-back-url').value.trim(),
+        key: document.getElementById('settings-write-back-key').value.trim()
+    });
+    applySheetSettings();
+    if (form.type === 'google-sheets') {
+        // The dialog's sheet wins over ?sheet= for the rest of this visit
+        GOOGLE_SHEETS_CONFIG.sheetId = form.sheetId;
+        Object.assign(GOOGLE_SHEETS_CONFIG.gids, form.gids);
+    }
+    sendDataSourceUrls();
+    
+    closeSheetSettings();
+    if (typeof showToast === 'function') showToast('Sheet settings saved', 'success');
+    
+    const existingError = document.getElementById('data-error');
+    if (existingError) existingError.remove();
+    await refreshData();
+    if (typeof updateGoogleSheetLink === 'function') updateGoogleSheetLink();
+}
+
+/**
+ * Forget saved settings and go back to the hard-coded config
+ */
+async function resetSheetSettings() {
+    try {
+        localStorage.removeItem(workspaceKey(SHEET_SETTINGS_STORAGE_KEY));
+        localStorage.removeItem(workspaceKey(SOURCE_SETTINGS_STORAGE_KEY));
+    } catch (e) { /* ignore */ }
+    saveWriteBackConfig(null);
+    applySheetSettings();
+    openSheetSettings();
+    setSettingsStatus('Reset to the built-in data source. Save to reload.');
+}
+
+/**
+ * Copy a link that opens the tracker on the sheet currently in the dialog
+ */
+async function copySheetShareLink() {
+    const settings = readSettingsForm();
+    if (settings.type !== 'google-sheets') {
+        setSettingsStatus('Share links open a Google Sheet - switch the source to Google Sheets first.', true);
+        return;
+    }
+    if (!settings.sheetId) {
+        setSettingsStatus('Paste a Google Sheets URL or sheet ID first.', true);
+        return;
+    }
+    
+    const params = new URLSearchParams({ sheet: settings.sheetId });
+    SHEET_NAMES.forEach(name => {
+        if (settings.gids[name]) params.set(name.toLowerCase(), settings.gids[name]);
+    });
+    const link = `${location.origin}${location.pathname}?${params.toString()}`;
+    
+    try {
+        await navigator.clipboard.writeText(link);
+        setSettingsStatus('Share link copied to clipboard.');
+    } catch (e) {
+        setSettingsStatus(link);
+    }
+}
+
+// =============================================
+// WRITE-BACK (optional Apps Script web app)
+// =============================================
+// The tracker reads sheets as CSV and can't write them. With a write-back
+// URL (apps-script/Code.gs deployed as a web app, or the local mock in
+// apps-script/mock-endpoint.js) task edits are applied to appData at once,
+// posted to the endpoint, and rolled back if it doesn't confirm.
+// =============================================
+
+const WRITE_BACK_STORAGE_KEY = 'fmb-write-back';
+const WRITE_BACK_TIMEOUT_MS = 15000;
+
+// Built-in default - set url to enable write-back for every workspace
+const WRITE_BACK_CONFIG = {
+    url: '', // https://script.google.com/macros/s/<deployment id>/exec, or http://localhost:8787 for the mock
+    key: '' // Matches the script's WRITE_KEY property, if it has one
+};
+
+// TASKS fields the edit forms may change
+const WRITABLE_TASK_FIELDS = ['status', 'owner', 'start_date', 'end_date', 'estimated_hours', 'notes'];
+
+// Tasks with a write in flight - one at a time per task
+const pendingTaskWrites = new Set();
+
+/**
+ * Write-back endpoint of a workspace (saved settings, else WRITE_BACK_CONFIG)
+ * @returns {{url: string, key: string}}
+ */
+function getWriteBackConfig(workspaceId = getActiveWorkspaceId()) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(workspaceKey(WRITE_BACK_STORAGE_KEY, workspaceId)) || 'null');
+        if (saved) return { url: saved.url || '', key: saved.key || '' };
+    } catch (e) { /* fall through to the default */ }
+    return { ...WRITE_BACK_CONFIG };
+}
+
+/**
+ * @param {{url: string, key: string}|null} config - null forgets the saved endpoint
+ */
+function saveWriteBackConfig(config) {
+    try {
+        if (config) {
+            localStorage.setItem(workspaceKey(WRITE_BACK_STORAGE_KEY), JSON.stringify(config));
+        } else {
+            localStorage.removeItem(workspaceKey(WRITE_BACK_STORAGE_KEY));
+        }
+    } catch (e) {
+        console.warn('Could not save write-back settings:', e);
+    }
+}
+
+/**
+ * Whether task edits can be saved (an endpoint is set and live Google Sheet data is on screen)
+ * The endpoint writes to the sheet, so CSV/JSON sources and imported files stay read-only.
+ */
+function isWriteBackEnabled() {
+    return Boolean(getWriteBackConfig().url) && appData.loaded && appData.source !== 'demo' &&
+        getActiveDataSourceType() === 'google-sheets';
+}
+
+function isTaskWritePending(taskId) {
+    return pendingTaskWrites.has(taskId);
+}
+
+/**
+ * Sheet header for a TASKS field - the mapped header when the column mapping renames one
+ */
+function getSheetColumnName(sheetName, field) {
+    const columns = getColumnMapping()[sheetName] || {};
+    return Object.keys(columns).find(header => columns[header] === field) || field;
+}
+
+/**
+ * Check edits to a task and turn them into task properties and sheet values
+ * @param {Object} task - Task in appData
+ * @param {Object} changes - New values by TASKS field (status, owner, start_date, ...)
+ * @returns {{patch: Object, values: Object, optional: string[]}} patch for the task object,
+ *   values by sheet field, and fields the sheet may not have a column for
+ * @throws {Error} When a value is invalid
+ */
+function prepareTaskChanges(task, changes) {
+    const patch = {};
+    const values = {};
+    const optional = [];
+    
+    Object.keys(changes).forEach(field => {
+        if (!WRITABLE_TASK_FIELDS.includes(field)) {
+            throw new Error(`"${field}" can't be edited from the tracker`);
+        }
+    });
+    
+    if (changes.status !== undefined) {
+        const statuses = appData.statuses || [];
+        const entry = statuses.length > 0 ? findVocabularyEntry(statuses, changes.status) : null;
+        const category = entry ? entry.category : resolveTaskStatus(changes.status);
+        if (!category) throw new Error(`Unknown status "${changes.status}"`);
+        patch.status = category;
+        patch.statusId = entry ? entry.id : category;
+        patch.completed = category === 'completed';
+        values.status = entry ? entry.value : category;
+        values.completed = patch.completed ? 'TRUE' : 'FALSE';
+        optional.push('completed');
+    }
+    
+    if (changes.owner !== undefined) {
+        const owners = parseOwners(changes.owner);
+        if (owners.length === 0) throw new Error('Pick an owner');
+        const unknown = owners.filter(owner => !appData.teamMembers.some(member => member.id === owner.id));
+        if (unknown.length > 0) throw new Error(`Not in MEMBERS: ${unknown.map(owner => owner.id).join(', ')}`);
+        patch.owners = owners;
+        patch.owner = owners[0].id;
+        values.owner = sanitizeText(changes.owner).replace(/\s+/g, '');
+    }
+    
+    ['start_date', 'end_date'].forEach(field => {
+        if (changes[field] === undefined) return;
+        const date = sanitizeDate(changes[field]);
+        if (changes[field] && !date) throw new Error(`${field.replace('_', ' ')} "${changes[field]}" is not a date`);
+        patch[field === 'start_date' ? 'startDate' : 'endDate'] = date;
+        values[field] = date;
+    });
+    const startDate = patch.startDate !== undefined ? patch.startDate : task.startDate;
+    const endDate = patch.endDate !== undefined ? patch.endDate : task.endDate;
+    if (!isValidDateRange(startDate, endDate)) throw new Error('End date is before start date');
+    
+    if (changes.estimated_hours !== undefined) {
+        const hours = parseFloat(changes.estimated_hours);
+        if (!Number.isFinite(hours) || hours < 0) throw new Error('Estimated hours must be a number of 0 or more');
+        patch.estimatedHours = hours;
+        values.estimated_hours = hours;
+    }
+    
+    if (changes.notes !== undefined) {
+        patch.notes = sanitizeText(changes.notes);
+        values.notes = patch.notes;
+    }
+    
+    return { patch, values, optional };
+}
+
+/**
+ * POST one change to the write-back endpoint
+ * Sent as text/plain so the browser makes a simple request (no CORS preflight),
+ * which is what Apps Script web apps accept
+ * @returns {Promise<Object>} The endpoint's reply ({ ok: true, ... })
+ */
+async function postWriteBack(payload, config = getWriteBackConfig()) {
+    if (!config.url) throw new Error('Write-back is not set up - add the endpoint URL in Data Settings');
+    
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), WRITE_BACK_TIMEOUT_MS) : null;
+    let response;
+    try {
+        response = await fetch(config.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: JSON.stringify({ ...payload, key: config.key || undefined }),
+            cache: 'no-store',
+            signal: controller ? controller.signal : undefined
+        });
+    } catch (error) {
+        throw new Error(error.name === 'AbortError' ? 'The write-back endpoint did not answer in time' : `Cannot reach the write-back endpoint: ${error.message}`);
+    } finally {
+        if (timer) clearTimeout(timer);
+    }
+    
+    if (!response.ok) throw new Error(`Write-back failed: HTTP ${response.status}`);
+    let result;
+    try {
+        result = await response.json();
+    } catch (e) {
+        throw new Error('The write-back endpoint did not answer with JSON');
+    }
+    if (!result || result.ok !== true) {
+        throw new Error(result && result.error ? result.error : 'The write-back endpoint rejected the change');
+    }
+    return result;
+}
+
+/**
+ * Re-scope the sprint (dates may move a task) and redraw after a task changed
+ */
+function refreshTaskViews() {
+    applySprintSelection(appData.selectedSprintId);
+    if (typeof renderAll === 'function') renderAll();
+}
+
+/**
+ * Edit a task: update appData straight away, save it through the endpoint,
+ * and put the old values back if saving fails
+ * @param {string} taskId
+ * @param {Object} changes - New values by TASKS field, see WRITABLE_TASK_FIELDS
+ * @returns {Promise<Object>} The updated task
+ * @throws {Error} When a value is invalid or the endpoint didn't confirm (after rolling back)
+ */
+async function updateTask(taskId, changes) {
+    const config = getWriteBackConfig();
+    if (!config.url) throw new Error('Write-back is not set up - add the endpoint URL in Data Settings');
+    const task = appData.allTasks.find(t => t.id === taskId);
+    if (!task) throw new Error(`Task ${taskId} is not loaded`);
+    if (pendingTaskWrites.has(taskId)) throw new Error('The previous change to this task is still saving');
+    
+    const { patch, values, optional } = prepareTaskChanges(task, changes);
+    if (Object.keys(patch).length === 0) return task;
+    
+    const previous = {};
+    Object.keys(patch).forEach(key => { previous[key] = task[key]; });
+    
+    // Optimistic: show the change before the sheet confirms it
+    Object.assign(task, patch);
+    pendingTaskWrites.add(taskId);
+    refreshTaskViews();
+    console.log(`✏️ Saving ${taskId}:`, values);
+    
+    const sheetValues = {};
+    Object.keys(values).forEach(field => { sheetValues[getSheetColumnName('TASKS', field)] = values[field]; });
+    
+    try {
+        await postWriteBack({
+            action: 'updateTask',
+            sheet: 'TASKS',
+            tab: GOOGLE_SHEETS_CONFIG.gids.TASKS || 'TASKS',
+            idColumn: getSheetColumnName('TASKS', 'id'),
+            id: taskId,
+            values: sheetValues,
+            optional: optional.map(field => getSheetColumnName('TASKS', field))
+        }, config);
+        console.log(`✅ Saved ${taskId}`);
+        if (!appData.cachedAt) saveCachedData();
+        return task;
+    } catch (error) {
+        console.error(`❌ Could not save ${taskId}, rolling back:`, error);
+        Object.assign(task, previous);
+        throw error;
+    } finally {
+        pendingTaskWrites.delete(taskId);
+        refreshTaskViews();
+    }
+}
+
+// =============================================
+// PENDING TASK CHANGES
+// =============================================
+// Edits made on the board (e.g. dragging a Gantt bar) are applied to
+// appData straight away but held here until they are pushed through the
+// write-back endpoint or exported as CSV patch rows. They are kept per
+// workspace and put back on top of every load until then.
+// =============================================
+
+const PENDING_CHANGES_STORAGE_KEY = 'fmb-pending-changes';
+const PENDING_UNDO_LIMIT = 50;
+
+// taskId → { taskId, changes (by TASKS field), original (task properties before the first change) }
+const pendingTaskChanges = new Map();
+
+// Newest last: { taskId, before (task properties), entry (pending entry before the step, or null) }
+const pendingUndoStack = [];
+
+function getPendingTaskChanges() {
+    return [...pendingTaskChanges.values()];
+}
+
+function canUndoTaskChange() {
+    return pendingUndoStack.length > 0;
+}
+
+function copyPendingEntry(entry) {
+    return { taskId: entry.taskId, changes: { ...entry.changes }, original: { ...entry.original } };
+}
+
+function savePendingTaskChanges() {
+    try {
+        const stored = getPendingTaskChanges().map(({ taskId, changes }) => ({ taskId, changes }));
+        if (stored.length > 0) {
+            localStorage.setItem(workspaceKey(PENDING_CHANGES_STORAGE_KEY), JSON.stringify(stored));
+        } else {
+            localStorage.removeItem(workspaceKey(PENDING_CHANGES_STORAGE_KEY));
+        }
+    } catch (e) {
+        console.warn('Could not save pending changes:', e);
+    }
+}
+
+/**
+ * Change a task locally and hold the change until it is pushed or exported
+ * @param {string} taskId
+ * @param {Object} changes - New values by TASKS field, see WRITABLE_TASK_FIELDS
+ * @returns {Object} The updated task
+ * @throws {Error} When a value is invalid (see prepareTaskChanges)
+ */
+function stageTaskChange(taskId, changes) {
+    const task = appData.allTasks.find(t => t.id === taskId);
+    if (!task) throw new Error(`Task ${taskId} is not loaded`);
+    
+    const { patch } = prepareTaskChanges(task, changes);
+    const before = {};
+    Object.keys(patch).forEach(key => { before[key] = task[key]; });
+    const entry = pendingTaskChanges.get(taskId);
+    pendingUndoStack.push({ taskId, before, entry: entry ? copyPendingEntry(entry) : null });
+    if (pendingUndoStack.length > PENDING_UNDO_LIMIT) pendingUndoStack.shift();
+    
+    const next = entry ? copyPendingEntry(entry) : { taskId, changes: {}, original: {} };
+    Object.keys(patch).forEach(key => {
+        if (!(key in next.original)) next.original[key] = task[key];
+    });
+    Object.assign(next.changes, changes);
+    Object.assign(task, patch);
+    
+    // Moved back to where it was - nothing left to save
+    const unchanged = Object.keys(next.original).every(key => JSON.stringify(task[key]) === JSON.stringify(next.original[key]));
+    if (unchanged) {
+        pendingTaskChanges.delete(taskId);
+    } else {
+        pendingTaskChanges.set(taskId, next);
+    }
+    
+    savePendingTaskChanges();
+    refreshTaskViews();
+    return task;
+}
+
+/**
+ * Take back the last staged change
+ * @returns {Object|null} The task it applied to, null when there is nothing to undo
+ */
+function undoTaskChange() {
+    const step = pendingUndoStack.pop();
+    if (!step) return null;
+    
+    const task = appData.allTasks.find(t => t.id === step.taskId);
+    if (task) Object.assign(task, step.before);
+    if (step.entry) {
+        pendingTaskChanges.set(step.taskId, step.entry);
+    } else {
+        pendingTaskChanges.delete(step.taskId);
+    }
+    
+    savePendingTaskChanges();
+    refreshTaskViews();
+    return task || null;
+}
+
+/**
+ * Drop every pending change and put the tasks back as loaded
+ */
+function discardPendingTaskChanges() {
+    pendingTaskChanges.forEach(entry => {
+        const task = appData.allTasks.find(t => t.id === entry.taskId);
+        if (task) Object.assign(task, entry.original);
+    });
+    pendingTaskChanges.clear();
+    pendingUndoStack.length = 0;
+    
+    savePendingTaskChanges();
+    refreshTaskViews();
+}
+
+/**
+ * Save every pending change through the write-back endpoint, one task at a time
+ * Changes that fail stay pending.
+ * @returns {Promise<{saved: string[], failed: Array<{taskId, error}>}>}
+ */
+async function pushPendingTaskChanges() {
+    const saved = [];
+    const failed = [];
+    
+    for (const entry of getPendingTaskChanges()) {
+        // Out of the pending list first, so the cache saved by updateTask() keeps the new values
+        pendingTaskChanges.delete(entry.taskId);
+        try {
+            await updateTask(entry.taskId, entry.changes);
+            // Undoing now would bring back values the sheet no longer has
+            for (let i = pendingUndoStack.length - 1; i >= 0; i--) {
+                if (pendingUndoStack[i].taskId === entry.taskId) pendingUndoStack.splice(i, 1);
+            }
+            saved.push(entry.taskId);
+        } catch (error) {
+            pendingTaskChanges.set(entry.taskId, entry);
+            failed.push({ taskId: entry.taskId, error: error.message });
+        }
+        savePendingTaskChanges();
+    }
+    
+    refreshTaskViews();
+    return { saved, failed };
+}
+
+/**
+ * Put the workspace's pending changes back on freshly loaded tasks
+ * Changes to tasks that are gone, or that no longer fit, are dropped.
+ */
+function restorePendingTaskChanges() {
+    pendingTaskChanges.clear();
+    pendingUndoStack.length = 0;
+    
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(workspaceKey(PENDING_CHANGES_STORAGE_KEY)) || '[]');
+    } catch (e) { /* nothing pending */ }
+    
+    stored.forEach(({ taskId, changes }) => {
+        const task = (appData.allTasks || []).find(t => t.id === taskId);
+        if (!task) {
+            console.warn(`⚠️ Dropped pending change to ${taskId}: the task is no longer in TASKS`);
+            return;
+        }
+        try {
+            const { patch } = prepareTaskChanges(task, changes);
+            const original = {};
+            Object.keys(patch).forEach(key => { original[key] = task[key]; });
+            Object.assign(task, patch);
+            pendingTaskChanges.set(taskId, { taskId, changes, original });
+        } catch (error) {
+            console.warn(`⚠️ Dropped pending change to ${taskId}: ${error.message}`);
+        }
+    });
+    
+    if (pendingTaskChanges.size !== stored.length) savePendingTaskChanges();
+    if (pendingTaskChanges.size > 0) console.log(`✏️ ${pendingTaskChanges.size} pending task change(s) re-applied`);
+}
+
+/**
+ * Tasks as the sheet has them (pending changes taken off)
+ */
+function withoutPendingChanges(tasks) {
+    return (tasks || []).map(task => {
+        const entry = pendingTaskChanges.get(task.id);
+        return entry ? { ...task, ...entry.original } : task;
+    });
+}
+
+/**
+ * Download pending changes as patch rows: the task id plus each changed
+ * column, under the sheet's own headers
+ */
+function exportPendingChangesCsv() {
+    const rows = getPendingTaskChanges().map(entry => {
+        const task = appData.allTasks.find(t => t.id === entry.taskId);
+        return { id: entry.taskId, ...(task ? prepareTaskChanges(task, entry.changes).values : entry.changes) };
+    });
+    if (rows.length === 0) return;
+    
+    const fields = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    downloadCsv(
+        [fields.map(field => getSheetColumnName('TASKS', field)), ...rows.map(row => fields.map(field => row[field]))],
+        `task-changes-${new Date().toISOString().split('T')[0]}.csv`
+    );
+}
+
+// =============================================
+// COLUMN MAPPING (sheet headers → DATA_CONTRACT fields)
+// =============================================
+// Per workspace: { TASKS: { 'Assignee': 'owner', 'Due': 'end_date' }, ... }
+// Mapped headers are renamed before normalization; '' keeps a header as is.
+// =============================================
+
+const COLUMN_MAPPING_STORAGE_KEY = 'fmb-column-mapping';
+const COLUMN_MAPPING_SHEETS = ['MEMBERS', 'TASKS', 'MILESTONES', 'HOLIDAYS', 'SPRINTS'];
+const COLUMN_SUGGESTION_THRESHOLD = 0.75;
+
+// Headers of each sheet as last loaded, before mapping
+let loadedSheetHeaders = {};
+
+function getColumnMapping(workspaceId = getActiveWorkspaceId()) {
+    try {
+        return JSON.parse(localStorage.getItem(workspaceKey(COLUMN_MAPPING_STORAGE_KEY, workspaceId)) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveColumnMapping(mapping) {
+    try {
+        if (Object.keys(mapping).length > 0) {
+            localStorage.setItem(workspaceKey(COLUMN_MAPPING_STORAGE_KEY), JSON.stringify(mapping));
+        } else {
+            localStorage.removeItem(workspaceKey(COLUMN_MAPPING_STORAGE_KEY));
+        }
+    } catch (e) {
+        console.warn('Could not save column mapping:', e);
+    }
+}
+
+function getSheetHeaders(raw) {
+    const headers = {};
+    COLUMN_MAPPING_SHEETS.forEach(sheetName => {
+        const rows = raw[sheetName];
+        headers[sheetName] = Array.isArray(rows) && rows.length > 0 ? Object.keys(rows[0]) : [];
+    });
+    return headers;
+}
+
+/**
+ * Rename mapped headers to their DATA_CONTRACT field
+ * Column order is kept so issues still point at the right sheet column;
+ * a header already named like a mapped field moves aside as "<header> (unmapped)".
+ * @param {Object} raw - Rows per sheet
+ * @param {Object} [mapping] - Column mapping, defaults to the active workspace's
+ * @returns {Object} Rows per sheet with renamed headers
+ */
+function applyColumnMapping(raw, mapping = getColumnMapping()) {
+    const mapped = { ...raw };
+    
+    COLUMN_MAPPING_SHEETS.forEach(sheetName => {
+        if (!Array.isArray(raw[sheetName]) || raw[sheetName].length === 0) return;
+        const columns = getSheetColumnFields(sheetName, Object.keys(raw[sheetName][0]), mapping[sheetName]);
+        const targets = new Set(Object.values(columns).filter(Boolean));
+        if (Object.keys(columns).every(header => columns[header] === header || !columns[header])) return;
+        
+        mapped[sheetName] = raw[sheetName].map(row => {
+            const renamed = {};
+            Object.keys(row).forEach(header => {
+                const key = columns[header] || (targets.has(header) ? `${header} (unmapped)` : header);
+                renamed[key] = row[header];
+            });
+            if (sheetRowNumbers.has(row)) sheetRowNumbers.set(renamed, sheetRowNumbers.get(row));
+            return renamed;
+        });
+    });
+    
+    return mapped;
+}
+
+/**
+ * Header as a comparable phrase: "Due-Date " → "due date"
+ */
+function normalizeHeaderName(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two phrases from 0 to 1 (1 - edit distance / longer length)
+ */
+function headerSimilarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * DATA_CONTRACT field a header most likely holds
+ * Compares the header with each field name and its COLUMN_ALIASES.
+ * @param {string} sheetName - MEMBERS, TASKS, MILESTONES, HOLIDAYS or SPRINTS
+ * @param {string} header - Header as written in the sheet
+ * @returns {string|null} Field name, or null when nothing is close enough
+ */
+function suggestColumnField(sheetName, header) {
+    const contract = DATA_CONTRACT[sheetName];
+    const phrase = normalizeHeaderName(header);
+    if (!contract || !phrase) return null;
+    
+    let best = { field: null, score: 0 };
+    [...contract.required, ...contract.optional].forEach(field => {
+        const names = [field.replace(/_/g, ' '), ...(COLUMN_ALIASES[field] || [])];
+        names.forEach(name => {
+            const score = headerSimilarity(phrase, name);
+            if (score > best.score) best = { field, score };
+        });
+    });
+    
+    return best.score >= COLUMN_SUGGESTION_THRESHOLD ? best.field : null;
+}
+
+/**
+ * Header → DATA_CONTRACT field for one sheet: the saved mapping, then each
+ * required field the sheet has no header for under its own name, read from
+ * another spelling of it ("Start Date", "StartDate") or one of its
+ * COLUMN_ALIASES ("title", "Assignee")
+ * @param {string} sheetName - Sheet the headers belong to
+ * @param {string[]} headers - Headers as written in the sheet
+ * @param {Object} [saved] - The sheet's saved column mapping
+ * @returns {Object} Mapped headers only; '' keeps a header as is
+ */
+function getSheetColumnFields(sheetName, headers, saved = {}) {
+    const columns = { ...saved };
+    const contract = DATA_CONTRACT[sheetName];
+    if (!contract) return columns;
+    
+    const compact = name => normalizeHeaderName(name).replace(/ /g, '');
+    const taken = new Set(headers.map(header => columns[header] || header));
+    contract.required.forEach(field => {
+        if (taken.has(field)) return;
+        const names = [field, ...(COLUMN_MAPPING_SHEETS.includes(sheetName) ? COLUMN_ALIASES[field] || [] : [])].map(compact);
+        const header = headers.find(h => !(h in columns) && !contract.required.includes(h) && names.includes(compact(h)));
+        if (!header) return;
+        columns[header] = field;
+        taken.add(field);
+    });
+    return columns;
+}
+
+/**
+ * Is a header already read as this field without a mapping
+ */
+function isHeaderForField(header, field) {
+    return normalizeHeaderName(header) === field.replace(/_/g, ' ');
+}
+
+// =============================================
+// PORTFOLIO (every workspace side by side)
+// =============================================
+
+// Last portfolio load: one entry per workspace, in workspace order
+let portfolioData = { teams: [], loadedAt: null };
+let portfolioLoading = null;
+
+/**
+ * Prefix member, task and milestone ids with the team id so several teams
+ * can sit in one list without clashing ("avi" → "platform:avi").
+ * sanitizeId() strips ":", so a prefixed id can never match a sheet id.
+ * @param {Object} data - Output of normalizeRawSheets()
+ * @param {string} teamId - Workspace id
+ * @returns {Object} Copy of data with namespaced ids
+ */
+function namespaceTeamData(data, teamId) {
+    const scoped = id => id ? `${teamId}:${id}` : id;
+    // 'unassigned' and 'both' are owner keywords, not member ids
+    const scopedOwner = id => (id === 'unassigned' || id === 'both') ? id : scoped(id);
+    
+    return {
+        ...data,
+        teamMembers: data.teamMembers.map(m => ({ ...m, id: scoped(m.id), teamId })),
+        allTasks: data.allTasks.map(t => ({
+            ...t,
+            id: scoped(t.id),
+            owner: scopedOwner(t.owner),
+            owners: (t.owners || []).map(o => ({ ...o, id: scopedOwner(o.id) })),
+            dependsOn: (t.dependsOn || []).map(scoped),
+            teamId
+        })),
+        allMilestones: data.allMilestones.map(m => ({ ...m, id: scoped(m.id), teamId }))
+    };
+}
+
+/**
+ * Load and normalize one workspace's data without touching appData
+ * Uses the workspace's imported files, else its own data source settings.
+ * @param {Object} workspace - { id, name }
+ * @returns {Promise<Object>} { workspace, data, source, error }
+ */
+async function loadTeamData(workspace) {
+    const sourceConfig = getWorkspaceDataSourceConfig(workspace.id);
+    const source = getDataSourceMode(workspace.id) === 'files' ? 'local-files' : sourceConfig.type;
+    
+    let raw;
+    if (source === 'local-files') {
+        raw = await loadFromLocalFiles(workspace.id);
+    } else if (source === 'google-sheets') {
+        raw = await loadFromGoogleSheets(getWorkspaceSheetConfig(workspace.id));
+    } else if (source === 'csv-urls') {
+        raw = await loadFromCsvUrls(sourceConfig);
+    } else if (source === 'json') {
+        raw = await loadFromJsonFile(sourceConfig);
+    } else {
+        raw = await getDataSourceAdapter(source).load();
+    }
+    
+    const data = namespaceTeamData(normalizeRawSheets(applyColumnMapping(raw, getColumnMapping(workspace.id))), workspace.id);
+    applySprintSelection(getSavedSprintId(workspace.id), data);
+    return { workspace, data, source, error: null };
+}
+
+/**
+ * Load every workspace in parallel for the portfolio view
+ * A team that fails to load keeps its error instead of failing the rest.
+ * @returns {Promise<Object[]>} portfolioData.teams
+ */
+function loadPortfolio() {
+    if (portfolioLoading) return portfolioLoading;
+    
+    const workspaces = getWorkspaces();
+    console.log(`🧭 Loading portfolio (${workspaces.length} teams)...`);
+    
+    portfolioLoading = Promise.allSettled(workspaces.map(loadTeamData)).then(results => {
+        portfolioData.teams = results.map((result, index) => {
+            if (result.status === 'fulfilled') return result.value;
+            console.warn(`⚠️ Portfolio: ${workspaces[index].name} not loaded:`, result.reason);
+            return {
+                workspace: workspaces[index],
+                data: null,
+                source: null,
+                error: result.reason && result.reason.message ? result.reason.message : String(result.reason)
+            };
+        });
+        portfolioData.loadedAt = Date.now();
+        
+        const loaded = portfolioData.teams.filter(team => team.data).length;
+        console.log(`✅ Portfolio loaded: ${loaded}/${workspaces.length} teams`);
+        return portfolioData.teams;
+    }).finally(() => {
+        portfolioLoading = null;
+    });
+    
+    return portfolioLoading;
+}
+
+// =============================================
+// OFFLINE CACHE (last good load per workspace)
+// =============================================
+// Every successful load is kept in IndexedDB. At startup it is shown
+// straight away while fresh data loads, and when the source can't be
+// reached it is shown instead of the demo data.
+// =============================================
 
-        return {
-            id,
-            name,
-            role: sanitizeText(row.role || row.Role || row.ROLE || 'Team Member'),
-            colorClass,
-            capacity: sanitizeText(row.capacity || row.Capacity || '100%'),
-            focus: sanitizeText(row.focus || row.Focus || 'Sprint work'),
-            bandwidthHours, // EXPLICIT numeric field - no parsing from text
-            leaves, // Array of YYYY-MM-DD date strings when member is on full-day leave
-            halfDays // Array of YYYY-MM-DD date strings when member is on half-day leave
-        };
-    }).filter(member => member.id && member.name && member.id !== 'member-0');
+const CACHED_DATA_FIELDS = ['sprintConfig', 'teamMembers', 'allTasks', 'allMilestones', 'holidays', 'sprints', 'statuses', 'priorities', 'customFields', 'dataHealth', 'transformations'];
+
+/**
+ * Store the data just loaded for the active workspace
+ */
+async function saveCachedData() {
+    if (typeof idbPutAll !== 'function') return;
+    
+    const record = { workspaceId: getActiveWorkspaceId(), source: appData.source, fetchedAt: Date.now() };
+    CACHED_DATA_FIELDS.forEach(field => { record[field] = appData[field]; });
+    // Pending changes aren't in the sheet yet - they are re-applied on load
+    record.allTasks = withoutPendingChanges(appData.allTasks);
+    try {
+        await idbPutAll(DATA_CACHE_STORE, [record]);
+    } catch (e) {
+        console.warn('⚠️ Could not cache data for offline use:', e);
+    }
 }
 
 /**
- * Parse numeric field with default fallback
+ * Put the active workspace's cached data in appData
+ * @param {Function} [isOutdated] - true when data already on screen is newer than the cache
+ * @returns {Promise<boolean>} false when nothing is cached
  */
-function parseNumericField(value, defaultValue) {
-    if (value === null || value === undefined || value === '') {
-        return defaultValue;
+async function applyCachedData(isOutdated = () => false) {
+    if (typeof idbGet !== 'function') return false;
+    
+    const workspaceId = getActiveWorkspaceId();
+    const cached = await idbGet(DATA_CACHE_STORE, workspaceId);
+    // The workspace may have changed (or newer data arrived) while IndexedDB was being read
+    if (!cached || workspaceId !== getActiveWorkspaceId() || isOutdated()) return false;
+    
+    CACHED_DATA_FIELDS.forEach(field => {
+        appData[field] = cached[field] || (field === 'sprintConfig' ? null : []);
+    });
+    restorePendingTaskChanges();
+    applySprintSelection(getSavedSprintId());
+    if (typeof memoCache !== 'undefined') {
+        memoCache.workingDays.clear();
     }
-    const parsed = parseFloat(value);
-    return isNaN(parsed) ? defaultValue : parsed;
+    
+    appData.source = cached.source;
+    appData.cachedAt = cached.fetchedAt;
+    appData.loaded = true;
+    console.log(`📦 Using cached data from ${new Date(cached.fetchedAt).toLocaleString()}`);
+    return true;
 }
 
 /**
- * Input sanitization helpers
+ * "10:42" for today, "Oct 17, 10:42" for older data
  */
-function sanitizeText(text) {
-    if (typeof text !== 'string') text = String(text || '');
-    return text.trim().substring(0, 500); // Limit length to prevent DoS
+function formatCachedAt(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}, ${time}`;
 }
 
-function sanitizeId(id) {
-    if (typeof id !== 'string') id = String(id || '');
-    return id.toLowerCase().trim().replace(/[^a-z0-9_-]/g, '').substring(0, 50);
+/**
+ * Banner shown while cached data is on screen
+ * @param {string|null} reason - Why fresh data isn't shown; null while it is still loading
+ */
+function showCachedDataBanner(reason = null) {
+    const banner = document.getElementById('cached-data-banner');
+    const text = document.getElementById('cached-data-text');
+    const retry = document.getElementById('cached-data-retry');
+    if (!banner || !text || !appData.cachedAt) return;
+    
+    text.textContent = `Showing cached data from ${formatCachedAt(appData.cachedAt)}`
+        + (reason ? ` — couldn't reach the data source (${String(reason).split('\n')[0]})` : ' — refreshing…');
+    banner.classList.toggle('is-offline', Boolean(reason));
+    if (retry) retry.hidden = !reason;
+    banner.style.display = 'flex';
+    if (typeof updateOfflineIndicators === 'function') updateOfflineIndicators();
 }
 
-function sanitizeColorClass(colorClass) {
-    const validColors = ['primary', 'success', 'warning', 'info', 'danger'];
-    const cleaned = colorClass.trim().toLowerCase();
-    return validColors.includes(cleaned) ? cleaned : 'primary';
+function hideCachedDataBanner() {
+    const banner = document.getElementById('cached-data-banner');
+    if (banner) banner.style.display = 'none';
+    if (typeof updateOfflineIndicators === 'function') updateOfflineIndicators();
 }
 
-/**
- * Get default color class based on ID hash
- */
-function getDefaultColorClass(id) {
-    const colors = ['primary', 'success', 'warning', 'info', 'danger'];
-    const hash = id.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-    return colors[hash % colors.length];
+// =============================================
+// OFFLINE APP (service worker)
+// =============================================
+// sw.js precaches the app shell and keeps the last copy of every sheet
+// request. Copies it serves while offline carry the time they were fetched.
+// =============================================
+
+const OFFLINE_FETCHED_AT_HEADER = 'X-FMB-Fetched-At';
+
+// Oldest fetch time among responses served from the service worker cache during this load
+let offlineResponseFetchedAt = null;
+
+function noteOfflineResponse(response) {
+    const fetchedAt = Date.parse(response.headers.get(OFFLINE_FETCHED_AT_HEADER) || '');
+    if (!Number.isNaN(fetchedAt)) {
+        offlineResponseFetchedAt = Math.min(offlineResponseFetchedAt || fetchedAt, fetchedAt);
+    }
 }
 
 /**
- * Normalize TASKS data
- * DATA CONTRACT: TASKS sheet should have:
- *   - id (required): Unique identifier
- *   - name/title (required): Task name
- *   - owner (required): Member ID who owns this task
- *   - start_date (required): Task start date
- *   - end_date (required): Task end date
- *   - status (optional): in-progress|todo|completed|blocked|review|pending
- *   - priority (optional): urgent|normal|low
- *   - jira_id (optional): Jira ticket ID
- *   - jira_url (optional): Link to Jira ticket
- *   - estimated_hours (optional): Estimated hours (NUMBER), defaults to 8
- *   - bu (optional): Business unit
- *   - type (optional): Task type
- *   - blockers (optional): Blocker description
- *   - notes (optional): Additional notes
+ * Install sw.js (needs http(s) - not available when index.html is opened from disk)
  */
-function normalizeTasks(rawData) {
-    if (!Array.isArray(rawData)) {
-        throw new Error('TASKS data must be an array');
-    }
+function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    if (!location.protocol.startsWith('http')) return;
     
-    return rawData.map((row, index) => {
-        const id = sanitizeId(row.id || row.Id || row.ID || `T-${index + 1}`);
-        const title = sanitizeText(row.title || row.Title || row.task || row.name || `Task ${index + 1}`);
-        const owner = sanitizeId(row.owner || row.Owner || 'unassigned');
-        const priority = sanitizePriority(row.priority || row.Priority || 'normal');
-        const completed = sanitizeBoolean(row.completed || row.Completed);
-        
-        // Validate dates
-        const startDate = sanitizeDate(row.start_date || row['start date'] || row.StartDate);
-        const endDate = sanitizeDate(row.end_date || row['end date'] || row.EndDate);
-        
-        // Parse estimated_hours as explicit number - NO INFERENCE
-        const estimatedHours = parseNumericField(
-            row.estimated_hours || row['estimated hours'] || row.estimatedHours,
-            8 // Default: 8 hours per task
-        );
-        
-        return {
-            id,
-            name: title,
-            jiraId: sanitizeText(row.jira || row.Jira || row.jira_id || row['jira id'] || ''),
-            jiraUrl: sanitizeUrl(row.jira_url || row['jira url'] || row.jira_link || ''),
-            owner,
-            bu: sanitizeText(row.bu || row.BU || ''),
-            status: sanitizeTaskStatus(row.status || row.Status || 'todo'),
-            priority,
-            startDate,
-            endDate,
-            type: sanitizeText(row.type || row.Type || ''),
-            blockers: sanitizeText(row.blocker || row.blockers || row.Blocker || ''),
-            notes: sanitizeText(row.notes || row.Notes || ''),
-            completed,
-            estimatedHours // EXPLICIT numeric field
-        };
-    }).filter(task => task.name && isValidDateRange(task.startDate, task.endDate));
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log(`📲 Service worker ready (scope: ${registration.scope})`))
+        .then(sendDataSourceUrls)
+        .catch(error => console.warn('⚠️ Service worker not registered:', error));
 }
 
 /**
- * Sanitize task status to valid enum value
+ * Tell the service worker which URLs are sheet data it may keep for offline use
+ * (Google Sheets gviz URLs it recognises by itself)
  */
-function sanitizeTaskStatus(status) {
-    const validStatuses = ['in-progress', 'todo', 'completed', 'blocked', 'review', 'pending'];
-    const cleaned = String(status).toLowerCase().trim().replace(/\s+/g, '-');
-    // Map common variations
-    const statusMap = {
-        'not-started': 'todo',
-        'notstarted': 'todo',
-        'in progress': 'in-progress',
-        'inprogress': 'in-progress',
-        'done': 'completed',
-        'complete': 'completed',
-        'in-review': 'review',
-        'reviewing': 'review'
-    };
-    const mapped = statusMap[cleaned] || cleaned;
-    return validStatuses.includes(mapped) ? mapped : 'todo';
+function sendDataSourceUrls() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    
+    // Every workspace's sources - the portfolio loads them all
+    const urls = getWorkspaces()
+        .map(workspace => getWorkspaceDataSourceConfig(workspace.id))
+        .flatMap(config => [...Object.values(config.csvUrls || {}), config.jsonUrl])
+        .filter(Boolean)
+        .map(url => new URL(url, location.href).toString());
+    navigator.serviceWorker.ready
+        .then(registration => registration.active && registration.active.postMessage({ type: 'data-sources', urls }))
+        .catch(error => console.warn('⚠️ Could not send data sources to the service worker:', error));
 }
 
 /**
- * Additional sanitization helpers
+ * Show the offline indicators and reload fresh data when the connection returns
  */
-function sanitizePriority(priority) {
-    const valid = ['urgent', 'normal', 'low'];
-    const cleaned = String(priority).toLowerCase().trim();
-    // Map common variations
-    const priorityMap = {
-        'high': 'urgent',
-        'critical': 'urgent',
-        'medium': 'normal',
-        'pending': 'low'
-    };
-    const mapped = priorityMap[cleaned] || cleaned;
-    return valid.includes(mapped) ? mapped : 'normal';
+function initializeConnectivityWatch() {
+    window.addEventListener('offline', () => {
+        if (typeof updateOfflineIndicators === 'function') updateOfflineIndicators();
+    });
+    window.addEventListener('online', () => {
+        if (typeof updateOfflineIndicators === 'function') updateOfflineIndicators();
+        if (appData.cachedAt) refreshData();
+    });
 }
 
-function sanitizeBoolean(value) {
-    return String(value).toLowerCase().trim() === 'true';
-}
+// =============================================
+// SPRINT SELECTION
+// =============================================
 
-function sanitizeDate(dateStr) {
-    if (!dateStr) return '';
-    const date = new Date(dateStr);
-    return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
-}
+const SPRINT_STORAGE_KEY = 'fmb-selected-sprint';
 
-function sanitizeUrl(url) {
-    if (!url) return '';
-    const cleaned = sanitizeText(url);
-    // Basic URL validation
+function getSavedSprintId(workspaceId = getActiveWorkspaceId()) {
     try {
-        if (cleaned.startsWith('http://') || cleaned.startsWith('https://') || cleaned.startsWith('#')) {
-            return cleaned;
-        }
+        return localStorage.getItem(workspaceKey(SPRINT_STORAGE_KEY, workspaceId));
     } catch (e) {
-        console.warn('Invalid URL:', url);
+        return null;
     }
-    return '';
 }
 
-function isValidDateRange(startDate, endDate) {
-    // Allow tasks without dates (they'll show as status-only in timeline)
-    if (!startDate || !endDate) return true;
-    
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    return start <= end;
+/**
+ * Sprint shown when nothing valid is remembered: the one running today,
+ * else the latest one that has started, else the first upcoming one
+ */
+function getDefaultSprint(sprints) {
+    const today = typeof getTodayLocalDate === 'function'
+        ? getTodayLocalDate()
+        : new Date().toISOString().split('T')[0];
+    return sprints.find(s => s.startDate <= today && today <= s.endDate)
+        || [...sprints].reverse().find(s => s.startDate <= today)
+        || sprints[0];
 }
 
 /**
- * Normalize MILESTONES data
- * DATA CONTRACT: MILESTONES sheet should have:
- *   - id (optional): Unique identifier, auto-generated if missing
- *   - date (required): Milestone target date
- *   - title (required): Milestone name
- *   - assignee (optional): Person responsible
- *   - status (optional): pending|in-progress|completed|blocked, defaults to 'pending'
- *   - description (optional): Milestone description
- *   - progress (optional): Completion percentage (NUMBER 0-100), defaults to 0
+ * Does a task or milestone belong to a sprint
+ * Tagged items follow their sprint_id; untagged ones fall in the sprint
+ * whose dates contain their date, and undated ones show in every sprint.
  */
-function normalizeMilestones(rawData) {
-    return rawData.map((row, index) => {
-        const status = sanitizeMilestoneStatus(row.status || row.Status || 'pending');
-        const progress = Math.min(100, Math.max(0, parseNumericField(
-            row.progress || row.Progress,
-            status === 'completed' ? 100 : 0 // Default: 100 if completed, 0 otherwise
-        )));
-        
-        return {
-            id: sanitizeId(row.id || row.Id || `milestone-${index}`),
-            date: sanitizeDate(row.date || row.Date || ''),
-            title: sanitizeText(row.title || row.Title || row.milestone || `Milestone ${index + 1}`),
-            assignee: sanitizeText(row.owner || row.Owner || row.assignee || row.Assignee || ''),
-            status, // EXPLICIT status field from sheet
-            description: sanitizeText(row.description || row.Description || ''),
-            progress // EXPLICIT progress field from sheet
-        };
-    }).filter(milestone => milestone.date && milestone.title);
+function isInSprint(item, date, sprint) {
+    if (item.sprintId) return item.sprintId === sprint.id;
+    if (!date) return true;
+    return date >= sprint.startDate && date <= sprint.endDate;
 }
 
 /**
- * Sanitize milestone status to valid enum value
+ * Project settings, tasks and milestones belonging to one SPRINTS row
+ * @param {object} sprint - Normalized sprint
+ * @returns {object} { project, tasks, milestones }
  */
-function sanitizeMilestoneStatus(status) {
-    const validStatuses = ['pending', 'in-progress', 'completed', 'blocked'];
-    const cleaned = String(status).toLowerCase().trim().replace(/\s+/g, '-');
-    // Map common variations
-    const statusMap = {
-        'not-started': 'pending',
-        'notstarted': 'pending',
-        'in progress': 'in-progress',
-        'inprogress': 'in-progress',
-        'done': 'completed',
-        'complete': 'completed',
-        'upcoming': 'pending'
+function getSprintScope(sprint, data = appData) {
+    return {
+        project: {
+            ...data.sprintConfig,
+            id: sprint.id,
+            name: sprint.name,
+            startDate: sprint.startDate,
+            endDate: sprint.endDate,
+            goal: sprint.goal
+        },
+        tasks: data.allTasks.filter(t => isInSprint(t, t.startDate, sprint)),
+        milestones: data.allMilestones.filter(m => isInSprint(m, m.date, sprint))
     };
-    const mapped = statusMap[cleaned] || cleaned;
-    return validStatuses.includes(mapped) ? mapped : 'pending';
+}
+
+/**
+ * Scope project, tasks and milestones to one sprint
+ * Without a SPRINTS sheet the single SPRINT_CONFIG sprint is used as-is.
+ * @param {string} [sprintId] - Sprint to show, defaults to getDefaultSprint()
+ * @param {object} [data] - Data to scope in place (appData, or one portfolio team)
+ * @returns {object|null} Selected sprint, null when there is no SPRINTS sheet
+ */
+function applySprintSelection(sprintId, data = appData) {
+    if (!data.sprints || data.sprints.length === 0) {
+        data.selectedSprintId = null;
+        data.project = data.sprintConfig;
+        data.tasks = data.allTasks;
+        data.milestones = data.allMilestones;
+        return null;
+    }
+    
+    const sprint = data.sprints.find(s => s.id === sprintId) || getDefaultSprint(data.sprints);
+    const scope = getSprintScope(sprint, data);
+    data.selectedSprintId = sprint.id;
+    data.project = scope.project;
+    data.tasks = scope.tasks;
+    data.milestones = scope.milestones;
+    
+    console.log(`🗂️ Sprint selected: ${sprint.name} (${data.tasks.length} tasks, ${data.milestones.length} milestones)`);
+    return sprint;
+}
+
+/**
+ * Switch the whole dashboard to another sprint and remember the choice
+ */
+function selectSprint(sprintId) {
+    applySprintSelection(sprintId);
+    try {
+        localStorage.setItem(workspaceKey(SPRINT_STORAGE_KEY), appData.selectedSprintId || '');
+    } catch (e) { /* storage unavailable - selection lasts for this session */ }
+    
+    if (typeof renderAll === 'function') renderAll();
+    if (typeof refreshMobileSection === 'function') refreshMobileSection();
+    if (typeof recordBurndownSnapshot === 'function') recordBurndownSnapshot();
 }
 
 /**
@@ -568,14 +3598,24 @@ function sanitizeMilestoneStatus(status) {
 async function loadAllData() {
     try {
         console.log('🚀 Starting data load...');
-        // Load from Google Sheets (real-time collaboration!)
-        await loadFromGoogleSheets();
+        offlineResponseFetchedAt = null;
+        const sourceType = getActiveDataSourceType();
+        const adapter = getDataSourceAdapter(sourceType);
+        console.log(`🔌 Data source: ${adapter.label}`);
         
-        console.log('✅ Data loaded from sheets:', {
+        const sheets = await adapter.load();
+        loadedSheetHeaders = getSheetHeaders(sheets);
+        const raw = applyColumnMapping(sheets);
+        applyRawSheets(raw);
+        appData.source = sourceType;
+        appData.dataHealth = checkDataHealth(raw, appData);
+        
+        console.log(`✅ Data loaded from ${appData.source}:`, {
             project: appData.project,
             teamMembers: appData.teamMembers?.length,
             tasks: appData.tasks?.length,
-            milestones: appData.milestones?.length
+            milestones: appData.milestones?.length,
+            holidays: appData.holidays?.length
         });
         
         validateData();
@@ -583,13 +3623,50 @@ async function loadAllData() {
         appData.loaded = true;
         appData.error = null;
         
+        // Offline, the service worker answers with its last copy of the sheets
+        if (offlineResponseFetchedAt) {
+            appData.cachedAt = offlineResponseFetchedAt;
+            showCachedDataBanner("you're offline");
+            console.log('📦 Data loaded from the offline cache');
+            return true;
+        }
+        
+        appData.cachedAt = null;
+        hideCachedDataBanner();
+        saveCachedData();
+        
+        // Keep today's burndown point and archive sprint history
+        // (live data only, never the demo fallback or cached copies)
+        if (typeof recordBurndownSnapshot === 'function') {
+            recordBurndownSnapshot();
+        }
+        if (typeof archiveSprints === 'function') {
+            archiveSprints();
+        }
+        
         console.log('✅ Data loaded successfully:', appData);
         return true;
         
     } catch (error) {
         console.error('❌ Error loading data:', error);
+        
+        // Headers the sheet does have, so Column Mapping can fix "missing columns"
+        if (error.sheets) loadedSheetHeaders = getSheetHeaders(error.sheets);
+        
+        // The last good data beats demo data
+        if (await applyCachedData()) {
+            appData.error = error.message;
+            showCachedDataBanner(error.message);
+            if (typeof renderAll === 'function') {
+                renderAll();
+            }
+            return false;
+        }
+        
         appData.error = error.message;
         appData.loaded = false;
+        appData.cachedAt = null;
+        hideCachedDataBanner();
         
         // Show error to user
         showError(error.message);
@@ -613,6 +3690,8 @@ async function loadAllData() {
 function validateData() {
     const errors = [];
     const warnings = [];
+    // Warnings without a sheet row still go to the Data Health panel
+    const warn = (sheet, message) => warnings.push({ sheet, row: null, column: null, columnIndex: -1, severity: 'warning', message, value: '' });
     
     // SPRINT_CONFIG validation
     if (!appData.project || !appData.project.name) {
@@ -628,7 +3707,7 @@ function validateData() {
     } else {
         appData.teamMembers.forEach((member, index) => {
             if (!member.id) {
-                warnings.push(`Member #${index + 1} missing required field: id`);
+                warn('MEMBERS', `Member #${index + 1} missing required field: id`);
             }
             if (!member.name) {
                 errors.push(`Member #${index + 1} missing required field: name`);
@@ -638,38 +3717,53 @@ function validateData() {
     
     // TASKS validation - check required fields per DATA_CONTRACT
     if (!appData.tasks || appData.tasks.length === 0) {
-        warnings.push('No tasks found in TASKS sheet');
+        warn('TASKS', 'No tasks found in TASKS sheet');
     } else {
         appData.tasks.forEach((task, index) => {
             if (!task.id) {
-                warnings.push(`Task #${index + 1} missing required field: id`);
+                warn('TASKS', `Task #${index + 1} missing required field: id`);
             }
             if (!task.name) {
                 errors.push(`Task #${index + 1} missing required field: name`);
             }
             if (!task.owner) {
-                warnings.push(`Task "${task.name || index + 1}" missing required field: owner`);
+                warn('TASKS', `Task "${task.name || index + 1}" missing required field: owner`);
             }
             // start_date and end_date are already validated in normalizeTasks
         });
+        
+        // Unknown depends_on ids are reported per row by checkDataHealth()
+        if (typeof computeCriticalPath === 'function') {
+            const { cycles } = computeCriticalPath(appData.tasks);
+            cycles.forEach(cycle => {
+                const names = cycle.map(id => {
+                    const task = appData.tasks.find(t => t.id === id);
+                    return task && task.name ? `"${task.name}" (${id})` : id;
+                });
+                warn('TASKS', `Circular dependency between tasks ${names.join(', ')} - left out of the critical path`);
+            });
+        }
     }
     
     // MILESTONES validation - check required fields per DATA_CONTRACT
     if (appData.milestones && appData.milestones.length > 0) {
         appData.milestones.forEach((milestone, index) => {
             if (!milestone.date) {
-                warnings.push(`Milestone "${milestone.title || index + 1}" missing required field: date`);
+                warn('MILESTONES', `Milestone "${milestone.title || index + 1}" missing required field: date`);
             }
             if (!milestone.title) {
-                warnings.push(`Milestone #${index + 1} missing required field: title`);
+                warn('MILESTONES', `Milestone #${index + 1} missing required field: title`);
             }
         });
     }
     
-    // Surface warnings via toast (non-blocking)
-    if (warnings.length > 0 && typeof showToast === 'function') {
-        showToast(`Warning: ${warnings.length} data warning(s) detected. Check console for details.`, 'warning', 5000);
-        console.warn('Data validation warnings:\n• ' + warnings.join('\n• '));
+    // Surface every issue in the Data Health panel (non-blocking)
+    appData.dataHealth = [...(appData.dataHealth || []), ...warnings];
+    if (appData.dataHealth.length > 0) {
+        console.warn(`⚠️ ${appData.dataHealth.length} data issue(s) - see Data Health`);
+        if (typeof showToast === 'function') {
+            showToast(`${appData.dataHealth.length} data issue(s) found — see Data Health`, 'warning', 5000);
+        }
     }
     
     // Throw error for critical issues
@@ -684,6 +3778,12 @@ function validateData() {
  */
 function loadFallbackData() {
     console.warn('⚠️ Using fallback demo data. Configure your Google Sheet!');
+    appData.source = 'demo';
+    appData.dataHealth = [];
+    appData.transformations = [];
+    appData.statuses = [];
+    appData.priorities = [];
+    appData.customFields = [];
     
     // Use current month as default range
     const today = new Date();
@@ -780,6 +3880,8 @@ function loadFallbackData() {
             priority: "normal",
             startDate: getDemoDate(7),
             endDate: getDemoDate(14),
+            baselineStart: getDemoDate(5), // Planned two days earlier - shows the baseline bar
+            baselineEnd: getDemoDate(12),
             type: "Development",
             blockers: "",
             notes: "Sample multi-day task spanning 2 weeks",
@@ -836,6 +3938,18 @@ function loadFallbackData() {
         }
     ];
     
+    appData.holidays = [];
+    if (typeof memoCache !== 'undefined') {
+        memoCache.workingDays.clear();
+    }
+    
+    // Demo data is a single sprint
+    appData.sprints = [];
+    appData.sprintConfig = appData.project;
+    appData.allTasks = appData.tasks;
+    appData.allMilestones = appData.milestones;
+    appData.selectedSprintId = null;
+    
     appData.loaded = true;
 }
 
@@ -874,9 +3988,14 @@ function getFilteredTasks() {
     if (typeof filters !== 'undefined') {
         return appData.tasks.filter(task => {
             if (filters.hideCompleted && task.completed) return false;
-            if (filters.owner !== 'all' && task.owner !== filters.owner && task.owner !== 'both') return false;
-            if (filters.status !== 'all' && !task.status.toLowerCase().includes(filters.status.toLowerCase())) return false;
-            if (filters.priority !== 'all' && task.priority !== filters.priority) return false;
+            if (filters.owner !== 'all') {
+                const owned = typeof isTaskOwnedBy === 'function'
+                    ? isTaskOwnedBy(task, filters.owner)
+                    : task.owner === filters.owner;
+                if (!owned) return false;
+            }
+            if (filters.status !== 'all' && !(task.statusId || task.status).toLowerCase().includes(filters.status.toLowerCase())) return false;
+            if (filters.priority !== 'all' && (task.priorityId || task.priority) !== filters.priority) return false;
             if (filters.search && !task.name.toLowerCase().includes(filters.search.toLowerCase())) return false;
             return true;
         });
@@ -904,6 +4023,61 @@ function exportData() {
     link.click();
 }
 
+/**
+ * Export tasks as CSV with TASKS sheet headers, custom fields included
+ * The file can be imported back as the TASKS tab
+ * @param {Object[]} [tasks] - Defaults to the selected sprint's tasks
+ */
+function exportTasksCsv(tasks = appData.tasks) {
+    const customFields = appData.customFields || [];
+    const headers = ['id', 'name', 'owner', 'bu', 'start_date', 'end_date', 'status', 'priority', 'jira_id', 'jira_url',
+        'blockers', 'type', 'notes', 'completed', 'estimated_hours', 'depends_on', 'sprint_id',
+        'baseline_start', 'baseline_end', ...customFields.map(field => field.header)];
+    
+    const rows = (tasks || []).map(task => {
+        const owners = task.owners && task.owners.length > 0 ? task.owners : [{ id: task.owner }];
+        const values = task.customFields || {};
+        return [
+            task.id,
+            task.name,
+            owners.map(owner => owners.length > 1 && owner.share ? `${owner.id}:${owner.share}` : owner.id).join(','),
+            task.bu,
+            task.startDate,
+            task.endDate,
+            task.statusId || task.status,
+            task.priorityId || task.priority,
+            task.jiraId,
+            task.jiraUrl,
+            task.blockers,
+            task.type,
+            task.notes,
+            task.completed ? 'TRUE' : 'FALSE',
+            task.estimatedHours,
+            (task.dependsOn || []).join(','),
+            task.sprintId,
+            task.baselineStart,
+            task.baselineEnd,
+            ...customFields.map(field => values[field.key])
+        ];
+    });
+    
+    downloadCsv([headers, ...rows], `tasks-${new Date().toISOString().split('T')[0]}.csv`);
+}
+
+function downloadCsv(rows, filename) {
+    const csv = rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+}
+
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Show desktop skeleton loading state
  * Injects shimmer placeholders into the main content area
@@ -1003,6 +4177,11 @@ function hideDesktopSkeleton() {
         });
         // Add a fade-in class to the content
         desktopContent.classList.add('content-loaded');
+        
+        // Gantt dependency arrows can only be measured once sections are visible
+        if (typeof drawGanttDependencyArrows === 'function') {
+            drawGanttDependencyArrows();
+        }
     }
 }
 
@@ -1031,6 +4210,18 @@ function hideLoadingIndicator() {
     if (mobileSkeleton) mobileSkeleton.style.display = 'none';
 }
 
+/**
+ * Heading for the setup banner, matching the source that failed
+ */
+function getDataSourceSetupTitle() {
+    switch (getActiveDataSourceType()) {
+        case 'local-files': return '📂 Local Files Could Not Be Loaded';
+        case 'csv-urls': return '🔗 Published CSV URLs Could Not Be Loaded';
+        case 'json': return '🧾 JSON Data Could Not Be Loaded';
+        default: return '☁️ Google Sheets Setup Required';
+    }
+}
+
 /**
  * Show error message
  */
@@ -1042,17 +4233,18 @@ function showError(message) {
         
         container.insertAdjacentHTML('afterbegin', `
             <div id="data-error" style="background:#fef3c7;border-left:4px solid #f59e0b;padding:20px;margin:20px 30px;border-radius:8px;">
-                <h3 style="color:#92400e;margin-bottom:12px;">☁️ Google Sheets Setup Required</h3>
+                <h3 style="color:#92400e;margin-bottom:12px;">${getDataSourceSetupTitle()}</h3>
                 <p style="color:#78350f;margin-bottom:12px;line-height:1.6;">${message}</p>
                 <div style="background:white;padding:15px;border-radius:6px;margin:15px 0;">
                     <p style="color:#1e293b;font-weight:600;margin-bottom:10px;">📋 Quick Setup (No Login Required!):</p>
                     <ol style="color:#475569;margin-left:20px;line-height:1.8;">
                         <li>Create a Google Sheet</li>
-                        <li>Add 4 tabs: <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">SPRINT_CONFIG</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">MEMBERS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">TASKS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">MILESTONES</code></li>
+                        <li>Add 4 tabs: <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">SPRINT_CONFIG</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">MEMBERS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">TASKS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">MILESTONES</code> (plus optional <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">HOLIDAYS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">SPRINTS</code>, <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">STATUSES</code> and <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">PRIORITIES</code>)</li>
                         <li>Click <strong>Share</strong> → Change to "Anyone with the link" → <strong>Viewer</strong></li>
                         <li>Copy Sheet ID from URL: <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">docs.google.com/spreadsheets/d/<strong>SHEET_ID</strong>/edit</code></li>
-                        <li>Add to <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">dataLoader.js</code> line 18</li>
+                        <li>Paste the sheet URL in <strong>Data Settings</strong> (or set it in <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">GOOGLE_SHEETS_CONFIG</code> in <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">dataLoader.js</code>)</li>
                     </ol>
+                    <p style="color:#475569;margin-top:10px;">No sheet yet? Click <strong>Load from Files</strong> and pick the CSVs from <code style="background:#f1f5f9;padding:2px 4px;border-radius:3px;">templates/</code> (or one .xlsx workbook with the same tab names) to work offline.</p>
                 </div>
                 <p style="color:#78350f;font-size:0.9rem;margin-top:12px;">
                     📚 <strong>Need help?</strong> See <code style="background:#f59e0b;color:white;padding:2px 6px;border-radius:3px;">README.md</code> for detailed guide
@@ -1060,6 +4252,12 @@ function showError(message) {
                 <button onclick="refreshData()" style="margin-top:15px;padding:10px 20px;background:#10b981;color:white;border:none;border-radius:6px;cursor:pointer;font-weight:600;">
                     🔄 Retry After Setup
                 </button>
+                <button onclick="openSheetSettings()" style="margin-top:15px;margin-left:8px;padding:10px 20px;background:white;color:#92400e;border:1px solid #f59e0b;border-radius:6px;cursor:pointer;font-weight:600;">
+                    ⚙️ Data Settings
+                </button>
+                <button onclick="openFileImport()" style="margin-top:15px;margin-left:8px;padding:10px 20px;background:white;color:#92400e;border:1px solid #f59e0b;border-radius:6px;cursor:pointer;font-weight:600;">
+                    📂 Load from Files
+                </button>
             </div>
         `);
     }
@@ -1070,8 +4268,23 @@ function showError(message) {
 // =============================================
 if (typeof window !== 'undefined') {
     window.addEventListener('DOMContentLoaded', async () => {
+        applySheetSettings();
+        initializeFileDrop();
+        initializeConnectivityWatch();
         showDesktopSkeleton();
-        const success = await loadAllData();
+        
+        // Stale-while-revalidate: the live load starts right away and the last
+        // good data is shown only if it is read before the live data arrives
+        const liveLoad = loadAllData();
+        if (await applyCachedData(() => appData.loaded)) {
+            if (typeof renderAll === 'function') {
+                renderAll();
+            }
+            hideDesktopSkeleton();
+            showCachedDataBanner();
+        }
+        
+        const success = await liveLoad;
         
         // Render the UI after data loads
         if (success && typeof renderAll === 'function') {
@@ -1082,7 +4295,32 @@ if (typeof window !== 'undefined') {
         hideDesktopSkeleton();
     });
     
+    // Register once the page has loaded so precaching doesn't compete with the first data load
+    window.addEventListener('load', registerServiceWorker);
+    
     // Expose functions globally for HTML button access
     window.refreshData = refreshData;
     window.exportData = exportData;
+    window.exportTasksCsv = exportTasksCsv;
+    window.updateTask = updateTask;
+    window.stageTaskChange = stageTaskChange;
+    window.undoTaskChange = undoTaskChange;
+    window.discardPendingTaskChanges = discardPendingTaskChanges;
+    window.pushPendingTaskChanges = pushPendingTaskChanges;
+    window.exportPendingChangesCsv = exportPendingChangesCsv;
+    window.openFileImport = openFileImport;
+    window.closeFileImport = closeFileImport;
+    window.importDataFiles = importDataFiles;
+    window.useConfiguredSource = useConfiguredSource;
+    window.openSheetSettings = openSheetSettings;
+    window.closeSheetSettings = closeSheetSettings;
+    window.testSheetSettings = testSheetSettings;
+    window.saveSheetSettings = saveSheetSettings;
+    window.showSettingsSource = showSettingsSource;
+    window.resetSheetSettings = resetSheetSettings;
+    window.copySheetShareLink = copySheetShareLink;
+    window.switchWorkspace = switchWorkspace;
+    window.createWorkspace = createWorkspace;
+    window.renameWorkspace = renameWorkspace;
+    window.deleteWorkspace = deleteWorkspace;
 }
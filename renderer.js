@@ -52,22 +52,21 @@ function getDaysBetween(start, end) {
     return Math.ceil(diff / (1000 * 60 * 60 * 24)) + 1;
 }
 
-function getWorkingDays(start, end) {
-    const cacheKey = `${start}-${end}`;
+/**
+ * Count working days between two dates (inclusive)
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @param {object} [member] - Use this member's work_days instead of the team default
+ */
+function getWorkingDays(start, end, member = null) {
+    const workDays = getMemberWorkDays(member);
+    const cacheKey = `${start}-${end}-${workDays.join('')}`;
     if (memoCache.workingDays.has(cacheKey)) {
         return memoCache.workingDays.get(cacheKey);
     }
     
-    let count = 0;
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        const day = d.getDay();
-        if (day !== 0 && day !== 6) { // Not Sunday or Saturday
-            count++;
-        }
-    }
+    // Days off and HOLIDAYS-sheet dates are not working days
+    const count = generateDateRange(start, end).filter(d => isWorkingDay(d, member)).length;
     memoCache.workingDays.set(cacheKey, count);
     return count;
 }
@@ -76,24 +75,46 @@ function getWorkingDays(start, end) {
 // SPRINT-BASED BANDWIDTH CALCULATION
 // =============================================
 // FORMULA:
-//   Sprint Working Days = count(working days between sprint start & end)
-//   Hours Per Working Day = bandwidth_hours_per_week / 5
+//   Sprint Working Days = count(working days between sprint start & end,
+//                         excluding days off and holidays)
+//   Hours Per Working Day = bandwidth_hours_per_week / working days per week
+//                           (member work_days → SPRINT_CONFIG work_days → Mon–Fri)
 //   Total Sprint Hours = Hours Per Working Day × Sprint Working Days
+//   Member Sprint Hours = Total Sprint Hours
+//                         - Hours Per Working Day × (leave days + half days / 2)
 // =============================================
 
 const HOURS_PER_WORK_DAY = 8; // Standard work day
-const WORK_DAYS_PER_WEEK = 5;
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5]; // Mon–Fri (0 = Sunday)
+
+/**
+ * Team default working days from SPRINT_CONFIG work_days (Mon–Fri if not set)
+ * @returns {number[]} Day-of-week indexes (0 = Sunday)
+ */
+function getTeamWorkDays() {
+    return (appData.project && appData.project.workDays) || DEFAULT_WORK_DAYS;
+}
+
+/**
+ * Working days for a member - their own work_days column, else the team default
+ * @param {object} [member] - Team member
+ * @returns {number[]} Day-of-week indexes (0 = Sunday)
+ */
+function getMemberWorkDays(member) {
+    return (member && member.workDays && member.workDays.length) ? member.workDays : getTeamWorkDays();
+}
 
 /**
  * Calculate sprint-based bandwidth for a team member
  * @param {number} weeklyBandwidthHours - Weekly bandwidth (e.g., 40)
  * @param {string} sprintStart - Sprint start date
  * @param {string} sprintEnd - Sprint end date
+ * @param {object} [member] - Use this member's working schedule (defaults to team)
  * @returns {object} { sprintWorkingDays, hoursPerDay, totalSprintHours }
  */
-function calculateSprintBandwidth(weeklyBandwidthHours, sprintStart, sprintEnd) {
-    const sprintWorkingDays = getWorkingDays(sprintStart, sprintEnd);
-    const hoursPerDay = weeklyBandwidthHours / WORK_DAYS_PER_WEEK;
+function calculateSprintBandwidth(weeklyBandwidthHours, sprintStart, sprintEnd, member = null) {
+    const sprintWorkingDays = getWorkingDays(sprintStart, sprintEnd, member);
+    const hoursPerDay = weeklyBandwidthHours / getMemberWorkDays(member).length;
     const totalSprintHours = hoursPerDay * sprintWorkingDays;
     
     return {
@@ -103,6 +124,59 @@ function calculateSprintBandwidth(weeklyBandwidthHours, sprintStart, sprintEnd)
     };
 }
 
+/**
+ * Calculate sprint bandwidth for a specific member over a date range,
+ * deducting full-day leaves and half-days that fall on working days
+ * @param {object} member - Team member (bandwidthHours, leaves, halfDays)
+ * @param {string} rangeStart - Range start date (YYYY-MM-DD)
+ * @param {string} rangeEnd - Range end date (YYYY-MM-DD)
+ * @returns {object} { sprintWorkingDays, hoursPerDay, totalSprintHours, leaveDays, halfDays, leaveHours }
+ */
+function calculateMemberBandwidth(member, rangeStart, rangeEnd) {
+    const weeklyHours = member.bandwidthHours ?? 40;
+    const { sprintWorkingDays, hoursPerDay } = calculateSprintBandwidth(weeklyHours, rangeStart, rangeEnd, member);
+    
+    const leaveSet = new Set(member.leaves || []);
+    const halfDaySet = new Set(member.halfDays || []);
+    let leaveDays = 0;
+    let halfDays = 0;
+    
+    generateDateRange(rangeStart, rangeEnd).forEach(date => {
+        if (!isWorkingDay(date, member)) return;
+        if (leaveSet.has(date)) {
+            leaveDays++;
+        } else if (halfDaySet.has(date)) {
+            halfDays++;
+        }
+    });
+    
+    const availableDays = Math.max(0, sprintWorkingDays - leaveDays - halfDays / 2);
+    
+    return {
+        sprintWorkingDays,
+        hoursPerDay,
+        totalSprintHours: Math.round(hoursPerDay * availableDays * 10) / 10,
+        leaveDays,
+        halfDays,
+        leaveHours: Math.round(hoursPerDay * (leaveDays + halfDays / 2) * 10) / 10
+    };
+}
+
+/**
+ * Get a member's capacity in hours for a single date
+ * Non-working days and leave days = 0h, half-days = half a normal day
+ * @param {object} member - Team member
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {number} Available hours on that date
+ */
+function getMemberDayCapacity(member, dateStr) {
+    if (!isWorkingDay(dateStr, member)) return 0;
+    if ((member.leaves || []).includes(dateStr)) return 0;
+    
+    const hoursPerDay = (member.bandwidthHours ?? 40) / getMemberWorkDays(member).length;
+    return (member.halfDays || []).includes(dateStr) ? hoursPerDay / 2 : hoursPerDay;
+}
+
 /**
  * Get total team sprint capacity
  * @returns {object} { totalSprintHours, sprintWorkingDays, memberCapacities[] }
@@ -116,8 +190,8 @@ function getTeamSprintCapacity() {
     
     const memberCapacities = appData.teamMembers.map(member => {
         const weeklyHours = member.bandwidthHours ?? 40;
-        const bandwidth = calculateSprintBandwidth(
-            weeklyHours,
+        const bandwidth = calculateMemberBandwidth(
+            member,
             appData.project.startDate,
             appData.project.endDate
         );
@@ -160,6 +234,7 @@ function getSprintTimeState() {
             today: getTodayLocalDate(),
             sprintStart: null,
             sprintEnd: null,
+            remainingStart: null,
             currentDay: 0
         };
     }
@@ -179,11 +254,13 @@ function getSprintTimeState() {
     
     let elapsedWorkingDays = 0;
     let remainingWorkingDays = 0;
+    let remainingStart = null; // First date counted as "remaining"
     let currentDay = 0;
     
     if (isNotStarted) {
         // Sprint hasn't started yet
         remainingWorkingDays = totalWorkingDays;
+        remainingStart = appData.project.startDate;
         currentDay = 0;
     } else if (isComplete) {
         // Sprint has ended
@@ -201,6 +278,7 @@ function getSprintTimeState() {
         
         if (tomorrow <= sprintEnd) {
             remainingWorkingDays = getWorkingDays(tomorrowStr, appData.project.endDate);
+            remainingStart = tomorrowStr;
         } else {
             remainingWorkingDays = 0;
         }
@@ -218,6 +296,7 @@ function getSprintTimeState() {
         today: todayStr,
         sprintStart: appData.project.startDate,
         sprintEnd: appData.project.endDate,
+        remainingStart,
         currentDay,
         progressPercent: totalWorkingDays > 0 ? Math.round((elapsedWorkingDays / totalWorkingDays) * 100) : 0
     };
@@ -231,11 +310,10 @@ function getSprintTimeState() {
  */
 function getRemainingSprintBandwidth(member) {
     const timeState = getSprintTimeState();
-    if (!timeState.isValid || timeState.isComplete) return 0;
+    if (!timeState.isValid || timeState.isComplete || !timeState.remainingStart) return 0;
     
-    const weeklyHours = member.bandwidthHours ?? 40;
-    const hoursPerDay = weeklyHours / WORK_DAYS_PER_WEEK;
-    return Math.round(hoursPerDay * timeState.remainingWorkingDays * 10) / 10;
+    // Leaves and half-days still ahead of us reduce what's left
+    return calculateMemberBandwidth(member, timeState.remainingStart, timeState.sprintEnd).totalSprintHours;
 }
 
 /**
@@ -263,14 +341,13 @@ function getSprintWorkingDays() {
 
 /**
  * Get sprint bandwidth for a single member (TOTAL sprint, not remaining)
- * WRAPPER: Uses calculateSprintBandwidth internally
+ * WRAPPER: Uses calculateMemberBandwidth internally (leaves/half-days deducted)
  * @param {object} member - Team member
  * @returns {number} Total sprint hours for this member
  */
 function getSprintBandwidth(member) {
     if (!appData.project) return 0;
-    const weeklyHours = member.bandwidthHours ?? 40;
-    const result = calculateSprintBandwidth(weeklyHours, appData.project.startDate, appData.project.endDate);
+    const result = calculateMemberBandwidth(member, appData.project.startDate, appData.project.endDate);
     return result.totalSprintHours;
 }
 
@@ -295,22 +372,19 @@ function getNextAvailableDay(member, minFreeHours = 4) {
     const timeState = getSprintTimeState();
     if (!timeState.isValid || timeState.isComplete) return null;
     
-    const weeklyHours = member.bandwidthHours ?? 40;
-    const hoursPerDay = weeklyHours / WORK_DAYS_PER_WEEK;
-    
     // Get tasks assigned to this member with dates
-    const memberTasks = (appData.tasks || []).filter(t => t.owner === member.id && t.startDate && t.endDate);
+    const memberTasks = (appData.tasks || []).filter(t => isTaskOwnedBy(t, member.id) && t.startDate && t.endDate);
     
-    // Build daily allocation map
+    // Build daily allocation map (member's share of each task)
     const dailyAllocation = {};
     memberTasks.forEach(task => {
-        const taskDays = getWorkingDays(task.startDate, task.endDate);
+        const taskDays = getWorkingDays(task.startDate, task.endDate, member);
         if (taskDays <= 0) return;
-        const hoursPerTaskDay = (task.estimatedHours || 0) / taskDays;
+        const hoursPerTaskDay = getMemberTaskHours(task, member.id) / taskDays;
         
         const dates = generateDateRange(task.startDate, task.endDate);
         dates.forEach(date => {
-            if (!isWeekend(date)) {
+            if (isWorkingDay(date, member)) {
                 dailyAllocation[date] = (dailyAllocation[date] || 0) + hoursPerTaskDay;
             }
         });
@@ -322,10 +396,11 @@ function getNextAvailableDay(member, minFreeHours = 4) {
     
     for (let d = new Date(today); d <= sprintEnd; d.setDate(d.getDate() + 1)) {
         const dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-        if (isWeekend(dateStr)) continue;
+        if (!isWorkingDay(dateStr, member)) continue;
         
+        // Leave days have no capacity, half-days have half
         const allocated = dailyAllocation[dateStr] || 0;
-        const freeHours = Math.max(0, hoursPerDay - allocated);
+        const freeHours = Math.max(0, getMemberDayCapacity(member, dateStr) - allocated);
         
         if (freeHours >= minFreeHours) {
             return {
@@ -338,8 +413,97 @@ function getNextAvailableDay(member, minFreeHours = 4) {
     return null; // No availability this sprint
 }
 
+// =============================================
+// TASK OWNERSHIP - MULTI-OWNER SHARES
+// =============================================
+// The owner column accepts several ids with optional shares
+// ("avi:60,neha:40"). Estimated hours are split by share for every
+// capacity calculation. The legacy "both" owner expands to the whole
+// team with equal shares.
+// =============================================
+
+/**
+ * Resolve a task's owners with their share of the work (shares sum to 1)
+ * @param {object} task - Task
+ * @returns {object[]} [{ id, share }]
+ */
+function getTaskOwners(task) {
+    const owners = Array.isArray(task.owners)
+        ? task.owners
+        : (task.owner ? [{ id: task.owner, share: 1 }] : []);
+    
+    if (owners.some(o => o.id === 'both')) {
+        const members = appData.teamMembers || [];
+        return members.map(m => ({ id: m.id, share: 1 / members.length }));
+    }
+    return owners;
+}
+
+/**
+ * Share (0-1) of a task that belongs to a member
+ */
+function getTaskOwnerShare(task, memberId) {
+    const owner = getTaskOwners(task).find(o => o.id === memberId);
+    return owner ? owner.share : 0;
+}
+
+/**
+ * Does the member own any share of the task
+ */
+function isTaskOwnedBy(task, memberId) {
+    return getTaskOwnerShare(task, memberId) > 0;
+}
+
+/**
+ * Estimated hours of a task booked to one member
+ */
+function getMemberTaskHours(task, memberId) {
+    return (task.estimatedHours || 0) * getTaskOwnerShare(task, memberId);
+}
+
+/**
+ * Sum a member's share of hours across tasks (rounded to 1 decimal)
+ * @param {object[]} tasks - Tasks to sum
+ * @param {string} memberId - Member id
+ * @returns {number} Allocated hours
+ */
+function getMemberAllocatedHours(tasks, memberId) {
+    const hours = (tasks || []).reduce((sum, t) => sum + getMemberTaskHours(t, memberId), 0);
+    return Math.round(hours * 10) / 10;
+}
+
+/**
+ * Group tasks under every member that owns a share of them
+ * @returns {object} Map of memberId -> tasks[]
+ */
+function getTasksByOwner(tasks = appData.tasks || []) {
+    const tasksByOwner = {};
+    tasks.forEach(task => {
+        getTaskOwners(task).forEach(({ id }) => {
+            if (!tasksByOwner[id]) tasksByOwner[id] = [];
+            tasksByOwner[id].push(task);
+        });
+    });
+    return tasksByOwner;
+}
+
+/**
+ * Display label for a task's owners, e.g. "Avi Gupta (60%), Neha (40%)"
+ */
+function getTaskOwnerLabel(task) {
+    const owners = getTaskOwners(task);
+    if (owners.length === 0) return 'Unassigned';
+    
+    return owners.map(o => {
+        const member = getTeamMember(o.id);
+        const name = member ? member.name : o.id;
+        return owners.length > 1 ? `${name} (${Math.round(o.share * 100)}%)` : name;
+    }).join(', ');
+}
+
 /**
  * Get allocated hours per member from tasks
+ * Multi-owner tasks are split by share
  * @returns {object} Map of memberId -> allocatedHours
  */
 function getAllocatedHoursByMember() {
@@ -348,18 +512,38 @@ function getAllocatedHoursByMember() {
     if (!appData.tasks) return allocation;
     
     appData.tasks.forEach(task => {
-        const owner = task.owner || 'unassigned';
-        const hours = task.estimatedHours || 0;
-        allocation[owner] = (allocation[owner] || 0) + hours;
+        const owners = getTaskOwners(task);
+        if (owners.length === 0) {
+            allocation.unassigned = (allocation.unassigned || 0) + (task.estimatedHours || 0);
+            return;
+        }
+        owners.forEach(({ id }) => {
+            allocation[id] = (allocation[id] || 0) + getMemberTaskHours(task, id);
+        });
+    });
+    
+    Object.keys(allocation).forEach(id => {
+        allocation[id] = Math.round(allocation[id] * 10) / 10;
     });
     
     return allocation;
 }
 
+/**
+ * Is the date a day off in the team calendar (SPRINT_CONFIG work_days)
+ */
 function isWeekend(dateStr) {
-    const date = new Date(dateStr);
-    const day = date.getDay();
-    return day === 0 || day === 6;
+    return !isScheduledDay(dateStr);
+}
+
+/**
+ * Is the date on the member's (or team's) weekly schedule - ignores holidays
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {object} [member] - Team member; team default when omitted
+ */
+function isScheduledDay(dateStr, member = null) {
+    const day = new Date(dateStr + 'T00:00:00').getDay();
+    return getMemberWorkDays(member).includes(day);
 }
 
 function generateDateRange(start, end) {
@@ -382,6 +566,25 @@ function isHoliday(dateStr) {
     return appData.holidays.some(h => h.date === dateStr);
 }
 
+/**
+ * Get the holiday entry for a date (from the HOLIDAYS sheet)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {object|null} { date, name, region } or null
+ */
+function getHoliday(dateStr) {
+    if (!appData.holidays) return null;
+    return appData.holidays.find(h => h.date === dateStr) || null;
+}
+
+/**
+ * A working day is a scheduled day (member or team) that is not a holiday
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {object} [member] - Team member; team default when omitted
+ */
+function isWorkingDay(dateStr, member = null) {
+    return isScheduledDay(dateStr, member) && !isHoliday(dateStr);
+}
+
 // XSS protection helper
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -461,6 +664,96 @@ function normalizeMilestoneStatus(status, defaultStatus = 'pending') {
     return VALID_MILESTONE_STATUSES.includes(normalizedDefault) ? normalizedDefault : 'pending';
 }
 
+// =============================================
+// STATUS & PRIORITY VOCABULARY
+// =============================================
+// appData.statuses / appData.priorities hold the optional STATUSES and
+// PRIORITIES tabs. Without them the built-in lists are used, so callers
+// never need to know which one is active. Each entry's category is the
+// built-in status/priority it counts as (task.status / task.priority).
+// =============================================
+
+const BUILT_IN_STATUS_ORDER = ['in-progress', 'todo', 'blocked', 'review', 'pending', 'completed'];
+const BUILT_IN_PRIORITY_ORDER = ['urgent', 'normal', 'low'];
+
+function hasCustomStatuses() {
+    return Array.isArray(appData.statuses) && appData.statuses.length > 0;
+}
+
+function hasCustomPriorities() {
+    return Array.isArray(appData.priorities) && appData.priorities.length > 0;
+}
+
+/**
+ * Statuses in display order - filters, status bars and board columns
+ * @returns {Array<{id, label, color, icon, order, category}>}
+ */
+function getStatusDefinitions() {
+    if (hasCustomStatuses()) return appData.statuses;
+    return BUILT_IN_STATUS_ORDER.map((id, index) => ({
+        id, label: STATUS_CONFIG[id].label, color: STATUS_CONFIG[id].color,
+        icon: STATUS_CONFIG[id].icon, order: index + 1, category: id
+    }));
+}
+
+/**
+ * Priorities in display order
+ * @returns {Array<{id, label, color, icon, order, category}>}
+ */
+function getPriorityDefinitions() {
+    if (hasCustomPriorities()) return appData.priorities;
+    return BUILT_IN_PRIORITY_ORDER.map((id, index) => ({
+        id, label: PRIORITY_CONFIG[id].label, color: PRIORITY_CONFIG[id].color,
+        icon: null, order: index + 1, category: id
+    }));
+}
+
+/**
+ * Status entry a task is shown under
+ * Tasks ticked completed in the sheet land on their own status when it counts
+ * as done, else on the first status that does.
+ */
+function getTaskStatusDefinition(task) {
+    const definitions = getStatusDefinitions();
+    const category = task.completed ? 'completed' : normalizeTaskStatus(task.status);
+    const own = definitions.find(def => def.id === (task.statusId || category));
+    if (own && own.category === category) return own;
+    return definitions.find(def => def.category === category) || own || definitions[0];
+}
+
+function getTaskPriorityDefinition(task) {
+    const definitions = getPriorityDefinitions();
+    return definitions.find(def => def.id === (task.priorityId || task.priority))
+        || definitions.find(def => def.category === task.priority)
+        || definitions.find(def => def.category === 'normal')
+        || definitions[0];
+}
+
+/**
+ * Inline badge colors for a vocabulary hex color
+ */
+function getVocabularyBadgeStyle(color) {
+    return `background: ${color}1f; color: ${color};`;
+}
+
+/**
+ * Fill the status and priority filter dropdowns from the active vocabulary
+ * Keeps each dropdown's selection when the value still exists
+ */
+function renderVocabularyFilters() {
+    const fill = (selector, allLabel, definitions) => {
+        document.querySelectorAll(selector).forEach(select => {
+            const current = select.value;
+            select.innerHTML = `<option value="all">${allLabel}</option>` + definitions
+                .map(def => `<option value="${escapeHtml(def.id)}">${escapeHtml(def.label)}</option>`)
+                .join('');
+            select.value = definitions.some(def => def.id === current) ? current : 'all';
+        });
+    };
+    fill('#desktop-filter-status, #gantt-filter-status', 'All Statuses', getStatusDefinitions());
+    fill('#desktop-filter-priority, #gantt-filter-priority, [data-filter="priority"]', 'All Priorities', getPriorityDefinitions());
+}
+
 // Helper to validate and sanitize URLs for href attributes
 function sanitizeUrl(url) {
     if (!url) return '#';
@@ -633,21 +926,14 @@ function renderBandwidthOverview() {
     }
     
     // Pre-compute task allocation by owner for O(n) lookup
-    const tasksByOwner = {};
-    if (appData.tasks) {
-        appData.tasks.forEach(task => {
-            const owner = task.owner || 'unassigned';
-            if (!tasksByOwner[owner]) tasksByOwner[owner] = [];
-            tasksByOwner[owner].push(task);
-        });
-    }
+    const tasksByOwner = getTasksByOwner();
     
     tbody.innerHTML = appData.teamMembers.map(member => {
         // Use sprint-based bandwidth calculation
         const sprintBandwidth = getSprintBandwidth(member);
         const remainingBandwidth = getRemainingSprintBandwidth(member);
         const memberTasks = tasksByOwner[member.id] || [];
-        const allocatedHours = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const allocatedHours = getMemberAllocatedHours(memberTasks, member.id);
         const utilizationPercent = sprintBandwidth > 0 ? Math.round((allocatedHours / sprintBandwidth) * 100) : 0;
         const availableHours = Math.max(0, sprintBandwidth - allocatedHours);
         
@@ -693,15 +979,237 @@ function renderBandwidthOverview() {
     }).join('');
 }
 
+// =============================================
+// TASK DEPENDENCIES & CRITICAL PATH
+// =============================================
+// depends_on (TASKS sheet) lists predecessor task ids. Dependencies are
+// finish-to-start: a task should not start before its predecessors end.
+// Critical path uses CPM over working-day durations:
+//   Earliest Finish = max(predecessor Earliest Finish) + duration
+//   Latest Finish   = min(successor Latest Finish - successor duration)
+//   Critical        = Earliest Finish === Latest Finish (zero slack)
+// =============================================
+
+/**
+ * Find tasks that start before one of their predecessors ends
+ * @param {object[]} tasks - Tasks to check (defaults to all tasks)
+ * @returns {object[]} [{ taskId, predecessorId }]
+ */
+function getDependencyConflicts(tasks = appData.tasks || []) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const conflicts = [];
+    
+    tasks.forEach(task => {
+        (task.dependsOn || []).forEach(predecessorId => {
+            const predecessor = byId.get(predecessorId);
+            if (!predecessor || !task.startDate || !predecessor.endDate) return;
+            if (task.startDate < predecessor.endDate) {
+                conflicts.push({ taskId: task.id, predecessorId });
+            }
+        });
+    });
+    
+    return conflicts;
+}
+
+/**
+ * Compute the critical path through the task dependency graph
+ * Tasks without dates take part with zero duration but are never critical.
+ * Tasks that sit on a dependency cycle are left out of the calculation and
+ * reported in cycleTaskIds / cycles; tasks that merely depend on a cycle
+ * still take part.
+ * @param {object[]} tasks - Tasks to analyse (defaults to all tasks)
+ * @returns {object} { taskIds: Set, length (working days), cycleTaskIds: Set, cycles: string[][] }
+ */
+function computeCriticalPath(tasks = appData.tasks || []) {
+    const result = { taskIds: new Set(), length: 0, cycleTaskIds: new Set(), cycles: [] };
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    
+    const buildGraph = (skip = new Set()) => {
+        const graph = { predecessors: new Map(), successors: new Map(), edgeCount: 0 };
+        tasks.forEach(t => {
+            if (skip.has(t.id)) return;
+            graph.predecessors.set(t.id, []);
+            graph.successors.set(t.id, []);
+        });
+        tasks.forEach(task => {
+            if (skip.has(task.id)) return;
+            (task.dependsOn || []).forEach(predecessorId => {
+                if (!byId.has(predecessorId) || predecessorId === task.id || skip.has(predecessorId)) return;
+                graph.predecessors.get(task.id).push(predecessorId);
+                graph.successors.get(predecessorId).push(task.id);
+                graph.edgeCount++;
+            });
+        });
+        return graph;
+    };
+    
+    // Topological order (Kahn) - whatever is left over sits on or behind a cycle
+    const topologicalOrder = ({ predecessors, successors }) => {
+        const inDegree = new Map([...predecessors].map(([id, preds]) => [id, preds.length]));
+        const queue = [...inDegree.keys()].filter(id => inDegree.get(id) === 0);
+        const order = [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            successors.get(id).forEach(successorId => {
+                inDegree.set(successorId, inDegree.get(successorId) - 1);
+                if (inDegree.get(successorId) === 0) queue.push(successorId);
+            });
+        }
+        return { order, leftover: [...inDegree.keys()].filter(id => inDegree.get(id) > 0) };
+    };
+    
+    let graph = buildGraph();
+    
+    // No dependencies means no meaningful path to highlight
+    if (graph.edgeCount === 0) return result;
+    
+    let { order, leftover } = topologicalOrder(graph);
+    if (leftover.length > 0) {
+        // Only tasks that can reach themselves are on a cycle; group them by cycle
+        const pending = new Set(leftover);
+        const reachable = from => {
+            const seen = new Set();
+            const stack = [...graph.successors.get(from)];
+            while (stack.length > 0) {
+                const id = stack.pop();
+                if (seen.has(id) || !pending.has(id)) continue;
+                seen.add(id);
+                stack.push(...graph.successors.get(id));
+            }
+            return seen;
+        };
+        const reach = new Map(leftover.map(id => [id, reachable(id)]));
+        leftover.forEach(id => {
+            if (!reach.get(id).has(id) || result.cycleTaskIds.has(id)) return;
+            const cycle = leftover.filter(other => reach.get(id).has(other) && reach.get(other).has(id));
+            cycle.forEach(member => result.cycleTaskIds.add(member));
+            result.cycles.push(cycle);
+        });
+        
+        graph = buildGraph(result.cycleTaskIds);
+        ({ order } = topologicalOrder(graph));
+    }
+    const { predecessors, successors } = graph;
+    
+    const duration = id => {
+        const task = byId.get(id);
+        if (!task.startDate || !task.endDate) return 0;
+        return Math.max(1, getWorkingDays(task.startDate, task.endDate));
+    };
+    
+    // Forward pass
+    const earliestFinish = new Map();
+    order.forEach(id => {
+        const earliestStart = Math.max(0, ...predecessors.get(id).map(p => earliestFinish.get(p)));
+        earliestFinish.set(id, earliestStart + duration(id));
+    });
+    result.length = Math.max(0, ...earliestFinish.values());
+    
+    // Backward pass
+    const latestFinish = new Map();
+    [...order].reverse().forEach(id => {
+        latestFinish.set(id, Math.min(
+            result.length,
+            ...successors.get(id).map(s => latestFinish.get(s) - duration(s))
+        ));
+    });
+    
+    order.forEach(id => {
+        if (duration(id) > 0 && latestFinish.get(id) === earliestFinish.get(id)) {
+            result.taskIds.add(id);
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Draw finish-to-start arrows between dependent Gantt bars
+ * Runs after the Gantt is in the DOM; skipped while the chart is hidden.
+ * @param {Element} container - .gantt-container holding the chart
+ */
+function drawGanttDependencyArrows(container = document.querySelector('.gantt-container')) {
+    const chart = container && container.querySelector('.gantt-chart');
+    if (!chart) return;
+    
+    const existing = chart.querySelector('.gantt-dependency-layer');
+    if (existing) existing.remove();
+    if (!chart.offsetWidth) return; // Hidden section - redrawn on navigation
+    
+    const bars = new Map();
+    chart.querySelectorAll('.gantt-bar[data-task-id]').forEach(bar => bars.set(bar.dataset.taskId, bar));
+    if (bars.size === 0) return;
+    
+    const chartRect = chart.getBoundingClientRect();
+    const criticalIds = computeCriticalPath().taskIds;
+    const conflictKeys = new Set(getDependencyConflicts().map(c => `${c.predecessorId}>${c.taskId}`));
+    const gap = 8;
+    const paths = [];
+    
+    (appData.tasks || []).forEach(task => {
+        const toBar = bars.get(task.id);
+        if (!toBar) return;
+        
+        (task.dependsOn || []).forEach(predecessorId => {
+            const fromBar = bars.get(predecessorId);
+            if (!fromBar) return; // Predecessor filtered out or undated
+            
+            const from = fromBar.getBoundingClientRect();
+            const to = toBar.getBoundingClientRect();
+            const x1 = Math.round(from.right - chartRect.left);
+            const y1 = Math.round(from.top + from.height / 2 - chartRect.top);
+            const x2 = Math.round(to.left - chartRect.left);
+            const y2 = Math.round(to.top + to.height / 2 - chartRect.top);
+            
+            // Elbow connector; loops back between rows when the successor starts too early
+            const d = x2 - gap >= x1 + gap
+                ? `M${x1},${y1} H${x1 + gap} V${y2} H${x2}`
+                : `M${x1},${y1} H${x1 + gap} V${Math.round((y1 + y2) / 2)} H${x2 - gap} V${y2} H${x2}`;
+            
+            const isConflict = conflictKeys.has(`${predecessorId}>${task.id}`);
+            const isCritical = criticalIds.has(predecessorId) && criticalIds.has(task.id);
+            const variant = isConflict ? 'conflict' : isCritical ? 'critical' : '';
+            paths.push(`<path class="gantt-dependency-path${variant ? ` is-${variant}` : ''}" d="${d}" marker-end="url(#gantt-arrow${variant ? `-${variant}` : ''})"></path>`);
+        });
+    });
+    
+    if (paths.length === 0) return;
+    
+    chart.insertAdjacentHTML('beforeend', `
+        <svg class="gantt-dependency-layer" width="${chart.scrollWidth}" height="${chart.scrollHeight}" aria-hidden="true">
+            <defs>
+                <marker id="gantt-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" class="gantt-arrow-head"></path></marker>
+                <marker id="gantt-arrow-critical" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" class="gantt-arrow-head is-critical"></path></marker>
+                <marker id="gantt-arrow-conflict" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" class="gantt-arrow-head is-conflict"></path></marker>
+            </defs>
+            ${paths.join('')}
+        </svg>
+    `);
+}
+
 function renderGanttChart() {
     if (!appData.project || !appData.tasks) return;
     
-    const dates = generateDateRange(appData.project.startDate, appData.project.endDate);
-    console.log(`📊 Gantt Chart: ${dates.length} days from ${appData.project.startDate} to ${appData.project.endDate}`);
+    const zoom = getGanttZoom();
+    const columns = getGanttColumns(appData.project.startDate, appData.project.endDate, zoom);
+    console.log(`📊 Gantt Chart: ${columns.length} ${zoom} columns from ${appData.project.startDate} to ${appData.project.endDate}`);
     
     const ganttContainer = document.querySelector('.gantt-container');
     if (!ganttContainer) return;
     
+    // End date before the start date leaves no days to draw
+    if (columns.length === 0) {
+        ganttContainer.innerHTML = `
+            <div class="empty-state">
+                <p>No timeline to show</p>
+                <span>The sprint ends (${escapeHtml(formatDate(appData.project.endDate))}) before it starts (${escapeHtml(formatDate(appData.project.startDate))}) - check its dates</span>
+            </div>
+        `;
+        return;
+    }
+    
     // Use Gantt-specific filters if available, else show all tasks
     const ganttOwnerFilter = document.getElementById('gantt-filter-owner')?.value || 'all';
     const ganttStatusFilter = document.getElementById('gantt-filter-status')?.value || 'all';
@@ -710,48 +1218,72 @@ function renderGanttChart() {
     let filteredTasks = [...(appData.tasks || [])];
     
     if (ganttOwnerFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => t.owner === ganttOwnerFilter || t.owner === 'both');
+        filteredTasks = filteredTasks.filter(t => isTaskOwnedBy(t, ganttOwnerFilter));
     }
     if (ganttStatusFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => {
-            if (t.completed && ganttStatusFilter === 'completed') return true;
-            if (t.completed && ganttStatusFilter !== 'completed') return false;
-            const taskStatus = normalizeTaskStatus(t.status);
-            return taskStatus === ganttStatusFilter;
-        });
+        filteredTasks = filteredTasks.filter(t => getTaskStatusDefinition(t).id === ganttStatusFilter);
     }
     if (ganttPriorityFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => t.priority === ganttPriorityFilter);
+        filteredTasks = filteredTasks.filter(t => getTaskPriorityDefinition(t).id === ganttPriorityFilter);
     }
-    const dateCount = dates.length;
     const today = getTodayLocalDate(); // Use canonical local date
+    const timelineStart = columns[0].start;
+    const timelineEnd = columns[columns.length - 1].end;
+    const markers = getGanttMarkers(timelineStart, timelineEnd);
+    const gridTemplate = getGanttGridTemplate(columns, zoom);
+    const milestonePlacement = getGanttMilestonePlacement(filteredTasks, timelineStart, timelineEnd, ganttOwnerFilter);
+    
+    // Dependency analysis runs over ALL tasks so filters don't change the path
+    const criticalPath = computeCriticalPath();
+    const conflictsByTask = {};
+    getDependencyConflicts().forEach(({ taskId, predecessorId }) => {
+        if (!conflictsByTask[taskId]) conflictsByTask[taskId] = [];
+        conflictsByTask[taskId].push(predecessorId);
+    });
     
-    console.log(`📋 Rendering ${filteredTasks.length} tasks across ${dateCount} days`);
+    console.log(`📋 Rendering ${filteredTasks.length} tasks across ${columns.length} columns`);
     
     // Performance: Use array join instead of string concatenation
-    const ganttParts = ['<div class="gantt-chart">'];
+    const ganttParts = [`<div class="gantt-chart gantt-zoom-${zoom}">`];
     
     // Header row
-    ganttParts.push(`<div class="gantt-header" style="grid-template-columns: 220px repeat(${dateCount}, minmax(30px, 1fr));">
+    ganttParts.push(`<div class="gantt-header" style="grid-template-columns: ${gridTemplate};">
         <div class="gantt-header-task">Task / Timeline</div>`);
     
-    dates.forEach(date => {
-        const day = new Date(date).getDate();
-        const weekday = new Date(date).toLocaleDateString('en-US', { weekday: 'short' }).charAt(0);
-        const isWE = isWeekend(date);
-        const isHol = isHoliday(date);
-        const isToday = date === today;
-        ganttParts.push(`<div class="gantt-header-day ${isWE || isHol ? 'weekend' : ''} ${isToday ? 'today' : ''}" data-tip="${formatDate(date)}">
-            <div class="gantt-header-date">${day}</div>
-            <div class="gantt-header-weekday">${weekday}</div>
+    columns.forEach(column => {
+        const header = getGanttColumnHeader(column, zoom, markers);
+        const isDay = zoom === 'day';
+        const isWE = isDay && (isWeekend(column.start) || isHoliday(column.start));
+        const isToday = isDay && column.start === today;
+        ganttParts.push(`<div class="gantt-header-day ${isWE ? 'weekend' : ''} ${isToday ? 'today' : ''}" data-tip="${escapeHtml(header.tip)}">
+            <div class="gantt-header-date">${header.title}</div>
+            <div class="gantt-header-weekday">${header.subtitle}</div>
+            ${renderGanttMarkers(column, markers)}
         </div>`);
     });
     ganttParts.push('</div>');
     
+    // Milestones without a row of their own
+    if (milestonePlacement.shared.length > 0) {
+        const assignees = [...new Set(milestonePlacement.shared.map(m => m.assignee).filter(Boolean))];
+        ganttParts.push(`<div class="gantt-row gantt-milestone-row" style="grid-template-columns: ${gridTemplate};">
+            <div class="gantt-task-name">
+                <span class="gantt-task-title">◆ Milestones</span>
+                <span class="gantt-task-owner">${escapeHtml(assignees.join(', ') || 'Team')}</span>
+            </div>`);
+        columns.forEach(column => {
+            ganttParts.push(`<div class="gantt-cell">${renderGanttMarkers(column, markers)}${renderGanttMilestoneDiamonds(column, milestonePlacement.shared)}</div>`);
+        });
+        ganttParts.push('</div>');
+    }
+    
+    // Bars can be dragged once real data is loaded
+    const canDrag = appData.source !== 'demo';
+    
     // Task rows - optimized with reduced DOM queries
     filteredTasks.forEach(task => {
+        const ownerName = getTaskOwnerLabel(task);
         const member = getTeamMember(task.owner);
-        const ownerName = task.owner === 'both' ? 'Both' : (member ? member.name : task.owner);
         
         // Handle tasks without dates - show status in timeline
         let startDateFormatted = 'No date';
@@ -765,123 +1297,79 @@ function renderGanttChart() {
         }
         
         // Get status and priority styling
-        const statusInfo = getStatusInfo(task.status, task.completed);
+        const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
         const priorityInfo = getPriorityInfo(task.priority);
         
-        ganttParts.push(`<div class="gantt-row ${statusInfo.class} ${priorityInfo.class}" style="grid-template-columns: 220px repeat(${dateCount}, minmax(30px, 1fr));">
+        ganttParts.push(`<div class="gantt-row ${statusInfo.class} ${priorityInfo.class}" style="grid-template-columns: ${gridTemplate};">
             <div class="gantt-task-name">
                 <span class="gantt-task-title">${escapeHtml(task.name)}</span>
                 <span class="gantt-task-owner">${escapeHtml(ownerName)} • ${dateInfo}</span>
             </div>`);
         
-        // Handle tasks with and without dates
-        if (!task.startDate || !task.endDate) {
-            // Task without dates - show status indicator across entire timeline
-            const statusInfo = getStatusInfo(task.status, task.completed);
-            const statusClass = `bar-${statusInfo.color}`;
+        // Column the bar starts in, or null for undated tasks and tasks outside the timeline
+        const placement = task.startDate && task.endDate ? getGanttBarPlacement(columns, task.startDate, task.endDate) : null;
+        const baseline = task.startDate && task.endDate ? getTaskBaseline(task) : null;
+        const baselinePlacement = baseline ? getGanttBarPlacement(columns, baseline.startDate, baseline.endDate) : null;
+        const rowMilestones = milestonePlacement.byTask.get(task.id) || [];
+        
+        columns.forEach((column, index) => {
+            const cellClasses = ['gantt-cell'];
+            if (zoom === 'day') {
+                if (!isWorkingDay(column.start, member)) cellClasses.push('weekend'); // Owner's day off or holiday
+                if (column.start === today) cellClasses.push('today');
+            }
             
-            dates.forEach((date, index) => {
-                const isWE = isWeekend(date);
-                const isHol = isHoliday(date);
-                const isToday = date === today;
-                const cellClasses = ['gantt-cell'];
-                if (isWE || isHol) cellClasses.push('weekend');
-                if (isToday) cellClasses.push('today');
-                
-                ganttParts.push(`<div class="${cellClasses.join(' ')}">`);
-                
-                // Show status indicator on the first cell only
+            ganttParts.push(`<div class="${cellClasses.join(' ')}">`);
+            ganttParts.push(renderGanttMarkers(column, markers));
+            if (rowMilestones.length > 0) ganttParts.push(renderGanttMilestoneDiamonds(column, rowMilestones));
+            
+            // Ghost bar at the planned dates, behind the actual bar
+            if (baselinePlacement && index === baselinePlacement.index) {
+                ganttParts.push(`<div class="gantt-baseline-bar${baseline.slipDays > 0 ? ' is-late' : ''}" style="left: calc(${baselinePlacement.left}% + 2px); width: calc(${baselinePlacement.width}% - 4px);" data-tip="${escapeHtml(`${task.name}: ${describeTaskBaseline(baseline)}`)}"></div>`);
+            }
+            
+            if (!task.startDate || !task.endDate) {
+                // Task without dates - show status indicator on the first cell only
                 if (index === 0) {
+                    const statusClass = `bar-${statusInfo.color}`;
                     ganttParts.push(`<div class="gantt-bar ${statusClass}" style="left: 2px; width: calc(100% - 4px);" data-tip="${escapeHtml(task.name)}: ${task.status}" role="img" aria-label="Task status: ${task.status}">
                         <span class="gantt-bar-label">${statusInfo.label}</span>
                     </div>`);
                 }
+            } else if (placement && index === placement.index) {
+                // Status-based bar coloring
+                const barClass = task.completed ? 'bar-completed' :
+                               (task.status && task.status.toLowerCase().includes('blocked')) ? 'bar-blocked' :
+                               (task.status && task.status.toLowerCase().includes('progress')) ? 'bar-in-progress' :
+                               (task.status && task.status.toLowerCase().includes('review')) ? 'bar-review' :
+                               task.priority === 'urgent' ? 'bar-urgent' : 
+                               task.priority === 'low' ? 'bar-low' :
+                               member ? `bar-${member.colorClass}` : 'bar-primary';
                 
-                ganttParts.push('</div>');
-            });
-        } else {
-            // Task with dates - show timeline bar
-            // Handle tasks that start before the sprint timeline
-            const taskStartDate = new Date(task.startDate);
-            const taskEndDate = new Date(task.endDate);
-            const sprintStartDate = new Date(appData.project.startDate);
-            const sprintEndDate = new Date(appData.project.endDate);
-            
-            // Find the visible range for this task within the sprint timeline
-            const visibleStartDate = taskStartDate < sprintStartDate ? sprintStartDate : taskStartDate;
-            const visibleEndDate = taskEndDate > sprintEndDate ? sprintEndDate : taskEndDate;
-            
-            // Convert to local YYYY-MM-DD format
-            const visibleStartStr = `${visibleStartDate.getFullYear()}-${String(visibleStartDate.getMonth() + 1).padStart(2, '0')}-${String(visibleStartDate.getDate()).padStart(2, '0')}`;
-            const visibleEndStr = `${visibleEndDate.getFullYear()}-${String(visibleEndDate.getMonth() + 1).padStart(2, '0')}-${String(visibleEndDate.getDate()).padStart(2, '0')}`;
-            
-            const visibleStartIndex = dates.findIndex(d => d === visibleStartStr);
-            const visibleEndIndex = dates.findIndex(d => d === visibleEndStr);
-            
-            // Calculate the actual task duration for display
-            const actualStartIndex = dates.indexOf(task.startDate) !== -1 ? dates.indexOf(task.startDate) : 
-                                   (taskStartDate < sprintStartDate ? 0 : -1);
-            const actualEndIndex = dates.indexOf(task.endDate) !== -1 ? dates.indexOf(task.endDate) : 
-                                 (taskEndDate > sprintEndDate ? dateCount - 1 : -1);
-            
-            dates.forEach((date, index) => {
-                const isWE = isWeekend(date);
-                const isHol = isHoliday(date);
-                const isToday = date === today;
-                const cellClasses = ['gantt-cell'];
-                if (isWE || isHol) cellClasses.push('weekend');
-                if (isToday) cellClasses.push('today');
-                
-                ganttParts.push(`<div class="${cellClasses.join(' ')}">`);
+                const workingDays = getWorkingDays(task.startDate, task.endDate);
+                const barLabel = workingDays > 0 ? `${workingDays}d` : '1d';
+                const isOverflowing = (task.startDate < timelineStart || task.endDate > timelineEnd) ? 
+                                    ' (continues beyond timeline)' : '';
                 
-                // Render task bar if this date is within the visible task range
-                if (index >= visibleStartIndex && index <= visibleEndIndex && visibleStartIndex !== -1 && visibleEndIndex !== -1) {
-                    // Status-based bar coloring
-                    const barClass = task.completed ? 'bar-completed' :
-                                   (task.status && task.status.toLowerCase().includes('blocked')) ? 'bar-blocked' :
-                                   (task.status && task.status.toLowerCase().includes('progress')) ? 'bar-in-progress' :
-                                   (task.status && task.status.toLowerCase().includes('review')) ? 'bar-review' :
-                                   task.priority === 'urgent' ? 'bar-urgent' : 
-                                   task.priority === 'low' ? 'bar-low' :
-                                   member ? `bar-${member.colorClass}` : 'bar-primary';
-                    
-                    // Calculate bar width - if task extends beyond visible range, show partial bar
-                    let barWidth;
-                    let barPosition = '2px';
-                    
-                    if (actualStartIndex < visibleStartIndex && index === visibleStartIndex) {
-                        // Task starts before visible range - show partial bar from start
-                        barWidth = 'calc(100% - 4px)';
-                    } else if (actualEndIndex > visibleEndIndex && index === visibleEndIndex) {
-                        // Task ends after visible range - show partial bar to end
-                        barWidth = 'calc(100% - 4px)';
-                    } else if (index === visibleStartIndex && visibleStartIndex === visibleEndIndex) {
-                        // Single day task
-                        barWidth = 'calc(100% - 4px)';
-                    } else if (index === visibleStartIndex) {
-                        // First day of multi-day task
-                        const remainingDays = visibleEndIndex - visibleStartIndex + 1;
-                        barWidth = `calc(${remainingDays * 100}% - 4px)`;
-                    } else {
-                        // Continuation of multi-day task - don't show bar
-                        barWidth = null;
-                    }
-                    
-                    if (barWidth && index === visibleStartIndex) {
-                        const workingDays = getWorkingDays(task.startDate, task.endDate);
-                        const barLabel = workingDays > 0 ? `${workingDays}d` : '1d';
-                        const isOverflowing = (actualStartIndex < 0 || actualEndIndex >= dateCount) ? 
-                                            ' (continues beyond timeline)' : '';
-                        
-                        ganttParts.push(`<div class="gantt-bar ${barClass}" style="left: ${barPosition}; width: ${barWidth};" data-tip="${escapeHtml(task.name)}: ${dateInfo} (${workingDays} working days)${isOverflowing}" role="img" aria-label="Task duration: ${workingDays} working days${isOverflowing}">
-                            <span class="gantt-bar-label">${barLabel}</span>
-                        </div>`);
-                    }
-                }
+                // Dependency flags
+                const isCritical = criticalPath.taskIds.has(task.id);
+                const conflictNames = (conflictsByTask[task.id] || [])
+                    .map(predId => (appData.tasks.find(t => t.id === predId) || {}).name || predId);
+                const dependencyClasses = `${isCritical ? ' bar-critical' : ''}${conflictNames.length ? ' bar-dependency-conflict' : ''}`;
+                const dependencyTip = `${isCritical ? ' • Critical path' : ''}${conflictNames.length ? ` • ⚠ Starts before ${conflictNames.map(n => `“${n}”`).join(', ')} ends` : ''}`;
+                const baselineTip = baseline ? ` • ${describeTaskBaseline(baseline)}` : '';
                 
-                ganttParts.push('</div>');
-            });
-        }
+                // Resize handles only on ends that are inside the timeline
+                const dragTip = canDrag ? ' • Drag to move, drag an end to resize' : '';
+                ganttParts.push(`<div class="gantt-bar ${barClass}${dependencyClasses}${canDrag ? ' is-draggable' : ''}" data-task-id="${task.id}" data-days="${column.days}" style="left: calc(${placement.left}% + 2px); width: calc(${placement.width}% - 4px);" data-tip="${escapeHtml(`${task.name}: ${dateInfo} (${workingDays} working days)${isOverflowing}${dependencyTip}${baselineTip}${dragTip}`)}" role="img" aria-label="Task duration: ${workingDays} working days${isOverflowing}${escapeHtml(dependencyTip)}">
+                    ${canDrag && task.startDate >= timelineStart ? '<span class="gantt-bar-handle is-start" data-drag="start"></span>' : ''}
+                    <span class="gantt-bar-label">${barLabel}</span>
+                    ${canDrag && task.endDate <= timelineEnd ? '<span class="gantt-bar-handle is-end" data-drag="end"></span>' : ''}
+                </div>`);
+            }
+            
+            ganttParts.push('</div>');
+        });
         
         ganttParts.push('</div>');
     });
@@ -890,6 +1378,9 @@ function renderGanttChart() {
     
     // Single DOM update for better performance
     ganttContainer.innerHTML = ganttParts.join('');
+    
+    // Arrows need real bar positions, so they are drawn after layout
+    drawGanttDependencyArrows(ganttContainer);
 }
 
 // Helper function to get team member by id
@@ -899,7 +1390,14 @@ function getTeamMember(ownerId) {
 }
 
 // Helper function to get status styling
-function getStatusInfo(status, completed) {
+// With a STATUSES tab, pass the task's statusId to get its own label and
+// color (hex) on top of the styling of the status it counts as
+function getStatusInfo(status, completed, statusId) {
+    if (statusId && hasCustomStatuses()) {
+        const def = getTaskStatusDefinition({ status, completed, statusId });
+        return { ...getStatusInfo(def.category, completed), label: escapeHtml(def.label), hex: def.color };
+    }
+    
     if (completed) {
         return { class: 'status-completed', label: 'Done', color: 'success' };
     }
@@ -967,10 +1465,10 @@ function renderTaskCards(owner) {
     const taskGrid = section.querySelector('.task-grid');
     if (!taskGrid) return;
     
-    const tasks = getFilteredTasks().filter(t => t.owner === owner || t.owner === 'both');
+    const tasks = getFilteredTasks().filter(t => isTaskOwnedBy(t, owner));
     
     taskGrid.innerHTML = tasks.map(task => {
-        const statusInfo = getStatusInfo(task.status, task.completed);
+        const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
         const priorityInfo = getPriorityInfo(task.priority);
         
         const urgencyClass = task.priority === 'urgent' ? 'urgent' : 
@@ -1065,6 +1563,13 @@ function renderAll() {
     }
     
     // Then render all content
+    renderWorkspaceSwitcher();
+    renderSprintSwitchers();
+    renderDataHealthBadge();
+    renderVocabularyFilters();
+    renderCustomFieldFilter();
+    renderPendingChangesTray();
+    renderGanttZoomToggle();
     renderHeader();
     renderExecutiveDashboard();
     renderTeamOverview();
@@ -1079,25 +1584,433 @@ function renderAll() {
 }
 
 // =============================================
-// MODERN DESKTOP UI FUNCTIONS
+// SPRINT SWITCHER
 // =============================================
 
-let desktopState = {
-    taskView: 'grid', // 'grid' or 'list'
-    taskSort: { field: 'name', direction: 'asc' },
-    activePanel: null,
-    commandPaletteOpen: false,
-    initialized: false
-};
-
-function initializeDesktopUI() {
-    // Only initialize on desktop
-    if (window.innerWidth < 769) return;
-    if (desktopState.initialized) return;
-    desktopState.initialized = true;
+/**
+ * Fill the desktop header and mobile menu sprint pickers
+ * Hidden when there is no SPRINTS sheet (single SPRINT_CONFIG sprint).
+ */
+function renderSprintSwitchers() {
+    const sprints = appData.sprints || [];
+    const today = getTodayLocalDate();
+    const options = sprints.map(sprint => {
+        const isCurrent = sprint.startDate <= today && today <= sprint.endDate;
+        const label = `${sprint.name} (${formatDate(sprint.startDate)} - ${formatDate(sprint.endDate)})${isCurrent ? ' • Current' : ''}`;
+        return `<option value="${escapeHtml(sprint.id)}" ${sprint.id === appData.selectedSprintId ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    }).join('');
     
-    // Initialize dark mode from localStorage
-    initializeDarkMode();
+    const desktopSelect = document.getElementById('desktop-sprint-switcher');
+    if (desktopSelect) {
+        desktopSelect.innerHTML = options;
+        desktopSelect.hidden = sprints.length === 0;
+    }
+    
+    const mobileSelect = document.getElementById('mobile-sprint-switcher');
+    const mobileSection = document.getElementById('mobile-sprint-section');
+    if (mobileSelect) mobileSelect.innerHTML = options;
+    if (mobileSection) mobileSection.hidden = sprints.length === 0;
+}
+
+/**
+ * Re-render whichever mobile section is open (e.g. after switching sprint)
+ */
+function refreshMobileSection() {
+    if (!isMobileDevice() || !mobileUIInitialized) return;
+    const activeNav = document.querySelector('.mobile-nav-item.active');
+    renderMobileSection(activeNav ? activeNav.dataset.section : 'dashboard');
+}
+
+// =============================================
+// WORKSPACES
+// =============================================
+
+/**
+ * Fill the sidebar and mobile menu workspace pickers
+ */
+function renderWorkspaceSwitcher() {
+    const workspaces = getWorkspaces();
+    const activeId = getActiveWorkspaceId();
+    const options = workspaces.map(ws =>
+        `<option value="${ws.id}" ${ws.id === activeId ? 'selected' : ''}>${escapeHtml(ws.name)}</option>`
+    ).join('');
+    
+    const sidebarSelect = document.getElementById('sidebar-workspace-switcher');
+    if (sidebarSelect) sidebarSelect.innerHTML = options;
+    
+    const mobileSelect = document.getElementById('mobile-workspace-switcher');
+    const mobileSection = document.getElementById('mobile-workspace-section');
+    if (mobileSelect) mobileSelect.innerHTML = options;
+    if (mobileSection) mobileSection.hidden = workspaces.length < 2;
+    
+    const overlay = document.getElementById('workspace-manager-overlay');
+    if (overlay && overlay.classList.contains('active')) renderWorkspaceManager();
+}
+
+/**
+ * Theme and widget order follow the active workspace
+ */
+function applyWorkspacePreferences() {
+    applyThemePreference();
+    loadWidgetOrder();
+}
+
+/**
+ * Command palette entries: switch to another workspace, or manage them
+ */
+function getWorkspaceCommandItems(query) {
+    const activeId = getActiveWorkspaceId();
+    const items = getWorkspaces()
+        .filter(ws => ws.id !== activeId)
+        .filter(ws => !query || ws.name.toLowerCase().includes(query) || 'workspace'.includes(query))
+        .map(ws => ({ type: 'workspace', title: `Switch to ${ws.name}`, subtitle: 'Workspace', workspaceId: ws.id, badge: '⇄' }));
+    
+    if (!query || 'manage workspaces'.includes(query) || 'new workspace'.includes(query)) {
+        items.push({ type: 'action', title: 'Manage Workspaces', subtitle: `Current: ${getActiveWorkspace().name}`, action: 'manageWorkspaces', badge: '' });
+    }
+    return items;
+}
+
+function openWorkspaceManager() {
+    const overlay = document.getElementById('workspace-manager-overlay');
+    if (!overlay) return;
+    renderWorkspaceManager();
+    overlay.classList.add('active');
+}
+
+function closeWorkspaceManager() {
+    const overlay = document.getElementById('workspace-manager-overlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+function renderWorkspaceManager() {
+    const list = document.getElementById('workspace-manager-list');
+    if (!list) return;
+    
+    const workspaces = getWorkspaces();
+    const activeId = getActiveWorkspaceId();
+    list.innerHTML = workspaces.map(ws => `
+        <div class="workspace-row ${ws.id === activeId ? 'is-active' : ''}">
+            <input type="text" class="settings-input" data-workspace-id="${ws.id}" aria-label="Workspace name" onchange="renameWorkspace('${ws.id}', this.value)">
+            ${ws.id === activeId
+                ? '<span class="workspace-active-badge">Active</span>'
+                : `<button class="task-panel-btn" onclick="switchWorkspace('${ws.id}')">Switch</button>`}
+            ${ws.id !== DEFAULT_WORKSPACE_ID
+                ? `<button class="task-panel-btn" onclick="confirmDeleteWorkspace('${ws.id}')" aria-label="Delete workspace">Delete</button>`
+                : ''}
+        </div>
+    `).join('');
+    
+    // Names go in as properties so quotes in them can't break the markup
+    list.querySelectorAll('input[data-workspace-id]').forEach(input => {
+        const workspace = workspaces.find(ws => ws.id === input.dataset.workspaceId);
+        input.value = workspace ? workspace.name : '';
+    });
+}
+
+async function addWorkspaceFromForm() {
+    const input = document.getElementById('workspace-new-name');
+    if (!input || !input.value.trim()) return;
+    
+    const workspace = await createWorkspace(input.value);
+    input.value = '';
+    if (!workspace) return;
+    
+    // A new team starts by pointing the workspace at its sheet
+    closeWorkspaceManager();
+    if (typeof openSheetSettings === 'function') openSheetSettings();
+}
+
+function confirmDeleteWorkspace(workspaceId) {
+    const workspace = getWorkspaces().find(ws => ws.id === workspaceId);
+    if (!workspace) return;
+    if (confirm(`Delete workspace "${workspace.name}" and its saved settings?`)) {
+        deleteWorkspace(workspaceId);
+    }
+}
+
+// =============================================
+// DATA HEALTH
+// =============================================
+
+const DATA_HEALTH_SHEET_ORDER = ['SPRINT_CONFIG', 'MEMBERS', 'TASKS', 'MILESTONES', 'HOLIDAYS', 'SPRINTS', 'STATUSES', 'PRIORITIES'];
+
+function openDataHealth() {
+    const overlay = document.getElementById('data-health-overlay');
+    if (!overlay) return;
+    renderDataHealthPanel();
+    overlay.classList.add('active');
+}
+
+function closeDataHealth() {
+    const overlay = document.getElementById('data-health-overlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+/**
+ * List every data issue grouped by sheet, then what normalization changed
+ */
+function renderDataHealthPanel() {
+    const body = document.getElementById('data-health-body');
+    if (!body) return;
+    
+    const issues = appData.dataHealth || [];
+    const transformations = appData.transformations || [];
+    if (issues.length === 0 && transformations.length === 0) {
+        body.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><polyline points="20 6 9 17 4 12"></polyline></svg>
+                <p>No data issues</p>
+                <span>${appData.source === 'demo' ? 'Showing demo data' : 'Every row was read as written'}</span>
+            </div>
+        `;
+        return;
+    }
+    
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    
+    body.innerHTML = `
+        <p class="file-import-hint">
+            ${errorCount} error(s) hide or break rows; ${issues.length - errorCount} warning(s) were read with a fallback.
+            Fix them in the sheet and refresh.
+        </p>
+        ${groupBySheet(issues).map(([sheet, sheetIssues]) => `
+            <div class="data-health-group">
+                <h5 class="data-health-sheet">${escapeHtml(sheet || 'General')} <span>${sheetIssues.length}</span></h5>
+                ${sheetIssues.map(renderDataHealthIssue).join('')}
+            </div>
+        `).join('')}
+        ${transformations.length > 0 ? `
+            <details class="data-health-changes">
+                <summary>Changed while reading the sheets <span>${transformations.length}</span></summary>
+                ${groupBySheet(transformations).map(([sheet, changes]) => `
+                    <div class="data-health-group">
+                        <h5 class="data-health-sheet">${escapeHtml(sheet)} <span>${changes.length}</span></h5>
+                        ${changes.map(renderTransformation).join('')}
+                    </div>
+                `).join('')}
+            </details>
+        ` : ''}
+    `;
+}
+
+/**
+ * Entries grouped by sheet in tab order, each group in row order
+ * @returns {Array} [[sheet, entries], ...]
+ */
+function groupBySheet(entries) {
+    const sheets = [...new Set(entries.map(entry => entry.sheet))]
+        .sort((a, b) => DATA_HEALTH_SHEET_ORDER.indexOf(a) - DATA_HEALTH_SHEET_ORDER.indexOf(b));
+    return sheets.map(sheet => [
+        sheet,
+        entries.filter(entry => entry.sheet === sheet).sort((a, b) => (a.row || 0) - (b.row || 0))
+    ]);
+}
+
+function renderTransformation(change) {
+    const location = [change.row ? `Row ${change.row}` : '', change.field || ''].filter(Boolean).join(' · ');
+    const detail = change.action === 'dropped'
+        ? `Dropped "${change.original}" - ${change.reason}`
+        : change.reason;
+    return `
+        <div class="data-health-issue is-change">
+            <div class="data-health-issue-meta">
+                <span class="data-health-severity">${change.action === 'dropped' ? 'Dropped' : 'Changed'}</span>
+                ${location ? `<span>${escapeHtml(location)}</span>` : ''}
+            </div>
+            <div class="data-health-message">${escapeHtml(detail)}</div>
+            ${change.action === 'coerced'
+                ? `<code class="data-health-value">${escapeHtml(change.original || '(empty)')} → ${escapeHtml(change.normalized || '(empty)')}</code>`
+                : ''}
+        </div>
+    `;
+}
+
+function renderDataHealthIssue(issue) {
+    const link = typeof getDataHealthLink === 'function' ? getDataHealthLink(issue) : null;
+    const location = [issue.row ? `Row ${issue.row}` : '', issue.column || ''].filter(Boolean).join(' · ');
+    return `
+        <div class="data-health-issue is-${issue.severity}">
+            <div class="data-health-issue-meta">
+                <span class="data-health-severity">${issue.severity === 'error' ? 'Error' : 'Warning'}</span>
+                ${location ? `<span>${escapeHtml(location)}</span>` : ''}
+                ${link ? `<a href="${escapeHtml(link)}" target="_blank" rel="noopener" class="data-health-link">Open in sheet ↗</a>` : ''}
+            </div>
+            <div class="data-health-message">${escapeHtml(issue.message)}</div>
+            ${issue.value ? `<code class="data-health-value">${escapeHtml(issue.value)}</code>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Issue count next to the sidebar link
+ */
+function renderDataHealthBadge() {
+    const badge = document.getElementById('data-health-badge');
+    if (!badge) return;
+    
+    const issues = appData.dataHealth || [];
+    badge.textContent = issues.length;
+    badge.hidden = issues.length === 0;
+    badge.classList.toggle('has-errors', issues.some(issue => issue.severity === 'error'));
+    
+    // Keep an open panel in step with a refresh
+    const overlay = document.getElementById('data-health-overlay');
+    if (overlay && overlay.classList.contains('active')) renderDataHealthPanel();
+}
+
+// =============================================
+// COLUMN MAPPING DIALOG
+// =============================================
+
+function openColumnMapping() {
+    const overlay = document.getElementById('column-mapping-overlay');
+    if (!overlay) return;
+    setColumnMappingStatus('');
+    renderColumnMapping(getColumnMapping());
+    overlay.classList.add('active');
+}
+
+function closeColumnMapping() {
+    const overlay = document.getElementById('column-mapping-overlay');
+    if (overlay) overlay.classList.remove('active');
+}
+
+function setColumnMappingStatus(message, isError = false) {
+    const status = document.getElementById('column-mapping-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('is-error', isError);
+}
+
+/**
+ * One dropdown per sheet header, set to the saved mapping or a suggestion
+ * @param {object} mapping - Column mapping to show
+ */
+function renderColumnMapping(mapping) {
+    const body = document.getElementById('column-mapping-body');
+    if (!body) return;
+    
+    const sheets = COLUMN_MAPPING_SHEETS.filter(sheet => (loadedSheetHeaders[sheet] || []).length > 0);
+    if (sheets.length === 0) {
+        body.innerHTML = `
+            <div class="empty-state">
+                <p>No sheet headers yet</p>
+                <span>Load your sheet (or files) first, then map its columns here</span>
+            </div>
+        `;
+        return;
+    }
+    
+    body.innerHTML = sheets.map(sheet => {
+        const contract = DATA_CONTRACT[sheet];
+        const fields = [...contract.required, ...contract.optional];
+        const saved = mapping[sheet] || {};
+        
+        return `
+            <div class="column-mapping-group">
+                <h5 class="data-health-sheet">${sheet}</h5>
+                ${loadedSheetHeaders[sheet].map((header, index) => {
+                    const suggestion = suggestColumnField(sheet, header);
+                    const isSaved = Object.prototype.hasOwnProperty.call(saved, header);
+                    const selected = isSaved ? saved[header] : (suggestion || '');
+                    const note = !isSaved && suggestion && !isHeaderForField(header, suggestion) ? 'suggested' : '';
+                    return `
+                        <div class="column-mapping-row">
+                            <label class="column-mapping-header" for="column-map-${sheet}-${index}">${escapeHtml(header)}</label>
+                            <select class="settings-input" id="column-map-${sheet}-${index}" data-sheet="${sheet}" data-header-index="${index}">
+                                <option value="">Keep as is</option>
+                                ${fields.map(field => `
+                                    <option value="${field}" ${field === selected ? 'selected' : ''}>${field}${contract.required.includes(field) ? ' *' : ''}</option>
+                                `).join('')}
+                            </select>
+                            <span class="column-mapping-note">${note}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Mapping as chosen in the dialog
+ * Headers that already carry their field's name aren't stored; a header set
+ * to "Keep as is" despite a suggestion is stored as '' so the choice sticks.
+ * @returns {{ mapping: object, problems: string[] }}
+ */
+function readColumnMappingForm() {
+    const mapping = {};
+    const problems = [];
+    
+    COLUMN_MAPPING_SHEETS.forEach(sheet => {
+        const selects = document.querySelectorAll(`#column-mapping-body select[data-sheet="${sheet}"]`);
+        if (selects.length === 0) return;
+        
+        const columns = {};
+        const used = {};
+        selects.forEach(select => {
+            const header = loadedSheetHeaders[sheet][Number(select.dataset.headerIndex)];
+            const field = select.value;
+            if (field) {
+                if (used[field]) problems.push(`${sheet}: "${used[field]}" and "${header}" are both mapped to ${field}`);
+                used[field] = header;
+                if (!isHeaderForField(header, field)) columns[header] = field;
+            } else if (suggestColumnField(sheet, header)) {
+                columns[header] = '';
+            }
+        });
+        
+        const missing = DATA_CONTRACT[sheet].required.filter(field => !used[field]);
+        if (missing.length > 0 && sheet !== 'HOLIDAYS' && sheet !== 'SPRINTS') {
+            problems.push(`${sheet} has no column for: ${missing.join(', ')}`);
+        }
+        if (Object.keys(columns).length > 0) mapping[sheet] = columns;
+    });
+    
+    return { mapping, problems };
+}
+
+async function saveColumnMappingForm() {
+    const { mapping, problems } = readColumnMappingForm();
+    const duplicates = problems.filter(problem => problem.includes('both mapped'));
+    if (duplicates.length > 0) {
+        setColumnMappingStatus(duplicates.join(' '), true);
+        return;
+    }
+    
+    saveColumnMapping(mapping);
+    closeColumnMapping();
+    showToast(problems.length > 0 ? `Column mapping saved. ${problems.join('. ')}` : 'Column mapping saved', problems.length > 0 ? 'warning' : 'success', 5000);
+    if (typeof refreshData === 'function') await refreshData();
+}
+
+function resetColumnMappingForm() {
+    renderColumnMapping({});
+    setColumnMappingStatus('Showing suggestions only - Save to use them.');
+}
+
+// =============================================
+// MODERN DESKTOP UI FUNCTIONS
+// =============================================
+
+let desktopState = {
+    taskView: 'grid', // 'grid' or 'list'
+    burndownMode: 'burndown', // 'burndown' or 'burnup'
+    taskSort: { field: 'name', direction: 'asc' },
+    activePanel: null,
+    commandPaletteOpen: false,
+    initialized: false
+};
+
+function initializeDesktopUI() {
+    // Only initialize on desktop
+    if (window.innerWidth < 769) return;
+    if (desktopState.initialized) return;
+    desktopState.initialized = true;
+    
+    // Initialize dark mode from localStorage
+    initializeDarkMode();
     
     // Initialize sidebar navigation
     initializeDesktopSidebar();
@@ -1113,10 +2026,17 @@ function initializeDesktopUI() {
     
     // Initialize Gantt chart filters
     initializeGanttFilters();
+    initializeGanttZoom();
+    
+    // Initialize Gantt drag to reschedule
+    initializeGanttDrag();
     
     // Initialize task view toggle
     initializeTaskViewToggle();
     
+    // Initialize burndown / burnup toggle
+    initializeBurndownToggle();
+    
     // Initialize task detail panel
     initializeTaskPanel();
     
@@ -1169,26 +2089,33 @@ function initializePrintHandler() {
 
 function initializeDarkMode() {
     const themeToggle = document.getElementById('theme-toggle');
-    const savedTheme = localStorage.getItem('fmb-theme');
-    
-    if (savedTheme === 'dark') {
-        document.documentElement.setAttribute('data-theme', 'dark');
-    }
+    applyThemePreference();
     
     if (themeToggle) {
         themeToggle.addEventListener('click', () => {
             const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
             if (isDark) {
                 document.documentElement.removeAttribute('data-theme');
-                localStorage.setItem('fmb-theme', 'light');
+                localStorage.setItem(workspaceKey('fmb-theme'), 'light');
             } else {
                 document.documentElement.setAttribute('data-theme', 'dark');
-                localStorage.setItem('fmb-theme', 'dark');
+                localStorage.setItem(workspaceKey('fmb-theme'), 'dark');
             }
         });
     }
 }
 
+/**
+ * Apply the active workspace's saved theme
+ */
+function applyThemePreference() {
+    if (localStorage.getItem(workspaceKey('fmb-theme')) === 'dark') {
+        document.documentElement.setAttribute('data-theme', 'dark');
+    } else {
+        document.documentElement.removeAttribute('data-theme');
+    }
+}
+
 // =============================================
 // SIDEBAR & NAVIGATION
 // =============================================
@@ -1243,10 +2170,23 @@ function navigateToSection(sectionName) {
             'timeline': 'Timeline',
             'bandwidth': 'Capacity',
             'milestones': 'Milestones',
-            'calendar': 'Sprint Calendar'
+            'calendar': 'Sprint Calendar',
+            'reports': 'Reports',
+            'portfolio': 'Portfolio'
         };
         pageTitle.textContent = titles[sectionName] || 'Dashboard';
     }
+    
+    // Gantt arrows can't be measured while the timeline is hidden
+    if (sectionName === 'timeline') {
+        drawGanttDependencyArrows();
+    }
+    
+    // Other teams are only loaded once the portfolio is opened
+    if (sectionName === 'portfolio') {
+        if (isPortfolioStale()) refreshPortfolio();
+        else renderDesktopPortfolio();
+    }
 }
 
 // =============================================
@@ -1271,7 +2211,7 @@ function filterDesktopContent(query) {
     
     const filteredTasks = appData.tasks.filter(task => {
         return task.name.toLowerCase().includes(query) ||
-               (task.owner && task.owner.toLowerCase().includes(query)) ||
+               getTaskOwnerLabel(task).toLowerCase().includes(query) ||
                (task.status && task.status.toLowerCase().includes(query)) ||
                (task.jiraId && task.jiraId.toLowerCase().includes(query)) ||
                (task.notes && task.notes.toLowerCase().includes(query));
@@ -1279,6 +2219,7 @@ function filterDesktopContent(query) {
     
     renderDesktopTasksGrid(filteredTasks);
     renderDesktopTasksList(filteredTasks);
+    renderDesktopKanban(filteredTasks);
 }
 
 // =============================================
@@ -1306,81 +2247,839 @@ function initializeDesktopFilters() {
         }
     });
     
+    const customFieldFilter = document.getElementById('desktop-filter-custom-field');
+    const customValueFilter = document.getElementById('desktop-filter-custom-value');
+    if (customFieldFilter) {
+        customFieldFilter.addEventListener('change', () => {
+            renderCustomFieldFilterValues();
+            applyDesktopFilters();
+        });
+    }
+    if (customValueFilter) {
+        customValueFilter.addEventListener('input', () => applyDesktopFilters());
+    }
+    
     if (hideCompletedCheckbox) {
         hideCompletedCheckbox.addEventListener('change', () => applyDesktopFilters());
     }
 }
 
-function applyDesktopFilters() {
+/**
+ * Tasks of the selected sprint matching the desktop filter bar
+ * Shared by the grid/list views, print and CSV export
+ */
+function getDesktopFilteredTasks() {
     const ownerFilter = document.getElementById('desktop-filter-owner')?.value || 'all';
     const statusFilter = document.getElementById('desktop-filter-status')?.value || 'all';
     const priorityFilter = document.getElementById('desktop-filter-priority')?.value || 'all';
+    const customField = document.getElementById('desktop-filter-custom-field')?.value || '';
+    const customValue = document.getElementById('desktop-filter-custom-value')?.value || '';
     const hideCompleted = document.getElementById('desktop-hide-completed')?.checked || false;
     
     let filteredTasks = [...(appData.tasks || [])];
     
     if (ownerFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => t.owner === ownerFilter);
+        filteredTasks = filteredTasks.filter(t => isTaskOwnedBy(t, ownerFilter));
     }
     
     if (statusFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => {
-            const taskStatus = normalizeTaskStatus(t.status);
-            return taskStatus === statusFilter;
-        });
+        filteredTasks = filteredTasks.filter(t => getTaskStatusDefinition(t).id === statusFilter);
     }
     
     if (priorityFilter !== 'all') {
-        filteredTasks = filteredTasks.filter(t => t.priority === priorityFilter);
+        filteredTasks = filteredTasks.filter(t => getTaskPriorityDefinition(t).id === priorityFilter);
+    }
+    
+    if (customField && customValue.trim()) {
+        filteredTasks = filteredTasks.filter(t => matchesCustomFieldFilter(t, customField, customValue));
     }
     
     if (hideCompleted) {
         filteredTasks = filteredTasks.filter(t => !t.completed);
     }
     
+    return filteredTasks;
+}
+
+function applyDesktopFilters() {
+    const filteredTasks = getDesktopFilteredTasks();
     renderDesktopTasksGrid(filteredTasks);
     renderDesktopTasksList(filteredTasks);
+    renderDesktopKanban(filteredTasks);
 }
 
 // =============================================
-// GANTT CHART FILTERS
+// CUSTOM FIELDS
+// =============================================
+// Extra TASKS columns (appData.customFields, typed by dataLoader.js) in the
+// task details and the desktop filter bar.
 // =============================================
 
-function initializeGanttFilters() {
-    const ganttOwnerFilter = document.getElementById('gantt-filter-owner');
-    const ganttStatusFilter = document.getElementById('gantt-filter-status');
-    const ganttPriorityFilter = document.getElementById('gantt-filter-priority');
-    const ganttResetBtn = document.getElementById('gantt-filter-reset');
-    
-    // Populate owner filter
-    if (ganttOwnerFilter && appData.teamMembers) {
-        const options = appData.teamMembers.map(m => 
-            `<option value="${m.id}">${m.name}</option>`
-        ).join('');
-        ganttOwnerFilter.innerHTML = `<option value="all">All Owners</option>${options}`;
+function getCustomField(key) {
+    return (appData.customFields || []).find(field => field.key === key) || null;
+}
+
+/**
+ * Display HTML for a custom field value
+ */
+function formatCustomFieldValue(field, value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (field.type === 'url') {
+        return `<a href="${sanitizeUrl(value)}" target="_blank" rel="noopener noreferrer">${escapeHtml(value.replace(/^https?:\/\//, ''))}</a>`;
     }
+    if (field.type === 'date') return formatDate(value);
+    if (field.type === 'number') return value.toLocaleString();
+    return escapeHtml(String(value));
+}
+
+/**
+ * Custom fields with a value on this task
+ * @returns {Array<{field, html}>}
+ */
+function getTaskCustomFieldItems(task) {
+    const values = task.customFields || {};
+    return (appData.customFields || [])
+        .map(field => ({ field, html: formatCustomFieldValue(field, values[field.key]) }))
+        .filter(item => item.html);
+}
+
+/**
+ * Build the "Custom Fields" section of the task detail panel
+ */
+function renderTaskCustomFieldsSection(task) {
+    const items = getTaskCustomFieldItems(task);
+    if (items.length === 0) return '';
     
-    // Add event listeners
-    [ganttOwnerFilter, ganttStatusFilter, ganttPriorityFilter].forEach(filter => {
-        if (filter) {
-            filter.addEventListener('change', () => renderGanttChart());
+    return `
+        <div class="task-panel-section">
+            <h4 class="task-panel-section-title">Custom Fields</h4>
+            <div class="task-panel-info-grid">
+                ${items.map(({ field, html }) => `
+                <div class="task-panel-info-item">
+                    <span class="task-panel-info-label">${escapeHtml(field.label)}</span>
+                    <span class="task-panel-info-value">${html}</span>
+                </div>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Whether a task's custom field matches the filter text
+ * Numbers and dates accept a comparison (">5", "<=2026-04-01"); enums must
+ * match exactly; text and links match on any part.
+ */
+function matchesCustomFieldFilter(task, key, query) {
+    const field = getCustomField(key);
+    const value = task.customFields ? task.customFields[key] : null;
+    if (!field || value === null || value === undefined) return false;
+    
+    const text = query.trim().toLowerCase();
+    const comparison = text.match(/^(>=|<=|>|<|=)\s*(.+)$/);
+    if (comparison && (field.type === 'number' || field.type === 'date')) {
+        const [, operator, operand] = comparison;
+        const left = field.type === 'number' ? value : String(value);
+        const right = field.type === 'number' ? parseFloat(operand) : operand.trim();
+        if (field.type === 'number' && isNaN(right)) return false;
+        switch (operator) {
+            case '>': return left > right;
+            case '<': return left < right;
+            case '>=': return left >= right;
+            case '<=': return left <= right;
+            default: return left === right;
         }
-    });
-    
-    // Reset button
-    if (ganttResetBtn) {
-        ganttResetBtn.addEventListener('click', () => {
-            if (ganttOwnerFilter) ganttOwnerFilter.value = 'all';
-            if (ganttStatusFilter) ganttStatusFilter.value = 'all';
-            if (ganttPriorityFilter) ganttPriorityFilter.value = 'all';
-            renderGanttChart();
-        });
     }
+    if (field.type === 'enum') return String(value).toLowerCase() === text;
+    return String(value).toLowerCase().includes(text);
 }
 
-// =============================================
-// TASK VIEW TOGGLE (Grid / List)
-// =============================================
+/**
+ * Show the custom field filter when the TASKS sheet has extra columns
+ * Keeps the selected field when it still exists
+ */
+function renderCustomFieldFilter() {
+    const select = document.getElementById('desktop-filter-custom-field');
+    const input = document.getElementById('desktop-filter-custom-value');
+    if (!select || !input) return;
+    
+    const fields = appData.customFields || [];
+    const current = select.value;
+    select.innerHTML = '<option value="">Custom field</option>' + fields
+        .map(field => `<option value="${escapeHtml(field.key)}">${escapeHtml(field.label)}</option>`)
+        .join('');
+    select.value = fields.some(field => field.key === current) ? current : '';
+    select.hidden = fields.length === 0;
+    renderCustomFieldFilterValues();
+}
+
+/**
+ * Value box for the selected custom field, with its known values as suggestions
+ */
+function renderCustomFieldFilterValues() {
+    const input = document.getElementById('desktop-filter-custom-value');
+    const list = document.getElementById('desktop-filter-custom-values');
+    const field = getCustomField(document.getElementById('desktop-filter-custom-field')?.value);
+    if (!input || !list) return;
+    
+    input.hidden = !field;
+    if (!field) {
+        input.value = '';
+        list.innerHTML = '';
+        return;
+    }
+    input.placeholder = field.type === 'number' ? 'e.g. >3' : field.type === 'date' ? 'e.g. <2026-05-01' : `${field.label}...`;
+    
+    const known = field.options || [...new Set((appData.tasks || [])
+        .map(task => task.customFields ? task.customFields[field.key] : null)
+        .filter(value => value !== null && value !== undefined))].slice(0, 50);
+    list.innerHTML = known.map(value => `<option value="${escapeHtml(String(value))}"></option>`).join('');
+}
+
+/**
+ * Build the "Dependencies" section of the task detail panel
+ * Lists predecessors (with start-before-end conflicts) and tasks this one blocks
+ */
+function renderTaskDependenciesSection(task) {
+    const tasks = appData.tasks || [];
+    const predecessors = (task.dependsOn || []).map(id => tasks.find(t => t.id === id) || { id, name: id, missing: true });
+    const successors = tasks.filter(t => (t.dependsOn || []).includes(task.id));
+    if (predecessors.length === 0 && successors.length === 0) return '';
+    
+    const conflictIds = new Set(getDependencyConflicts()
+        .filter(c => c.taskId === task.id)
+        .map(c => c.predecessorId));
+    const isCritical = computeCriticalPath().taskIds.has(task.id);
+    
+    const renderItem = (t, isConflict) => `
+        <div class="task-panel-dependency ${isConflict ? 'is-conflict' : ''}" ${t.missing ? '' : `onclick="showDesktopTaskDetail('${t.id}')"`}>
+            <span class="task-panel-dependency-name">${escapeHtml(t.name)}</span>
+            <span class="task-panel-dependency-meta">${t.missing ? 'Unknown task id' : t.endDate ? `ends ${formatDate(t.endDate)}` : 'No dates'}${isConflict ? ' • ⚠ overlaps' : ''}</span>
+        </div>
+    `;
+    
+    return `
+        <div class="task-panel-section">
+            <h4 class="task-panel-section-title">Dependencies${isCritical ? ' <span class="task-panel-critical-badge">Critical path</span>' : ''}</h4>
+            ${conflictIds.size > 0 ? `
+            <div class="task-panel-blockers" style="margin-bottom: 10px;">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>
+                <span>Starts ${formatDate(task.startDate)}, before ${conflictIds.size === 1 ? 'a predecessor ends' : `${conflictIds.size} predecessors end`}</span>
+            </div>
+            ` : ''}
+            ${predecessors.length > 0 ? `
+            <div class="task-panel-dependency-label">Waits on</div>
+            ${predecessors.map(p => renderItem(p, conflictIds.has(p.id))).join('')}
+            ` : ''}
+            ${successors.length > 0 ? `
+            <div class="task-panel-dependency-label">Blocks</div>
+            ${successors.map(s => renderItem(s, false)).join('')}
+            ` : ''}
+        </div>
+    `;
+}
+
+// =============================================
+// GANTT ZOOM (Day / Week / Month)
+// =============================================
+// The timeline is split into columns of one day, one week (Mon-Sun) or one
+// calendar month. Columns are as wide as the days they hold, so bars, the
+// today line and milestone lines sit at the same place at every zoom level.
+// Shared by the desktop Gantt and the mobile timeline.
+// =============================================
+
+const GANTT_ZOOM_STORAGE_KEY = 'fmb-gantt-zoom';
+
+// Minimum pixels per day at each level
+const GANTT_ZOOM_LEVELS = {
+    day: { label: 'Day', dayWidth: 30 },
+    week: { label: 'Week', dayWidth: 12 },
+    month: { label: 'Month', dayWidth: 4 }
+};
+
+// Narrower columns (partial weeks/months at the edges) show no header text
+const GANTT_MIN_LABEL_WIDTH = 36;
+
+// Zoom picked while localStorage is unavailable (private mode, blocked storage), per workspace key
+const unsavedGanttZoom = {};
+
+/**
+ * Saved zoom level of the workspace, else one that fits the sprint length
+ */
+function getGanttZoom() {
+    const key = workspaceKey(GANTT_ZOOM_STORAGE_KEY);
+    let saved = unsavedGanttZoom[key];
+    try {
+        saved = localStorage.getItem(key) || saved;
+    } catch (e) {
+        // Fall back to the zoom picked this visit, or the automatic one
+    }
+    if (GANTT_ZOOM_LEVELS[saved]) return saved;
+    if (!appData.project || !appData.project.startDate || !appData.project.endDate) return 'day';
+    
+    const days = countDaysBetween(appData.project.startDate, appData.project.endDate) + 1;
+    return days > 120 ? 'month' : days > 42 ? 'week' : 'day';
+}
+
+function setGanttZoom(zoom) {
+    if (!GANTT_ZOOM_LEVELS[zoom]) return;
+    const key = workspaceKey(GANTT_ZOOM_STORAGE_KEY);
+    try {
+        localStorage.setItem(key, zoom);
+        delete unsavedGanttZoom[key];
+    } catch (e) {
+        console.warn('Could not save Gantt zoom:', e);
+        unsavedGanttZoom[key] = zoom;
+    }
+    renderGanttZoomToggle();
+    renderGanttChart();
+    if (document.querySelector('.mobile-timeline')) renderMobileSection('timeline');
+}
+
+function renderGanttZoomToggle() {
+    const zoom = getGanttZoom();
+    document.querySelectorAll('.gantt-zoom-btn').forEach(btn => {
+        const isActive = btn.dataset.zoom === zoom;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-pressed', String(isActive));
+    });
+}
+
+/**
+ * Timeline columns between two dates at a zoom level
+ * @returns {Array<{start: string, end: string, days: number}>} Edge weeks/months are cut to the range
+ */
+function getGanttColumns(startDate, endDate, zoom) {
+    const dates = generateDateRange(startDate, endDate);
+    if (zoom === 'day') return dates.map(date => ({ start: date, end: date, days: 1 }));
+    
+    const columns = [];
+    dates.forEach(date => {
+        const day = new Date(date + 'T00:00:00');
+        const startsColumn = zoom === 'week' ? day.getDay() === 1 : day.getDate() === 1;
+        if (columns.length === 0 || startsColumn) columns.push({ start: date, end: date, days: 0 });
+        
+        const column = columns[columns.length - 1];
+        column.end = date;
+        column.days++;
+    });
+    return columns;
+}
+
+function getGanttGridTemplate(columns, zoom) {
+    const { dayWidth } = GANTT_ZOOM_LEVELS[zoom];
+    if (zoom === 'day') return `220px repeat(${columns.length}, minmax(${dayWidth}px, 1fr))`;
+    return `220px ${columns.map(column => `minmax(${column.days * dayWidth}px, ${column.days}fr)`).join(' ')}`;
+}
+
+// ISO 8601 week number (weeks start on Monday, week 1 holds the first Thursday)
+function getIsoWeekNumber(dateStr) {
+    const date = new Date(dateStr + 'T00:00:00');
+    date.setDate(date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(date.getFullYear(), 0, 4);
+    return 1 + Math.round(((date - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+}
+
+/**
+ * Header text of a column
+ * @returns {{title: string, subtitle: string, tip: string}}
+ */
+function getGanttColumnHeader(column, zoom, markers = []) {
+    const date = new Date(column.start + 'T00:00:00');
+    let header;
+    if (zoom === 'day') {
+        const holiday = getHoliday(column.start);
+        header = {
+            title: String(date.getDate()),
+            subtitle: date.toLocaleDateString('en-US', { weekday: 'short' }).charAt(0),
+            tip: `${formatDate(column.start)}${holiday ? ` — ${holiday.name}` : ''}`
+        };
+    } else if (zoom === 'week') {
+        header = {
+            title: formatDate(column.start),
+            subtitle: `W${getIsoWeekNumber(column.start)}`,
+            tip: `Week ${getIsoWeekNumber(column.start)}: ${formatDate(column.start)} - ${formatDate(column.end)}`
+        };
+    } else {
+        header = {
+            title: date.toLocaleDateString('en-US', { month: 'short' }),
+            subtitle: String(date.getFullYear()),
+            tip: `${date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}: ${formatDate(column.start)} - ${formatDate(column.end)}`
+        };
+    }
+    
+    if (zoom !== 'day' && column.days * GANTT_ZOOM_LEVELS[zoom].dayWidth < GANTT_MIN_LABEL_WIDTH) {
+        header.title = '';
+        header.subtitle = '';
+    }
+    
+    // Name the milestones in the column, since the lines themselves carry no tooltip
+    const milestoneNames = markers
+        .filter(m => m.type === 'milestone' && m.date >= column.start && m.date <= column.end)
+        .map(m => `◆ ${m.label}`);
+    if (milestoneNames.length > 0) header.tip += ` — ${milestoneNames.join(', ')}`;
+    return header;
+}
+
+/**
+ * Today and the sprint's milestones, when they fall inside the range
+ * @returns {Array<{date: string, type: 'today'|'milestone', label: string, status?: string}>}
+ */
+function getGanttMarkers(startDate, endDate) {
+    const markers = [];
+    const today = getTodayLocalDate();
+    if (today >= startDate && today <= endDate) {
+        markers.push({ date: today, type: 'today', label: 'Today' });
+    }
+    (appData.milestones || []).forEach(milestone => {
+        if (!milestone.date || milestone.date < startDate || milestone.date > endDate) return;
+        markers.push({
+            date: milestone.date,
+            type: 'milestone',
+            label: `${milestone.title || 'Milestone'} (${formatDate(milestone.date)})`,
+            status: normalizeMilestoneStatus(milestone.status)
+        });
+    });
+    return markers;
+}
+
+/**
+ * Vertical marker lines inside one column, at the middle of their day
+ */
+function renderGanttMarkers(column, markers) {
+    return markers
+        .filter(m => m.date >= column.start && m.date <= column.end)
+        .map(m => {
+            const left = ((countDaysBetween(column.start, m.date) + 0.5) / column.days) * 100;
+            return `<div class="gantt-marker is-${m.type}${m.status ? ` milestone-${m.status}` : ''}" style="left: ${Math.round(left * 100) / 100}%;" aria-hidden="true"></div>`;
+        })
+        .join('');
+}
+
+/**
+ * Where a date range sits on the timeline, cut to its edges
+ * left and width are in percent of the column the range starts in
+ * @returns {{index: number, left: number, width: number}|null} null when the range is outside the timeline
+ */
+function getGanttBarPlacement(columns, startDate, endDate) {
+    if (columns.length === 0) return null;
+    const timelineStart = columns[0].start;
+    const timelineEnd = columns[columns.length - 1].end;
+    if (endDate < timelineStart || startDate > timelineEnd || endDate < startDate) return null;
+    
+    const visibleStart = startDate < timelineStart ? timelineStart : startDate;
+    const visibleEnd = endDate > timelineEnd ? timelineEnd : endDate;
+    const index = columns.findIndex(column => visibleStart <= column.end);
+    const column = columns[index];
+    const percent = days => Math.round((days / column.days) * 10000) / 100;
+    
+    return {
+        index,
+        left: percent(countDaysBetween(column.start, visibleStart)),
+        width: percent(countDaysBetween(visibleStart, visibleEnd) + 1)
+    };
+}
+
+function initializeGanttZoom() {
+    document.querySelectorAll('.gantt-zoom-btn').forEach(btn => {
+        btn.addEventListener('click', () => setGanttZoom(btn.dataset.zoom));
+    });
+    renderGanttZoomToggle();
+}
+
+// =============================================
+// GANTT MILESTONES & BASELINES
+// =============================================
+// Milestones are drawn as diamonds on the row of their assignee; milestones
+// of "Team", "PM" or anyone without a visible row share a row at the top.
+// Tasks with baseline_start/baseline_end get a ghost bar at the originally
+// planned dates behind the actual bar, so slippage shows at a glance.
+// =============================================
+
+/**
+ * Team member a milestone is assigned to (MILESTONES assignee holds an id or a name)
+ */
+function getMilestoneAssignee(milestone) {
+    if (!milestone.assignee) return null;
+    const assignee = milestone.assignee.trim().toLowerCase();
+    return getTeamMember(milestone.assignee)
+        || (appData.teamMembers || []).find(m => m.id.toLowerCase() === assignee || String(m.name).toLowerCase() === assignee)
+        || null;
+}
+
+/**
+ * Gantt row of each milestone inside the timeline
+ * @param {Object[]} tasks - Rows in display order
+ * @param {string} ownerFilter - Gantt owner filter; other members' milestones are left out
+ * @returns {{byTask: Map<string, Object[]>, shared: Object[]}} Milestones by task id, and those for the shared row
+ */
+function getGanttMilestonePlacement(tasks, timelineStart, timelineEnd, ownerFilter = 'all') {
+    const byTask = new Map();
+    const shared = [];
+    (appData.milestones || []).forEach(milestone => {
+        if (!milestone.date || milestone.date < timelineStart || milestone.date > timelineEnd) return;
+        const member = getMilestoneAssignee(milestone);
+        if (member && ownerFilter !== 'all' && member.id !== ownerFilter) return;
+        
+        // First row that is the assignee's main task, else any row they share
+        const row = member && (tasks.find(t => t.owner === member.id) || tasks.find(t => isTaskOwnedBy(t, member.id)));
+        if (!row) {
+            shared.push(milestone);
+            return;
+        }
+        if (!byTask.has(row.id)) byTask.set(row.id, []);
+        byTask.get(row.id).push(milestone);
+    });
+    return { byTask, shared };
+}
+
+function renderGanttMilestoneDiamonds(column, milestones) {
+    return milestones
+        .filter(m => m.date >= column.start && m.date <= column.end)
+        .map(m => {
+            const left = Math.round(((countDaysBetween(column.start, m.date) + 0.5) / column.days) * 10000) / 100;
+            const member = getMilestoneAssignee(m);
+            const assignee = member ? member.name : m.assignee;
+            const status = normalizeMilestoneStatus(m.status);
+            const tip = `◆ ${m.title}: ${formatDate(m.date)}${assignee ? ` • ${assignee}` : ''}${status === 'completed' ? ' • Completed' : ''}`;
+            return `<div class="gantt-milestone-diamond milestone-${status}" style="left: ${left}%;" data-tip="${escapeHtml(tip)}" role="img" aria-label="${escapeHtml(tip)}"></div>`;
+        })
+        .join('');
+}
+
+/**
+ * Originally planned dates of a task
+ * With only one baseline column filled, the other end is the actual date
+ * @returns {{startDate: string, endDate: string, slipDays: number}|null} slipDays > 0 when the task now ends later than planned
+ */
+function getTaskBaseline(task) {
+    if (!task.baselineStart && !task.baselineEnd) return null;
+    const startDate = task.baselineStart || task.startDate;
+    const endDate = task.baselineEnd || task.endDate;
+    if (!startDate || !endDate || endDate < startDate) return null;
+    
+    return {
+        startDate,
+        endDate,
+        slipDays: task.endDate ? countDaysBetween(endDate, task.endDate) : 0
+    };
+}
+
+/**
+ * "Planned Mar 2 - Mar 4 (3 days late)"
+ */
+function describeTaskBaseline(baseline) {
+    const range = baseline.startDate === baseline.endDate
+        ? formatDate(baseline.startDate)
+        : `${formatDate(baseline.startDate)} - ${formatDate(baseline.endDate)}`;
+    const days = Math.abs(baseline.slipDays);
+    const slip = baseline.slipDays === 0 ? 'on plan'
+        : `${days} day${days === 1 ? '' : 's'} ${baseline.slipDays > 0 ? 'late' : 'early'}`;
+    return `Planned ${range} (${slip})`;
+}
+
+// =============================================
+// GANTT CHART FILTERS
+// =============================================
+
+function initializeGanttFilters() {
+    const ganttOwnerFilter = document.getElementById('gantt-filter-owner');
+    const ganttStatusFilter = document.getElementById('gantt-filter-status');
+    const ganttPriorityFilter = document.getElementById('gantt-filter-priority');
+    const ganttResetBtn = document.getElementById('gantt-filter-reset');
+    
+    // Populate owner filter
+    if (ganttOwnerFilter && appData.teamMembers) {
+        const options = appData.teamMembers.map(m => 
+            `<option value="${m.id}">${m.name}</option>`
+        ).join('');
+        ganttOwnerFilter.innerHTML = `<option value="all">All Owners</option>${options}`;
+    }
+    
+    // Add event listeners
+    [ganttOwnerFilter, ganttStatusFilter, ganttPriorityFilter].forEach(filter => {
+        if (filter) {
+            filter.addEventListener('change', () => renderGanttChart());
+        }
+    });
+    
+    // Reset button
+    if (ganttResetBtn) {
+        ganttResetBtn.addEventListener('click', () => {
+            if (ganttOwnerFilter) ganttOwnerFilter.value = 'all';
+            if (ganttStatusFilter) ganttStatusFilter.value = 'all';
+            if (ganttPriorityFilter) ganttPriorityFilter.value = 'all';
+            renderGanttChart();
+        });
+    }
+    
+    // Dependency arrows are positioned in pixels - redraw when the layout changes
+    window.addEventListener('resize', debounce(() => drawGanttDependencyArrows(), 200));
+}
+
+// =============================================
+// GANTT DRAG TO RESCHEDULE
+// =============================================
+// Drag a bar to move a task, or one of its ends to change the start or due
+// date. Dates snap to the owner's working days, and each drop is held as a
+// pending change (see stageTaskChange() in dataLoader.js).
+// =============================================
+
+// Pixels the pointer has to travel before a press on a bar becomes a drag
+const GANTT_DRAG_THRESHOLD = 4;
+
+// Bar being dragged: { bar, task, mode, startX, dayWidth, left, width, active, dates }
+// dayWidth is in pixels at the current zoom level
+let ganttDrag = null;
+
+function shiftDateString(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00');
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function countDaysBetween(fromStr, toStr) {
+    return Math.round((new Date(toStr + 'T00:00:00') - new Date(fromStr + 'T00:00:00')) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Nearest working day on or after (direction 1) or before (-1) a date
+ */
+function snapToWorkingDay(dateStr, direction, member = null) {
+    let date = dateStr;
+    // Cap the walk so a calendar with no working days cannot loop forever
+    for (let guard = 0; !isWorkingDay(date, member) && guard < 366; guard++) {
+        date = shiftDateString(date, direction);
+    }
+    return isWorkingDay(date, member) ? date : dateStr;
+}
+
+/**
+ * Task dates after a drag of some calendar days
+ * Moving keeps the number of working days; a dragged start snaps forward
+ * and a dragged end snaps back to the owner's nearest working day.
+ * @param {Object} task
+ * @param {'move'|'start'|'end'} mode
+ * @param {number} dayDelta - Days the pointer moved (negative is earlier)
+ * @returns {{startDate: string, endDate: string}}
+ */
+function getDraggedTaskDates(task, mode, dayDelta) {
+    const member = getTeamMember(task.owner);
+    let { startDate, endDate } = task;
+    if (dayDelta === 0) return { startDate, endDate };
+    
+    if (mode === 'move') {
+        const workingDays = Math.max(1, getWorkingDays(task.startDate, task.endDate, member));
+        startDate = snapToWorkingDay(shiftDateString(task.startDate, dayDelta), dayDelta > 0 ? 1 : -1, member);
+        endDate = startDate;
+        for (let added = 1, guard = 0; added < workingDays && guard < 3660; guard++) {
+            endDate = shiftDateString(endDate, 1);
+            if (isWorkingDay(endDate, member)) added++;
+        }
+    } else if (mode === 'start') {
+        startDate = snapToWorkingDay(shiftDateString(task.startDate, dayDelta), 1, member);
+        if (startDate > endDate) startDate = snapToWorkingDay(endDate, -1, member);
+    } else {
+        endDate = snapToWorkingDay(shiftDateString(task.endDate, dayDelta), -1, member);
+        if (endDate < startDate) endDate = snapToWorkingDay(startDate, 1, member);
+    }
+    return { startDate, endDate };
+}
+
+function initializeGanttDrag() {
+    const container = document.querySelector('.gantt-container');
+    if (!container) return;
+    
+    container.addEventListener('pointerdown', (e) => {
+        const bar = e.target.closest('.gantt-bar.is-draggable');
+        if (!bar || e.button !== 0) return;
+        const task = (appData.tasks || []).find(t => t.id === bar.dataset.taskId);
+        if (!task || !task.startDate || !task.endDate) return;
+        
+        ganttDrag = {
+            bar,
+            task,
+            mode: e.target.dataset.drag || 'move',
+            startX: e.clientX,
+            dayWidth: bar.parentElement.getBoundingClientRect().width / Number(bar.dataset.days || 1),
+            left: bar.offsetLeft,
+            width: bar.offsetWidth,
+            active: false,
+            dates: null
+        };
+        bar.setPointerCapture(e.pointerId);
+    });
+    
+    container.addEventListener('pointermove', (e) => {
+        if (!ganttDrag) return;
+        const dx = e.clientX - ganttDrag.startX;
+        if (!ganttDrag.active && Math.abs(dx) < GANTT_DRAG_THRESHOLD) return;
+        ganttDrag.active = true;
+        ganttDrag.bar.classList.add('is-dragging');
+        previewGanttDrag(Math.round(dx / ganttDrag.dayWidth));
+    });
+    
+    container.addEventListener('pointerup', () => finishGanttDrag(true));
+    container.addEventListener('pointercancel', () => finishGanttDrag(false));
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && ganttDrag) {
+            finishGanttDrag(false);
+            return;
+        }
+        // Ctrl/Cmd+Z takes back the last pending change (outside text fields)
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' && canUndoTaskChange()
+            && !e.target.closest('input, textarea, select, [contenteditable="true"]')) {
+            e.preventDefault();
+            undoTaskChange();
+        }
+    });
+}
+
+/**
+ * Show the bar at its new dates while dragging
+ */
+function previewGanttDrag(dayDelta) {
+    const drag = ganttDrag;
+    drag.dates = getDraggedTaskDates(drag.task, drag.mode, dayDelta);
+    const startShift = countDaysBetween(drag.task.startDate, drag.dates.startDate) * drag.dayWidth;
+    const endShift = countDaysBetween(drag.task.endDate, drag.dates.endDate) * drag.dayWidth;
+    drag.bar.style.left = `${drag.left + startShift}px`;
+    drag.bar.style.width = `${Math.max(drag.width + endShift - startShift, 8)}px`;
+    
+    const label = drag.bar.querySelector('.gantt-bar-label');
+    if (label) {
+        label.textContent = drag.dates.startDate === drag.dates.endDate
+            ? formatDate(drag.dates.startDate)
+            : `${formatDate(drag.dates.startDate)} – ${formatDate(drag.dates.endDate)}`;
+    }
+}
+
+/**
+ * Drop (stage the new dates) or cancel the drag in progress
+ */
+function finishGanttDrag(commit) {
+    const drag = ganttDrag;
+    ganttDrag = null;
+    if (!drag || !drag.active) return; // A click, not a drag
+    
+    const dates = drag.dates || { startDate: drag.task.startDate, endDate: drag.task.endDate };
+    const changes = {};
+    if (dates.startDate !== drag.task.startDate) changes.start_date = dates.startDate;
+    if (dates.endDate !== drag.task.endDate) changes.end_date = dates.endDate;
+    
+    if (!commit || Object.keys(changes).length === 0) {
+        renderGanttChart();
+        return;
+    }
+    try {
+        stageTaskChange(drag.task.id, changes);
+    } catch (error) {
+        showToast(error.message, 'error');
+        renderGanttChart();
+    }
+}
+
+// =============================================
+// PENDING CHANGES TRAY
+// =============================================
+// Unsaved task edits with undo, CSV patch export and, when a write-back
+// endpoint is set, a push to the sheet.
+// =============================================
+
+const PENDING_CHANGE_FIELDS = {
+    start_date: { label: 'Start', property: 'startDate' },
+    end_date: { label: 'Due', property: 'endDate' },
+    status: { label: 'Status', property: 'statusId' },
+    owner: { label: 'Owner', property: 'owner' },
+    estimated_hours: { label: 'Hours', property: 'estimatedHours' },
+    notes: { label: 'Notes', property: 'notes' }
+};
+
+function formatPendingChangeValue(field, value) {
+    if (value === undefined || value === null || value === '') return 'none';
+    if (field === 'start_date' || field === 'end_date') return formatDate(value);
+    if (field === 'status') {
+        const def = getStatusDefinitions().find(d => d.id === value || d.category === value);
+        return def ? def.label : String(value);
+    }
+    if (field === 'estimated_hours') return `${value}h`;
+    return String(value);
+}
+
+/**
+ * "Start Mar 2 → Mar 3, Due Mar 5 → Mar 6"
+ */
+function describePendingChange(entry) {
+    return Object.keys(entry.changes).map(field => {
+        const meta = PENDING_CHANGE_FIELDS[field] || { label: field, property: field };
+        if (field === 'notes') return 'Notes edited';
+        return `${meta.label} ${formatPendingChangeValue(field, entry.original[meta.property])} → ${formatPendingChangeValue(field, entry.changes[field])}`;
+    }).join(', ');
+}
+
+function renderPendingChangesTray() {
+    const tray = document.getElementById('pending-changes-tray');
+    if (!tray || typeof getPendingTaskChanges !== 'function') return;
+    
+    const entries = getPendingTaskChanges();
+    tray.hidden = entries.length === 0;
+    if (entries.length === 0) {
+        tray.innerHTML = '';
+        return;
+    }
+    
+    const wasOpen = tray.querySelector('details')?.open;
+    tray.innerHTML = `
+        <details class="pending-changes"${wasOpen ? ' open' : ''}>
+            <summary class="pending-changes-summary">
+                <span class="pending-changes-count">${entries.length}</span>
+                ${entries.length === 1 ? 'unsaved change' : 'unsaved changes'}
+            </summary>
+            <ul class="pending-changes-list">
+                ${entries.map(entry => {
+                    const task = (appData.allTasks || []).find(t => t.id === entry.taskId);
+                    return `
+                <li class="pending-changes-item" onclick="showDesktopTaskDetail('${entry.taskId}')">
+                    <span class="pending-changes-task">${escapeHtml(task ? task.name : entry.taskId)}</span>
+                    <span class="pending-changes-detail">${escapeHtml(describePendingChange(entry))}</span>
+                </li>`;
+                }).join('')}
+            </ul>
+        </details>
+        <div class="pending-changes-actions">
+            <button class="task-panel-btn" onclick="undoTaskChange()" title="Undo (Ctrl+Z)"${canUndoTaskChange() ? '' : ' disabled'}>Undo</button>
+            <button class="task-panel-btn" onclick="discardPendingChanges()">Discard</button>
+            <button class="task-panel-btn" onclick="exportPendingChangesCsv()" title="Task id plus the changed columns, to paste into TASKS">Export CSV</button>
+            ${isWriteBackEnabled() ? '<button class="task-panel-btn primary" onclick="pushPendingChanges()">Save to Sheet</button>' : ''}
+        </div>
+    `;
+}
+
+function discardPendingChanges() {
+    const count = getPendingTaskChanges().length;
+    if (confirm(`Discard ${count} unsaved ${count === 1 ? 'change' : 'changes'}? The tasks go back to the sheet's dates and values.`)) {
+        discardPendingTaskChanges();
+    }
+}
+
+async function pushPendingChanges() {
+    const button = document.querySelector('#pending-changes-tray .task-panel-btn.primary');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Saving...';
+    }
+    
+    const { saved, failed } = await pushPendingTaskChanges();
+    if (failed.length === 0) {
+        showToast(`Saved ${saved.length} ${saved.length === 1 ? 'change' : 'changes'} to the sheet`, 'success');
+    } else {
+        showToast(`${failed.length} of ${saved.length + failed.length} not saved: ${failed[0].error}`, 'error', 5000);
+    }
+}
+
+// =============================================
+// TASK VIEW TOGGLE (Grid / List / Kanban)
+// =============================================
 
 function initializeTaskViewToggle() {
     const toggleBtns = document.querySelectorAll('.view-toggle-btn');
@@ -1394,16 +3093,17 @@ function initializeTaskViewToggle() {
             
             const gridContainer = document.getElementById('desktop-tasks-grid');
             const listContainer = document.getElementById('desktop-tasks-list');
+            const kanbanContainer = document.getElementById('desktop-tasks-kanban');
+            const swimlaneSelect = document.getElementById('desktop-kanban-swimlane');
             
-            if (view === 'grid') {
-                if (gridContainer) gridContainer.style.display = '';
-                if (listContainer) listContainer.style.display = 'none';
-            } else {
-                if (gridContainer) gridContainer.style.display = 'none';
-                if (listContainer) listContainer.style.display = '';
-            }
+            if (gridContainer) gridContainer.style.display = view === 'grid' ? '' : 'none';
+            if (listContainer) listContainer.style.display = view === 'list' ? '' : 'none';
+            if (kanbanContainer) kanbanContainer.style.display = view === 'kanban' ? '' : 'none';
+            if (swimlaneSelect) swimlaneSelect.hidden = view !== 'kanban';
         });
     });
+    
+    initializeKanban();
 }
 
 // =============================================
@@ -1452,10 +3152,10 @@ function showDesktopTaskDetail(taskId) {
     const bodyEl = document.getElementById('task-panel-body');
     const jiraBtn = document.getElementById('task-panel-jira-btn');
     
-    const statusInfo = getStatusInfo(task.status, task.completed);
-    const member = getTeamMember(task.owner);
-    const ownerName = member ? member.name : (task.owner || 'Unassigned');
+    const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+    const ownerName = getTaskOwnerLabel(task);
     const normalizedStatus = normalizeTaskStatus(task.status);
+    const baseline = getTaskBaseline(task);
     
     const priorityColors = {
         'urgent': '#ef4444',
@@ -1472,8 +3172,9 @@ function showDesktopTaskDetail(taskId) {
         'muted': 'background: #f3f4f6; color: #6b7280;'
     };
     
-    const badgeStyle = statusBadgeColors[statusInfo.color] || statusBadgeColors.secondary;
-    const prioColor = priorityColors[task.priority] || '#6b7280';
+    const badgeStyle = statusInfo.hex ? getVocabularyBadgeStyle(statusInfo.hex) : (statusBadgeColors[statusInfo.color] || statusBadgeColors.secondary);
+    const priorityDef = getTaskPriorityDefinition(task);
+    const prioColor = hasCustomPriorities() ? priorityDef.color : (priorityColors[task.priority] || '#6b7280');
     
     // Calculate time progress
     let timeProgress = 0;
@@ -1496,7 +3197,7 @@ function showDesktopTaskDetail(taskId) {
         <div class="task-panel-header-top">
             <div class="task-panel-badges">
                 <span class="task-panel-badge" style="${badgeStyle}">${statusInfo.label}</span>
-                <span class="task-panel-badge" style="background: ${prioColor}15; color: ${prioColor};">${escapeHtml(task.priority || 'normal')}</span>
+                <span class="task-panel-badge" style="background: ${prioColor}15; color: ${prioColor};">${escapeHtml(hasCustomPriorities() ? priorityDef.label : (task.priority || 'normal'))}</span>
                 ${task.type ? `<span class="task-panel-badge" style="background: var(--badge-bg); color: var(--badge-text);">${escapeHtml(task.type)}</span>` : ''}
             </div>
             <button class="task-panel-close" onclick="closeTaskPanel()" aria-label="Close">
@@ -1543,6 +3244,12 @@ function showDesktopTaskDetail(taskId) {
                     <span class="task-panel-info-value">${escapeHtml(task.bu)}</span>
                 </div>
                 ` : ''}
+                ${baseline ? `
+                <div class="task-panel-info-item">
+                    <span class="task-panel-info-label">Baseline</span>
+                    <span class="task-panel-info-value">${describeTaskBaseline(baseline)}</span>
+                </div>
+                ` : ''}
             </div>
         </div>
         
@@ -1561,7 +3268,11 @@ function showDesktopTaskDetail(taskId) {
         </div>
         ` : ''}
         
-        ${task.jiraUrl ? `
+        ${renderTaskCustomFieldsSection(task)}
+        
+        ${renderTaskDependenciesSection(task)}
+        
+        ${task.jiraUrl ? `
         <div class="task-panel-section">
             <h4 class="task-panel-section-title">Jira Ticket</h4>
             <a href="${sanitizeUrl(task.jiraUrl)}" target="_blank" rel="noopener noreferrer" class="task-panel-jira-link">
@@ -1595,6 +3306,9 @@ function showDesktopTaskDetail(taskId) {
         ` : ''}
     `;
     
+    const editBtn = document.getElementById('task-panel-edit-btn');
+    if (editBtn) editBtn.style.display = isWriteBackEnabled() ? 'flex' : 'none';
+    
     // Jira button
     if (jiraBtn && task.jiraUrl) {
         jiraBtn.style.display = 'flex';
@@ -1613,6 +3327,157 @@ function closeTaskPanel() {
     desktopState.activePanel = null;
 }
 
+// =============================================
+// TASK EDITING (write-back)
+// =============================================
+// One edit form for the desktop task panel and the mobile task modal.
+// Shown only when a write-back endpoint is set (see updateTask() in dataLoader.js).
+// =============================================
+
+/**
+ * Owner cell as it would be typed in the sheet ("avi" or "avi:60,neha:40")
+ */
+function formatTaskOwnersInput(task) {
+    const owners = task.owners && task.owners.length > 0 ? task.owners : (task.owner && task.owner !== 'unassigned' ? [{ id: task.owner }] : []);
+    return owners.map(owner => owners.length > 1 && owner.share ? `${owner.id}:${Math.round(owner.share * 100)}` : owner.id).join(',');
+}
+
+/**
+ * Build the edit form - values are filled in by fillTaskEditForm() once it's in the page
+ */
+function renderTaskEditForm(task, formId) {
+    const statusOptions = getStatusDefinitions().map(def => `<option value="${escapeHtml(def.id)}">${escapeHtml(def.label)}</option>`).join('');
+    const memberOptions = (appData.teamMembers || []).map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`).join('');
+    
+    return `
+        <form class="task-edit-form" id="${formId}" novalidate>
+            <div class="task-edit-grid">
+                <label class="task-edit-field">
+                    <span class="task-edit-label">Status</span>
+                    <select class="settings-input" name="status">${statusOptions}</select>
+                </label>
+                <label class="task-edit-field">
+                    <span class="task-edit-label">Owner</span>
+                    <input type="text" class="settings-input" name="owner" list="${formId}-members" autocomplete="off" placeholder="member id, or avi:60,neha:40">
+                    <datalist id="${formId}-members">${memberOptions}</datalist>
+                </label>
+                <label class="task-edit-field">
+                    <span class="task-edit-label">Start Date</span>
+                    <input type="date" class="settings-input" name="start_date">
+                </label>
+                <label class="task-edit-field">
+                    <span class="task-edit-label">Due Date</span>
+                    <input type="date" class="settings-input" name="end_date">
+                </label>
+                <label class="task-edit-field">
+                    <span class="task-edit-label">Estimated Hours</span>
+                    <input type="number" class="settings-input" name="estimated_hours" min="0" step="0.5">
+                </label>
+            </div>
+            <label class="task-edit-field">
+                <span class="task-edit-label">Notes</span>
+                <textarea class="settings-input" name="notes" rows="4"></textarea>
+            </label>
+            <p class="file-import-status task-edit-status" aria-live="polite"></p>
+            <div class="task-edit-actions">
+                <button type="button" class="task-panel-btn" data-action="cancel-edit">Cancel</button>
+                <button type="submit" class="task-panel-btn primary">Save to Sheet</button>
+            </div>
+        </form>
+    `;
+}
+
+function fillTaskEditForm(form, task) {
+    const fields = form.elements;
+    fields.status.value = getTaskStatusDefinition(task).id;
+    fields.owner.value = formatTaskOwnersInput(task);
+    fields.start_date.value = task.startDate || '';
+    fields.end_date.value = task.endDate || '';
+    fields.estimated_hours.value = task.estimatedHours ?? '';
+    fields.notes.value = task.notes || '';
+}
+
+/**
+ * Fields that differ from the task, keyed by TASKS column
+ */
+function readTaskEditForm(form, task) {
+    const fields = form.elements;
+    const current = {
+        status: getTaskStatusDefinition(task).id,
+        owner: formatTaskOwnersInput(task),
+        start_date: task.startDate || '',
+        end_date: task.endDate || '',
+        estimated_hours: String(task.estimatedHours ?? ''),
+        notes: task.notes || ''
+    };
+    const changes = {};
+    Object.keys(current).forEach(name => {
+        const value = fields[name].value.trim();
+        if (value !== current[name]) changes[name] = value;
+    });
+    return changes;
+}
+
+/**
+ * Wire an edit form: save through updateTask(), then hand back to the caller
+ * @param {HTMLFormElement} form
+ * @param {Object} task
+ * @param {Function} onDone - Called after saving or cancelling
+ */
+function bindTaskEditForm(form, task, onDone) {
+    const status = form.querySelector('.task-edit-status');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    fillTaskEditForm(form, task);
+    
+    form.querySelector('[data-action="cancel-edit"]').addEventListener('click', () => onDone(false));
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const changes = readTaskEditForm(form, task);
+        if (Object.keys(changes).length === 0) {
+            onDone(false);
+            return;
+        }
+        
+        submitBtn.disabled = true;
+        status.classList.remove('is-error');
+        status.textContent = 'Saving...';
+        try {
+            await updateTask(task.id, changes);
+            showToast(`Saved "${task.name}"`, 'success');
+            onDone(true);
+        } catch (error) {
+            status.classList.add('is-error');
+            status.textContent = error.message;
+            showToast(`Not saved: ${error.message}`, 'error', 5000);
+            submitBtn.disabled = false;
+        }
+    });
+    
+    const first = form.elements.status;
+    if (first) first.focus();
+}
+
+/**
+ * Swap the desktop task panel body for the edit form
+ */
+function editDesktopTask() {
+    const task = appData.tasks.find(t => String(t.id) === String(desktopState.activePanel));
+    const bodyEl = document.getElementById('task-panel-body');
+    if (!task || !bodyEl || !isWriteBackEnabled()) return;
+    
+    const editBtn = document.getElementById('task-panel-edit-btn');
+    if (editBtn) editBtn.style.display = 'none';
+    bodyEl.innerHTML = renderTaskEditForm(task, 'task-panel-edit-form');
+    bindTaskEditForm(document.getElementById('task-panel-edit-form'), task, () => {
+        // Moving the dates can take the task out of the selected sprint
+        if (appData.tasks.some(t => t.id === task.id)) {
+            showDesktopTaskDetail(task.id);
+        } else {
+            closeTaskPanel();
+        }
+    });
+}
+
 // =============================================
 // COMMAND PALETTE (Ctrl+K)
 // =============================================
@@ -1735,9 +3600,13 @@ function renderCommandPaletteResults(query) {
         // Quick actions
         items.push({ type: 'action', title: 'Toggle Dark Mode', subtitle: 'Switch between light & dark theme', action: 'toggleTheme', badge: '🌓' });
         items.push({ type: 'action', title: 'Refresh Data', subtitle: 'Re-fetch latest data from Google Sheets', action: 'refresh', badge: '↻' });
-        items.push({ type: 'action', title: 'Export Data', subtitle: 'Download sprint data as CSV', action: 'export', badge: '↓' });
+        items.push({ type: 'action', title: 'Export Data', subtitle: 'Download sprint data as JSON', action: 'export', badge: '↓' });
+        items.push({ type: 'action', title: 'Export Tasks CSV', subtitle: 'Download the filtered task list, custom fields included', action: 'exportCsv', badge: '↓' });
         items.push({ type: 'action', title: 'Print Report', subtitle: 'Print the current sprint report', action: 'print', badge: '⎙' });
         
+        // Workspaces
+        getWorkspaceCommandItems('').forEach(item => items.push(item));
+        
         // Search hints
         items.push({ type: 'hint', title: 'Search tasks by name or Jira ID...', subtitle: 'Type to search across tasks, members, milestones', badge: '' });
     } else {
@@ -1752,11 +3621,10 @@ function renderCommandPaletteResults(query) {
         if (appData.tasks) {
             appData.tasks.filter(t => 
                 t.name.toLowerCase().includes(q) ||
-                (t.owner && t.owner.toLowerCase().includes(q)) ||
+                getTaskOwnerLabel(t).toLowerCase().includes(q) ||
                 (t.jiraId && t.jiraId.toLowerCase().includes(q))
             ).slice(0, 8).forEach(task => {
-                const member = getTeamMember(task.owner);
-                const ownerName = member ? member.name : (task.owner || 'Unassigned');
+                const ownerName = getTaskOwnerLabel(task);
                 items.push({
                     type: 'task',
                     title: task.name,
@@ -1794,6 +3662,9 @@ function renderCommandPaletteResults(query) {
             });
         }
         
+        // Workspaces
+        getWorkspaceCommandItems(q).forEach(item => items.push(item));
+        
         // Theme toggle
         if ('dark mode'.includes(q) || 'theme'.includes(q) || 'light mode'.includes(q)) {
             items.push({ type: 'action', title: 'Toggle Dark Mode', subtitle: 'Theme', action: 'toggleTheme', badge: '🌓' });
@@ -1810,16 +3681,17 @@ function renderCommandPaletteResults(query) {
             return `<div class="command-palette-hint"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg> ${escapeHtml(item.title)}</div>`;
         }
         return `
-        <div class="command-palette-item ${idx === 0 ? 'active' : ''}" data-type="${item.type}" data-section="${item.section || ''}" data-task-id="${item.taskId || ''}" data-action="${item.action || ''}">
+        <div class="command-palette-item ${idx === 0 ? 'active' : ''}" data-type="${item.type}" data-section="${item.section || ''}" data-task-id="${item.taskId || ''}" data-action="${item.action || ''}" data-workspace-id="${item.workspaceId || ''}">
             <div class="command-palette-item-icon">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     ${item.type === 'task' ? '<path d="M9 11l3 3L22 4"></path><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>' : 
                       item.type === 'member' ? '<path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>' : 
                       item.type === 'milestone' ? '<circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline>' :
+                      item.type === 'workspace' || item.action === 'manageWorkspaces' ? '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>' :
                       item.type === 'nav' ? '<rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect>' :
                       item.action === 'toggleTheme' ? '<circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line>' :
                       item.action === 'refresh' ? '<polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 9A9 9 0 0 0 5.64 5.64L1 10"></path>' :
-                      item.action === 'export' ? '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line>' :
+                      item.action === 'export' || item.action === 'exportCsv' ? '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line>' :
                       item.action === 'print' ? '<polyline points="6 9 6 2 18 2 18 9"></polyline><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path><rect x="6" y="14" width="12" height="8"></rect>' :
                       '<circle cx="12" cy="12" r="5"></circle>'}
                 </svg>
@@ -1844,6 +3716,8 @@ function renderCommandPaletteResults(query) {
                 setTimeout(() => showDesktopTaskDetail(el.dataset.taskId), 100);
             } else if (type === 'member') {
                 navigateToSection('bandwidth');
+            } else if (type === 'workspace') {
+                switchWorkspace(el.dataset.workspaceId);
             } else if (type === 'action') {
                 const action = el.dataset.action;
                 if (action === 'toggleTheme') {
@@ -1852,8 +3726,12 @@ function renderCommandPaletteResults(query) {
                     if (typeof refreshData === 'function') refreshData();
                 } else if (action === 'export') {
                     if (typeof exportData === 'function') exportData();
+                } else if (action === 'exportCsv') {
+                    if (typeof exportTasksCsv === 'function') exportTasksCsv(getDesktopFilteredTasks());
                 } else if (action === 'print') {
                     if (window.printReport) window.printReport(); else window.print();
+                } else if (action === 'manageWorkspaces') {
+                    openWorkspaceManager();
                 }
             }
             
@@ -1878,6 +3756,8 @@ function renderDesktopUI() {
     renderDesktopBandwidthGrid();
     renderDesktopMilestones();
     renderDesktopBurndownMini();
+    renderDesktopBurndownChart();
+    renderDesktopReports();
     renderDesktopSprintCalendar();
     renderTeamAvailability();
     renderDesktopWeeklyBreakdown();
@@ -1932,6 +3812,8 @@ function updateGoogleSheetLink() {
 }
 
 function updateDesktopSidebarStatus() {
+    updateOfflineIndicators();
+    
     const statusBadge = document.getElementById('sidebar-sprint-status');
     if (!statusBadge || !appData.project) return;
     
@@ -1952,6 +3834,27 @@ function updateDesktopSidebarStatus() {
     updateSidebarNavBadges();
 }
 
+/**
+ * Sidebar and mobile header "Offline" badges
+ * Shown while the browser has no connection or cached data is on screen
+ */
+function updateOfflineIndicators() {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    const showing = offline || Boolean(appData.cachedAt);
+    const label = offline ? 'Offline' : 'Cached';
+    const tip = appData.cachedAt
+        ? `Showing data fetched ${new Date(appData.cachedAt).toLocaleString()}`
+        : 'No connection - changes in the sheet will show once you are back online';
+    
+    ['sidebar-offline-indicator', 'mobile-offline-indicator'].forEach(id => {
+        const indicator = document.getElementById(id);
+        if (!indicator) return;
+        indicator.hidden = !showing;
+        indicator.textContent = label;
+        indicator.setAttribute('data-tip', tip);
+    });
+}
+
 function updateSidebarNavBadges() {
     const navItems = document.querySelectorAll('.sidebar-nav-item');
     navItems.forEach(item => {
@@ -2008,6 +3911,12 @@ function renderDesktopSprintCard() {
     if (nameEl) nameEl.textContent = appData.project.name || 'Sprint Overview';
     if (datesEl) datesEl.textContent = `${formatDate(appData.project.startDate)} - ${formatDate(appData.project.endDate)}`;
     
+    const goalEl = document.getElementById('sprint-goal');
+    if (goalEl) {
+        goalEl.textContent = appData.project.goal ? `🎯 ${appData.project.goal}` : '';
+        goalEl.hidden = !appData.project.goal;
+    }
+    
     if (progressRing) {
         progressRing.style.strokeDasharray = `${progress}, 100`;
     }
@@ -2127,83 +4036,1216 @@ function renderDesktopStatusBars() {
     const totalTasks = appData.tasks.length;
     if (totalTasks === 0) return;
     
-    const statusGroups = {};
-    appData.tasks.forEach(task => {
-        const status = normalizeTaskStatus(task.status, task.completed ? 'completed' : 'todo');
-        statusGroups[status] = (statusGroups[status] || 0) + 1;
-    });
+    const statusGroups = {};
+    appData.tasks.forEach(task => {
+        const status = getTaskStatusDefinition(task).id;
+        statusGroups[status] = (statusGroups[status] || 0) + 1;
+    });
+    
+    // Custom statuses get their sheet color; built-ins keep the stylesheet's
+    const customColors = hasCustomStatuses();
+    container.innerHTML = getStatusDefinitions()
+        .filter(def => statusGroups[def.id] > 0)
+        .map(def => {
+            const count = statusGroups[def.id];
+            const percent = Math.round((count / totalTasks) * 100);
+            return `
+                <div class="status-bar-row">
+                    <span class="status-bar-label">${escapeHtml(def.label)}</span>
+                    <div class="status-bar-track">
+                        <div class="status-bar-fill status-${def.category}" style="width: ${percent}%;${customColors ? ` background: ${def.color};` : ''}">
+                            ${percent > 10 ? `${percent}%` : ''}
+                        </div>
+                    </div>
+                    <span class="status-bar-count">${count}</span>
+                </div>
+            `;
+        }).join('');
+}
+
+// =============================================
+// LOCAL HISTORY DATABASE (IndexedDB)
+// =============================================
+// History the sheet does not keep: daily burndown points and archived
+// sprints, plus the last successful load of each workspace for offline
+// use. Everything stays in this browser.
+// =============================================
+
+// Keeps the database name the burndown snapshots were first stored under.
+// Version 1 kept them in a "snapshots" store, which the upgrade to 3 moves
+// to burndownSnapshots next to the sprint archive and data cache.
+const TRACKER_DB_NAME = 'fmb-burndown';
+const TRACKER_DB_VERSION = 3;
+const LEGACY_BURNDOWN_STORE = 'snapshots';
+const BURNDOWN_STORE = 'burndownSnapshots';
+const SPRINT_ARCHIVE_STORE = 'sprintArchive';
+const DATA_CACHE_STORE = 'dataCache';
+const TRACKER_DB_OPEN_TIMEOUT_MS = 3000;
+let _trackerDbPromise = null;
+
+/**
+ * Open (or create) the history database
+ * Gives up (null) when another tab holding an older version blocks the
+ * upgrade or opening takes too long, so loading never waits on history;
+ * the next call tries again.
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+ */
+function openTrackerDb() {
+    if (_trackerDbPromise) return _trackerDbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    
+    _trackerDbPromise = new Promise(resolve => {
+        let settled = false;
+        const giveUp = reason => {
+            if (settled) return;
+            settled = true;
+            console.warn(`[History] IndexedDB not opened: ${reason}`);
+            _trackerDbPromise = null;
+            resolve(null);
+        };
+        const timer = setTimeout(() => giveUp('timed out'), TRACKER_DB_OPEN_TIMEOUT_MS);
+        
+        const request = indexedDB.open(TRACKER_DB_NAME, TRACKER_DB_VERSION);
+        request.onblocked = () => giveUp('blocked by another open tab');
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(BURNDOWN_STORE)) {
+                const store = db.createObjectStore(BURNDOWN_STORE, { keyPath: ['sprintId', 'date'] });
+                store.createIndex('sprintId', 'sprintId');
+            }
+            if (event.oldVersion < TRACKER_DB_VERSION && db.objectStoreNames.contains(LEGACY_BURNDOWN_STORE)) {
+                const upgrade = request.transaction;
+                const legacy = upgrade.objectStore(LEGACY_BURNDOWN_STORE).getAll();
+                legacy.onsuccess = () => {
+                    const store = upgrade.objectStore(BURNDOWN_STORE);
+                    legacy.result.forEach(point => store.put(point));
+                    db.deleteObjectStore(LEGACY_BURNDOWN_STORE);
+                };
+            }
+            if (!db.objectStoreNames.contains(SPRINT_ARCHIVE_STORE)) {
+                db.createObjectStore(SPRINT_ARCHIVE_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(DATA_CACHE_STORE)) {
+                db.createObjectStore(DATA_CACHE_STORE, { keyPath: 'workspaceId' });
+            }
+        };
+        request.onsuccess = () => {
+            clearTimeout(timer);
+            const db = request.result;
+            // Opened after giving up - a later call opens it again
+            if (settled) {
+                db.close();
+                return;
+            }
+            settled = true;
+            // Let a newer version of the tracker in another tab upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                _trackerDbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            clearTimeout(timer);
+            if (settled) return;
+            settled = true;
+            console.warn('[History] IndexedDB unavailable:', request.error);
+            resolve(null);
+        };
+    });
+    return _trackerDbPromise;
+}
+
+/**
+ * Read every record of a store, optionally through an index
+ * @returns {Promise<object[]>} Empty when IndexedDB is unavailable
+ */
+async function idbGetAll(storeName, indexName = null, key = undefined) {
+    const db = await openTrackerDb();
+    if (!db) return [];
+    
+    return new Promise(resolve => {
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        const request = (indexName ? store.index(indexName) : store).getAll(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve([]);
+    });
+}
+
+/**
+ * Read one record by key
+ * @returns {Promise<object|null>} null when missing or IndexedDB is unavailable
+ */
+async function idbGet(storeName, key) {
+    const db = await openTrackerDb();
+    if (!db) return null;
+    
+    return new Promise(resolve => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+/**
+ * Insert or replace records in a store
+ * @returns {Promise<boolean>} false when IndexedDB is unavailable
+ */
+async function idbPutAll(storeName, records) {
+    const db = await openTrackerDb();
+    if (!db) return false;
+    
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return true;
+}
+
+/**
+ * Delete the records of a store that match a test
+ * @returns {Promise<boolean>} false when IndexedDB is unavailable
+ */
+async function idbDeleteWhere(storeName, test) {
+    const db = await openTrackerDb();
+    if (!db) return false;
+    
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const request = tx.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (test(cursor.value)) cursor.delete();
+            cursor.continue();
+        };
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return true;
+}
+
+/**
+ * Forget a deleted workspace's cached data, burndown points and sprint archive
+ */
+async function deleteWorkspaceHistory(workspaceId) {
+    const suffix = `@${workspaceId}`;
+    try {
+        await idbDeleteWhere(DATA_CACHE_STORE, record => record.workspaceId === workspaceId);
+        await idbDeleteWhere(BURNDOWN_STORE, point => String(point.sprintId).endsWith(suffix));
+        await idbDeleteWhere(SPRINT_ARCHIVE_STORE, record => record.workspaceId === workspaceId || String(record.key).endsWith(suffix));
+    } catch (e) {
+        console.warn('[History] Failed to delete workspace history:', e);
+    }
+}
+
+// =============================================
+// BURNDOWN SNAPSHOTS
+// =============================================
+// One point per sprint per day: remaining / completed / total estimated
+// hours, seeded from takeDataSnapshot(). The last load of the day wins.
+// =============================================
+
+let _burndownSnapshots = []; // Stored points for the current sprint, sorted by date
+
+/**
+ * Key snapshots by sprint so each sprint keeps its own history
+ */
+function getBurndownSprintId() {
+    if (!appData.project || !appData.project.startDate || !appData.project.endDate) return null;
+    // Workspaces keep separate histories even when their sprint ids collide
+    if (appData.project.id) return workspaceKey(appData.project.id); // SPRINTS sheet id
+    return workspaceKey(`${sanitizeId(appData.project.name || 'sprint')}_${appData.project.startDate}_${appData.project.endDate}`);
+}
+
+/**
+ * Build a burndown point from a data snapshot
+ * @param {object} snapshot - Result of takeDataSnapshot()
+ * @param {string} date - YYYY-MM-DD the point belongs to
+ * @returns {object|null} { sprintId, date, scopeHours, completedHours, remainingHours, ... }
+ */
+function buildBurndownPoint(snapshot, date) {
+    const sprintId = getBurndownSprintId();
+    if (!snapshot || !sprintId) return null;
+    
+    const scopeHours = snapshot.tasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+    const completedHours = snapshot.tasks
+        .filter(t => t.completed)
+        .reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+    
+    return {
+        sprintId,
+        date,
+        timestamp: snapshot.timestamp,
+        taskCount: snapshot.taskCount,
+        completedCount: snapshot.completedCount,
+        scopeHours,
+        completedHours,
+        remainingHours: scopeHours - completedHours
+    };
+}
+
+/**
+ * Load stored points for a sprint
+ * @returns {Promise<object[]>} Points sorted by date
+ */
+async function loadBurndownSnapshots(sprintId) {
+    if (!sprintId) return [];
+    const points = await idbGetAll(BURNDOWN_STORE, 'sprintId', sprintId);
+    return points.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Persist today's point for the current sprint, then redraw the charts.
+ * Only days inside the sprint are recorded.
+ */
+async function recordBurndownSnapshot() {
+    const today = getTodayLocalDate();
+    const sprintId = getBurndownSprintId();
+    if (!sprintId) return;
+    
+    try {
+        const inSprint = today >= appData.project.startDate && today <= appData.project.endDate;
+        const point = inSprint ? buildBurndownPoint(takeDataSnapshot(), today) : null;
+        if (point) await idbPutAll(BURNDOWN_STORE, [point]);
+        
+        _burndownSnapshots = await loadBurndownSnapshots(sprintId);
+    } catch (e) {
+        console.warn('[Burndown] Failed to record snapshot:', e);
+    }
+    
+    renderDesktopBurndownMini();
+    renderDesktopBurndownChart();
+    updateBurndownChart();
+}
+
+/**
+ * Stored points plus a live point for today, so the charts reflect the
+ * loaded data even before (or without) IndexedDB.
+ * @returns {object[]} Points for the current sprint, sorted by date
+ */
+function getBurndownPoints() {
+    const sprintId = getBurndownSprintId();
+    const points = _burndownSnapshots.filter(p => p.sprintId === sprintId);
+    const timeState = getSprintTimeState();
+    
+    if (timeState.isValid && !timeState.isNotStarted && !timeState.isComplete) {
+        const live = buildBurndownPoint(takeDataSnapshot(), timeState.today);
+        if (live) {
+            const idx = points.findIndex(p => p.date === live.date);
+            if (idx >= 0) points[idx] = live;
+            else points.push(live);
+        }
+    }
+    return points.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Date after advancing a number of team working days past a start date
+ */
+function addWorkingDays(dateStr, workingDays) {
+    const date = new Date(dateStr + 'T00:00:00');
+    let added = 0;
+    // Cap the walk so a calendar with no working days cannot loop forever
+    for (let guard = 0; added < workingDays && guard < 3660; guard++) {
+        date.setDate(date.getDate() + 1);
+        const str = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        if (isWorkingDay(str)) added++;
+    }
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Burndown model for the current sprint
+ * Ideal burns the starting scope evenly across working days; the
+ * projection extends the observed burn rate from the latest point.
+ * @returns {object|null} { dates, points, scopeHours, idealScope, burnRate, projectedFinish, scopeChanges, ... }
+ */
+function computeBurndownSeries() {
+    const timeState = getSprintTimeState();
+    if (!timeState.isValid || timeState.totalWorkingDays === 0 || !appData.tasks) return null;
+    
+    const dates = generateDateRange(timeState.sprintStart, timeState.sprintEnd);
+    const points = getBurndownPoints();
+    const latest = points[points.length - 1] || buildBurndownPoint(takeDataSnapshot(), timeState.today);
+    if (!latest) return null;
+    
+    const idealScope = points.length > 0 ? points[0].scopeHours : latest.scopeHours;
+    
+    // Scope changes between consecutive points
+    const scopeChanges = [];
+    for (let i = 1; i < points.length; i++) {
+        const delta = points[i].scopeHours - points[i - 1].scopeHours;
+        if (delta !== 0) scopeChanges.push({ date: points[i].date, delta });
+    }
+    
+    // Burn rate: completed hours per working day between the first and latest
+    // points, or since sprint start while there is only one point
+    let burnRate = 0;
+    const first = points[0];
+    if (first && latest.date > first.date) {
+        const elapsed = getWorkingDays(first.date, latest.date) - 1;
+        if (elapsed > 0) burnRate = (latest.completedHours - first.completedHours) / elapsed;
+    } else if (latest.date >= timeState.sprintStart) {
+        const elapsed = getWorkingDays(timeState.sprintStart, latest.date);
+        if (elapsed > 0) burnRate = latest.completedHours / elapsed;
+    }
+    
+    let projectedFinish = null;
+    if (latest.remainingHours <= 0) {
+        projectedFinish = latest.date;
+    } else if (burnRate > 0) {
+        projectedFinish = addWorkingDays(latest.date, Math.ceil(latest.remainingHours / burnRate));
+    }
+    
+    return {
+        dates,
+        points,
+        latest,
+        idealScope,
+        scopeHours: latest.scopeHours,
+        totalWorkingDays: timeState.totalWorkingDays,
+        scopeChanges,
+        burnRate,
+        projectedFinish,
+        isLate: !!projectedFinish && projectedFinish > timeState.sprintEnd
+    };
+}
+
+// =============================================
+// BURNDOWN MINI CHART
+// =============================================
+
+function renderDesktopBurndownMini() {
+    const container = document.getElementById('burndown-mini');
+    const subtitle = document.getElementById('burndown-subtitle');
+    if (!container || !appData.project || !appData.tasks) return;
+    
+    const series = computeBurndownSeries();
+    if (!series) return;
+    
+    // One bar per working day: actual remaining where a snapshot exists, ideal otherwise
+    const pointByDate = new Map(series.points.map(p => [p.date, p]));
+    const maxHours = Math.max(series.idealScope, ...series.points.map(p => p.scopeHours), 1);
+    let worked = 0;
+    
+    const bars = series.dates.filter(d => isWorkingDay(d)).map(d => {
+        worked++;
+        const point = pointByDate.get(d);
+        const idealRemaining = series.idealScope * (1 - worked / series.totalWorkingDays);
+        const height = point ? (point.remainingHours / maxHours) * 100 : (idealRemaining / maxHours) * 100;
+        const tip = point
+            ? `${formatDate(d)}: ${Math.round(point.remainingHours)}h remaining`
+            : `${formatDate(d)}: ${Math.round(idealRemaining)}h ideal`;
+        return `<div class="burndown-bar ${point ? 'completed' : 'ideal'}" style="height: ${Math.max(height, point ? 5 : 2)}%;" title="${tip}"></div>`;
+    }).join('');
+    
+    container.innerHTML = `<div class="burndown-mini-chart">${bars}</div>`;
+    
+    if (subtitle) {
+        const finish = series.projectedFinish
+            ? (series.latest.remainingHours <= 0 ? 'all work done' : `projected ${formatDate(series.projectedFinish)}`)
+            : 'no burn yet';
+        subtitle.textContent = `${Math.round(series.latest.remainingHours)}h remaining • ${finish}`;
+    }
+}
+
+// =============================================
+// BURNDOWN / BURNUP CHART
+// =============================================
+
+/**
+ * Render the full sprint chart in burndown or burnup mode
+ * Burndown: ideal vs actual remaining hours with a projection to zero.
+ * Burnup: completed hours climbing towards the (changing) scope line.
+ */
+function renderDesktopBurndownChart() {
+    const container = document.getElementById('desktop-burndown-chart');
+    if (!container) return;
+    
+    const series = computeBurndownSeries();
+    if (!series) {
+        container.innerHTML = '<div class="burndown-chart-empty">Sprint dates are needed to draw the burndown.</div>';
+        return;
+    }
+    
+    const mode = desktopState.burndownMode;
+    const width = 640;
+    const height = 240;
+    const pad = { top: 16, right: 16, bottom: 28, left: 44 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const lastIndex = Math.max(series.dates.length - 1, 1);
+    const maxHours = Math.max(series.idealScope, ...series.points.map(p => p.scopeHours), 1) * 1.1;
+    const dateIndex = new Map(series.dates.map((d, i) => [d, i]));
+    
+    const x = i => Math.round(pad.left + (i / lastIndex) * plotW);
+    const y = hours => Math.round(pad.top + plotH - (Math.max(hours, 0) / maxHours) * plotH);
+    const line = coords => coords.map(([cx, cy], i) => `${i === 0 ? 'M' : 'L'}${cx},${cy}`).join(' ');
+    
+    // Ideal line follows working days, flat across weekends and holidays
+    let worked = 0;
+    const ideal = series.dates.map((d, i) => {
+        if (isWorkingDay(d)) worked++;
+        const fraction = worked / series.totalWorkingDays;
+        const hours = mode === 'burnup' ? series.scopeHours * fraction : series.idealScope * (1 - fraction);
+        return [x(i), y(hours)];
+    });
+    
+    const actualPoints = series.points.filter(p => dateIndex.has(p.date));
+    const actual = actualPoints.map(p => [
+        x(dateIndex.get(p.date)),
+        y(mode === 'burnup' ? p.completedHours : p.remainingHours)
+    ]);
+    
+    // Projection from the latest point at the observed burn rate
+    let projection = '';
+    const latestIdx = dateIndex.get(series.latest.date);
+    if (series.projectedFinish && latestIdx !== undefined && series.latest.remainingHours > 0) {
+        const finishIdx = dateIndex.has(series.projectedFinish) ? dateIndex.get(series.projectedFinish) : lastIndex;
+        const daysToEnd = getWorkingDays(series.latest.date, series.dates[finishIdx]) - 1;
+        const burned = Math.min(series.burnRate * daysToEnd, series.latest.remainingHours);
+        const endHours = mode === 'burnup'
+            ? series.latest.completedHours + burned
+            : series.latest.remainingHours - burned;
+        projection = `<path class="burndown-projection" d="M${x(latestIdx)},${y(mode === 'burnup' ? series.latest.completedHours : series.latest.remainingHours)} L${x(finishIdx)},${y(endHours)}"></path>`;
+    }
+    
+    // Burnup scope line steps with each recorded scope change
+    const scopeLine = mode === 'burnup' && actualPoints.length > 0
+        ? `<path class="burndown-scope-line" d="${line([
+            [x(0), y(actualPoints[0].scopeHours)],
+            ...actualPoints.flatMap((p, i) => {
+                const cx = x(dateIndex.get(p.date));
+                const prev = i > 0 ? actualPoints[i - 1].scopeHours : p.scopeHours;
+                return [[cx, y(prev)], [cx, y(p.scopeHours)]];
+            }),
+            [x(lastIndex), y(series.scopeHours)]
+        ])}"></path>`
+        : '';
+    
+    const scopeMarkers = series.scopeChanges.filter(c => dateIndex.has(c.date)).map(c => {
+        const cx = x(dateIndex.get(c.date));
+        const label = `${c.delta > 0 ? '+' : ''}${Math.round(c.delta)}h`;
+        return `<g class="burndown-scope-marker ${c.delta > 0 ? 'is-added' : 'is-removed'}">
+            <line x1="${cx}" y1="${pad.top}" x2="${cx}" y2="${pad.top + plotH}"></line>
+            <text x="${cx + 3}" y="${pad.top + 10}">${label}</text>
+            <title>Scope ${c.delta > 0 ? 'added' : 'removed'} on ${formatDate(c.date)}: ${label}</title>
+        </g>`;
+    }).join('');
+    
+    const todayIdx = dateIndex.get(getTodayLocalDate());
+    const todayMarker = todayIdx !== undefined
+        ? `<line class="burndown-today" x1="${x(todayIdx)}" y1="${pad.top}" x2="${x(todayIdx)}" y2="${pad.top + plotH}"></line>`
+        : '';
+    
+    // Y gridlines in quarters, X labels about once a week
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(f => {
+        const hours = Math.round((maxHours / 1.1) * f);
+        return `<line class="burndown-grid" x1="${pad.left}" y1="${y(hours)}" x2="${width - pad.right}" y2="${y(hours)}"></line>
+            <text class="burndown-axis-label" x="${pad.left - 6}" y="${y(hours) + 4}" text-anchor="end">${hours}h</text>`;
+    }).join('');
+    const labelEvery = Math.max(1, Math.ceil(series.dates.length / 8));
+    const xLabels = series.dates.map((d, i) => (i % labelEvery === 0 || i === lastIndex)
+        ? `<text class="burndown-axis-label" x="${x(i)}" y="${height - 8}" text-anchor="middle">${formatDate(d)}</text>`
+        : '').join('');
+    
+    const dots = actualPoints.map((p, i) => `<circle class="burndown-actual-dot" cx="${actual[i][0]}" cy="${actual[i][1]}" r="3">
+            <title>${formatDate(p.date)}: ${Math.round(p.remainingHours)}h remaining, ${Math.round(p.completedHours)}h done of ${Math.round(p.scopeHours)}h</title>
+        </circle>`).join('');
+    
+    let finishText;
+    if (series.latest.remainingHours <= 0) {
+        finishText = 'All estimated work is done';
+    } else if (!series.projectedFinish) {
+        finishText = 'Projected finish: no completed work yet';
+    } else {
+        finishText = `Projected finish: ${formatDate(series.projectedFinish)}${series.isLate ? ' — after sprint end' : ' — on track'}`;
+    }
+    
+    container.innerHTML = `
+        <svg class="burndown-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Sprint ${mode} chart">
+            ${grid}
+            ${xLabels}
+            ${todayMarker}
+            ${scopeMarkers}
+            ${scopeLine}
+            <path class="burndown-ideal-line" d="${line(ideal)}"></path>
+            ${projection}
+            ${actual.length > 1 ? `<path class="burndown-actual-line" d="${line(actual)}"></path>` : ''}
+            ${dots}
+        </svg>
+        <div class="burndown-chart-footer">
+            <div class="burndown-legend">
+                <span class="burndown-legend-item"><span class="burndown-swatch is-ideal"></span>Ideal</span>
+                <span class="burndown-legend-item"><span class="burndown-swatch is-actual"></span>${mode === 'burnup' ? 'Completed' : 'Remaining'}</span>
+                ${mode === 'burnup' ? '<span class="burndown-legend-item"><span class="burndown-swatch is-scope"></span>Scope</span>' : ''}
+                <span class="burndown-legend-item"><span class="burndown-swatch is-projection"></span>Projection</span>
+            </div>
+            <span class="burndown-finish ${series.isLate ? 'is-late' : ''}">${finishText}</span>
+        </div>
+    `;
+}
+
+/**
+ * Toggle between burndown and burnup views
+ */
+function initializeBurndownToggle() {
+    const buttons = document.querySelectorAll('.burndown-mode-btn');
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            desktopState.burndownMode = btn.dataset.mode;
+            buttons.forEach(b => b.classList.toggle('active', b === btn));
+            renderDesktopBurndownChart();
+        });
+    });
+}
+
+// =============================================
+// SPRINT ARCHIVE & REPORTS
+// =============================================
+// Each sprint that has started is archived (normalized tasks and
+// milestones) under its name and dates, so history survives the sheet
+// moving on to the next sprint. A running sprint is refreshed on every
+// load; the first load after it ends writes a final record that later
+// loads never overwrite.
+// =============================================
+
+const VELOCITY_WINDOW = 3; // Sprints in the rolling velocity average
+let _sprintArchive = []; // Archived sprints, oldest first
+
+function getSprintArchiveKey(project) {
+    return workspaceKey(`${project.name || 'Sprint'}|${project.startDate}|${project.endDate}`);
+}
+
+/**
+ * Snapshot one sprint for the archive
+ * @param {object} scope - { project, tasks, milestones }
+ * @returns {object} Archive record
+ */
+function buildSprintArchiveRecord({ project, tasks, milestones }) {
+    const sumHours = list => list.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+    return {
+        key: getSprintArchiveKey(project),
+        workspaceId: getActiveWorkspaceId(),
+        name: project.name || 'Sprint',
+        startDate: project.startDate,
+        endDate: project.endDate,
+        archivedAt: Date.now(),
+        final: project.endDate < getTodayLocalDate(),
+        project: { ...project },
+        tasks: tasks.map(t => ({ ...t })),
+        milestones: milestones.map(m => ({ ...m })),
+        plannedHours: sumHours(tasks),
+        completedHours: sumHours(tasks.filter(t => t.completed)),
+        taskCount: tasks.length,
+        completedCount: tasks.filter(t => t.completed).length
+    };
+}
+
+/**
+ * Sprints in the loaded data that have started (every SPRINTS row, or
+ * the single SPRINT_CONFIG sprint)
+ * @returns {object[]} Scopes of { project, tasks, milestones }
+ */
+function getArchivableSprints() {
+    const today = getTodayLocalDate();
+    
+    if (appData.sprints && appData.sprints.length > 0) {
+        return appData.sprints
+            .filter(sprint => sprint.startDate <= today)
+            .map(sprint => getSprintScope(sprint));
+    }
+    
+    const project = appData.sprintConfig || appData.project;
+    if (!project || !project.startDate || project.startDate > today) return [];
+    return [{ project, tasks: appData.allTasks || appData.tasks || [], milestones: appData.allMilestones || appData.milestones || [] }];
+}
+
+/**
+ * Archive the loaded sprints and refresh the Reports section
+ */
+async function archiveSprints() {
+    try {
+        // Finished sprints keep the record written when they ended
+        const stored = await idbGetAll(SPRINT_ARCHIVE_STORE);
+        const finalKeys = new Set(stored.filter(record => record.final).map(record => record.key));
+        const records = getArchivableSprints()
+            .map(buildSprintArchiveRecord)
+            .filter(record => !finalKeys.has(record.key));
+        if (records.length > 0) await idbPutAll(SPRINT_ARCHIVE_STORE, records);
+        
+        // Records from before workspaces existed belong to the Default workspace
+        const workspaceId = getActiveWorkspaceId();
+        const updated = new Map(records.map(record => [record.key, record]));
+        const archive = stored
+            .filter(record => !updated.has(record.key))
+            .concat(records)
+            .filter(record => (record.workspaceId || DEFAULT_WORKSPACE_ID) === workspaceId);
+        _sprintArchive = archive.sort((a, b) => a.startDate.localeCompare(b.startDate));
+        console.log(`🗄️ Sprint archive: ${_sprintArchive.length} sprints`);
+    } catch (e) {
+        console.warn('[History] Failed to archive sprints:', e);
+    }
+    
+    renderDesktopReports();
+}
+
+/**
+ * Same piece of work in two sprints: matching Jira id, or same id and name
+ */
+function isSameArchivedTask(a, b) {
+    // Placeholders like "Not Provided" carry no digits and are not real ids
+    if (a.jiraId && b.jiraId && /\d/.test(a.jiraId)) return a.jiraId === b.jiraId;
+    return a.id === b.id && a.name === b.name;
+}
+
+/**
+ * Velocity and carry-over across archived sprints
+ * @returns {object[]} One row per sprint, oldest first
+ */
+function computeVelocityReport(archive = _sprintArchive) {
+    const today = getTodayLocalDate();
+    const finishedVelocities = [];
+    
+    return archive.map((record, index) => {
+        const finished = record.endDate < today;
+        if (finished) finishedVelocities.push(record.completedHours);
+        const recent = finishedVelocities.slice(-VELOCITY_WINDOW);
+        
+        // Unfinished tasks that show up again in the next sprint
+        const next = archive[index + 1];
+        const carriedOver = next
+            ? record.tasks.filter(t => !t.completed && next.tasks.some(n => isSameArchivedTask(t, n)))
+            : [];
+        
+        return {
+            ...record,
+            finished,
+            completionPercent: record.plannedHours > 0 ? Math.round((record.completedHours / record.plannedHours) * 100) : 0,
+            rollingVelocity: finished && recent.length > 0
+                ? Math.round(recent.reduce((sum, h) => sum + h, 0) / recent.length)
+                : null,
+            carriedOver,
+            carriedOverHours: carriedOver.reduce((sum, t) => sum + (t.estimatedHours || 0), 0),
+            nextName: next ? next.name : null
+        };
+    });
+}
+
+/**
+ * Render the Reports section: summary, planned vs completed chart,
+ * sprint history table and carry-over list
+ */
+function renderDesktopReports() {
+    const container = document.getElementById('desktop-reports');
+    if (!container) return;
+    
+    const rows = computeVelocityReport();
+    if (rows.length === 0) {
+        container.innerHTML = `
+            <div class="desktop-card">
+                <div class="reports-empty">
+                    <h3>No sprint history yet</h3>
+                    <p>Each sprint is archived in this browser once it starts. Velocity and carry-over appear after the first sprint finishes.</p>
+                </div>
+            </div>`;
+        return;
+    }
+    
+    const finished = rows.filter(r => r.finished);
+    const lastFinished = finished[finished.length - 1];
+    const avgVelocity = lastFinished ? lastFinished.rollingVelocity : null;
+    
+    const summary = `
+        <div class="desktop-metrics-grid reports-summary">
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Sprints Archived</span>
+                    <span class="metric-card-value">${rows.length}</span>
+                    <span class="metric-card-subtitle">${finished.length} finished</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Avg Velocity</span>
+                    <span class="metric-card-value">${avgVelocity !== null ? `${avgVelocity}h` : '—'}</span>
+                    <span class="metric-card-subtitle">Completed hours, last ${Math.min(VELOCITY_WINDOW, finished.length) || VELOCITY_WINDOW} sprints</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Last Sprint</span>
+                    <span class="metric-card-value">${lastFinished ? `${lastFinished.completionPercent}%` : '—'}</span>
+                    <span class="metric-card-subtitle">${lastFinished ? `${lastFinished.completedHours}h of ${lastFinished.plannedHours}h planned` : 'No finished sprint yet'}</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Carried Over</span>
+                    <span class="metric-card-value">${lastFinished ? lastFinished.carriedOver.length : '—'}</span>
+                    <span class="metric-card-subtitle">${lastFinished ? `${lastFinished.carriedOverHours}h into the next sprint` : 'Tasks moved to the next sprint'}</span>
+                </div>
+            </div>
+        </div>`;
+    
+    container.innerHTML = `
+        ${summary}
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Planned vs Completed</h3>
+                <div class="info-tooltip-wrap">
+                    <span class="info-tooltip-trigger">ⓘ</span>
+                    <div class="info-tooltip-popup">Estimated hours planned and completed per sprint. The line is the rolling ${VELOCITY_WINDOW}-sprint average velocity.</div>
+                </div>
+            </div>
+            <div class="desktop-card-content">${renderVelocityChart(rows.slice(-12))}</div>
+        </div>
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Sprint History</h3>
+            </div>
+            <div class="desktop-card-content">${renderSprintHistoryTable(rows)}</div>
+        </div>
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Carry-over</h3>
+                <div class="info-tooltip-wrap">
+                    <span class="info-tooltip-trigger">ⓘ</span>
+                    <div class="info-tooltip-popup">Unfinished tasks that reappear in the following sprint (matched by Jira id, or by task id and name).</div>
+                </div>
+            </div>
+            <div class="desktop-card-content">${renderCarryOverList(rows)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Grouped planned/completed bars with the rolling velocity line
+ */
+function renderVelocityChart(rows) {
+    const width = 640;
+    const height = 220;
+    const pad = { top: 16, right: 16, bottom: 36, left: 44 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const maxHours = Math.max(...rows.map(r => Math.max(r.plannedHours, r.completedHours)), 1) * 1.1;
+    const slot = plotW / rows.length;
+    const barW = Math.min(28, slot / 3);
+    
+    const y = hours => Math.round(pad.top + plotH - (hours / maxHours) * plotH);
+    const cx = i => pad.left + slot * i + slot / 2;
+    
+    const bars = rows.map((r, i) => `
+        <rect class="velocity-bar is-planned" x="${Math.round(cx(i) - barW - 1)}" y="${y(r.plannedHours)}" width="${Math.round(barW)}" height="${pad.top + plotH - y(r.plannedHours)}">
+            <title>${escapeHtml(r.name)}: ${r.plannedHours}h planned</title>
+        </rect>
+        <rect class="velocity-bar is-completed ${r.finished ? '' : 'is-running'}" x="${Math.round(cx(i) + 1)}" y="${y(r.completedHours)}" width="${Math.round(barW)}" height="${pad.top + plotH - y(r.completedHours)}">
+            <title>${escapeHtml(r.name)}: ${r.completedHours}h completed${r.finished ? '' : ' (in progress)'}</title>
+        </rect>
+        <text class="burndown-axis-label" x="${Math.round(cx(i))}" y="${height - 18}" text-anchor="middle">${formatDate(r.startDate)}</text>
+    `).join('');
+    
+    const velocityPoints = rows
+        .map((r, i) => r.rollingVelocity !== null ? `${Math.round(cx(i))},${y(r.rollingVelocity)}` : null)
+        .filter(Boolean);
+    const velocityLine = velocityPoints.length > 1
+        ? `<polyline class="velocity-line" points="${velocityPoints.join(' ')}"></polyline>`
+        : '';
+    
+    const grid = [0, 0.5, 1].map(f => {
+        const hours = Math.round((maxHours / 1.1) * f);
+        return `<line class="burndown-grid" x1="${pad.left}" y1="${y(hours)}" x2="${width - pad.right}" y2="${y(hours)}"></line>
+            <text class="burndown-axis-label" x="${pad.left - 6}" y="${y(hours) + 4}" text-anchor="end">${hours}h</text>`;
+    }).join('');
+    
+    return `
+        <svg class="burndown-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Planned versus completed hours per sprint">
+            ${grid}
+            ${bars}
+            ${velocityLine}
+        </svg>
+        <div class="burndown-legend">
+            <span class="burndown-legend-item"><span class="velocity-swatch is-planned"></span>Planned</span>
+            <span class="burndown-legend-item"><span class="velocity-swatch is-completed"></span>Completed</span>
+            <span class="burndown-legend-item"><span class="burndown-swatch is-velocity"></span>Rolling velocity</span>
+        </div>`;
+}
+
+function renderSprintHistoryTable(rows) {
+    const body = [...rows].reverse().map(r => `
+        <tr>
+            <td>
+                <div class="reports-sprint-name">${escapeHtml(r.name)}</div>
+                <div class="reports-sprint-dates">${formatDate(r.startDate)} - ${formatDate(r.endDate)}${r.finished ? '' : ' • In progress'}</div>
+            </td>
+            <td>${r.plannedHours}h</td>
+            <td>${r.completedHours}h</td>
+            <td>${r.completionPercent}%</td>
+            <td>${r.rollingVelocity !== null ? `${r.rollingVelocity}h` : '—'}</td>
+            <td>${r.carriedOver.length > 0 ? `${r.carriedOver.length} (${r.carriedOverHours}h)` : '—'}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="reports-table-wrap">
+            <table class="reports-table">
+                <thead>
+                    <tr><th>Sprint</th><th>Planned</th><th>Completed</th><th>Done</th><th>Avg Velocity</th><th>Carried Over</th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
+
+function renderCarryOverList(rows) {
+    const groups = rows.filter(r => r.carriedOver.length > 0).reverse();
+    if (groups.length === 0) {
+        return '<div class="reports-empty-inline">No tasks carried over between archived sprints.</div>';
+    }
+    
+    return groups.map(r => `
+        <div class="carryover-group">
+            <div class="carryover-heading">${escapeHtml(r.name)} → ${escapeHtml(r.nextName)}</div>
+            <ul class="carryover-list">
+                ${r.carriedOver.map(t => `
+                    <li>
+                        <span class="carryover-task">${escapeHtml(t.name)}</span>
+                        <span class="carryover-meta">${escapeHtml(getTaskOwnerLabel(t))} • ${t.estimatedHours || 0}h${t.jiraId ? ` • ${escapeHtml(t.jiraId)}` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+// =============================================
+// PORTFOLIO (ALL TEAMS)
+// =============================================
+// Each workspace is one team. Per-team metrics reuse the single-team
+// helpers by swapping that team's data into appData for the duration
+// of the calculation, then adding the results up.
+// =============================================
+
+const PORTFOLIO_DATA_FIELDS = ['project', 'teamMembers', 'tasks', 'milestones', 'holidays', 'sprints', 'selectedSprintId', 'sprintConfig', 'allTasks', 'allMilestones'];
+const PORTFOLIO_MILESTONE_LIMIT = 3; // Upcoming milestones per team
+
+/**
+ * Run fn with one team's data in appData, then restore the loaded team
+ * fn must be synchronous - nothing else may see the swapped data
+ */
+function withTeamData(teamData, fn) {
+    const saved = {};
+    PORTFOLIO_DATA_FIELDS.forEach(field => {
+        saved[field] = appData[field];
+        appData[field] = teamData[field];
+    });
+    memoCache.workingDays.clear(); // Holidays differ between teams
+    
+    try {
+        return fn();
+    } finally {
+        Object.assign(appData, saved);
+        memoCache.workingDays.clear();
+    }
+}
+
+/**
+ * Utilization, blockers and milestones for one team's selected sprint
+ * @param {object} team - Entry of portfolioData.teams
+ * @returns {object} Team summary
+ */
+function getTeamPortfolioSummary(team) {
+    return withTeamData(team.data, () => {
+        const capacity = getTeamSprintCapacity();
+        const tasks = appData.tasks || [];
+        const allocatedHours = tasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const today = getTodayLocalDate();
+        
+        return {
+            workspace: team.workspace,
+            project: appData.project,
+            capacity,
+            memberCount: appData.teamMembers.length,
+            taskCount: tasks.length,
+            completedCount: tasks.filter(t => t.completed).length,
+            blockedCount: tasks.filter(t =>
+                (t.status && t.status.toLowerCase().includes('blocked')) ||
+                (t.blockers && t.blockers.trim() !== '')
+            ).length,
+            allocatedHours: Math.round(allocatedHours * 10) / 10,
+            utilizationPercent: capacity.totalSprintHours > 0
+                ? Math.min(Math.round((allocatedHours / capacity.totalSprintHours) * 100), 999)
+                : 0,
+            upcomingMilestones: (appData.milestones || [])
+                .filter(m => m.status !== 'completed' && m.date >= today)
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .slice(0, PORTFOLIO_MILESTONE_LIMIT)
+                .map(m => ({ ...m, teamName: team.workspace.name })),
+            timeState: getSprintTimeState(),
+            // Owner names resolved now, while this team's members are loaded
+            tasks: tasks.map(t => ({ ...t, ownerLabel: getTaskOwnerLabel(t) }))
+        };
+    });
+}
+
+/**
+ * Add the per-team summaries up
+ * @param {object[]} summaries - getTeamPortfolioSummary() results
+ */
+function aggregatePortfolio(summaries) {
+    const sum = pick => summaries.reduce((total, s) => total + pick(s), 0);
+    const capacityHours = sum(s => s.capacity.totalSprintHours);
+    const allocatedHours = sum(s => s.allocatedHours);
+    
+    return {
+        teamCount: summaries.length,
+        memberCount: sum(s => s.memberCount),
+        taskCount: sum(s => s.taskCount),
+        completedCount: sum(s => s.completedCount),
+        blockedCount: sum(s => s.blockedCount),
+        capacityHours: Math.round(capacityHours * 10) / 10,
+        allocatedHours: Math.round(allocatedHours * 10) / 10,
+        utilizationPercent: capacityHours > 0 ? Math.min(Math.round((allocatedHours / capacityHours) * 100), 999) : 0,
+        upcomingMilestones: summaries
+            .flatMap(s => s.upcomingMilestones)
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * (Re)load every team and render the portfolio
+ */
+async function refreshPortfolio() {
+    const container = document.getElementById('desktop-portfolio');
+    if (container && !portfolioData.loadedAt) {
+        container.innerHTML = '<div class="desktop-card"><div class="reports-empty"><p>Loading all teams...</p></div></div>';
+    }
+    
+    const refreshBtn = document.getElementById('portfolio-refresh-btn');
+    if (refreshBtn) refreshBtn.disabled = true;
+    try {
+        await loadPortfolio();
+    } finally {
+        if (refreshBtn) refreshBtn.disabled = false;
+    }
+    renderDesktopPortfolio();
+}
+
+/**
+ * Workspaces were added or removed since the last portfolio load
+ */
+function isPortfolioStale() {
+    if (!portfolioData.loadedAt) return true;
+    const loadedIds = portfolioData.teams.map(team => team.workspace.id).join('|');
+    return loadedIds !== getWorkspaces().map(ws => ws.id).join('|');
+}
+
+/**
+ * Render the Portfolio section: totals, per-team table, upcoming
+ * milestones across teams and a Gantt grouped by team
+ */
+function renderDesktopPortfolio() {
+    const container = document.getElementById('desktop-portfolio');
+    if (!container || !portfolioData.loadedAt) return;
+    
+    const summaries = portfolioData.teams.filter(team => team.data).map(getTeamPortfolioSummary);
+    const failed = portfolioData.teams.filter(team => !team.data);
+    const totals = aggregatePortfolio(summaries);
     
-    const statusOrder = ['in-progress', 'todo', 'blocked', 'review', 'pending', 'completed'];
-    const statusLabels = {
-        'in-progress': 'In Progress',
-        'todo': 'To Do',
-        'blocked': 'Blocked',
-        'review': 'In Review',
-        'pending': 'Pending',
-        'completed': 'Completed'
-    };
+    const failedNotice = failed.length > 0 ? `
+        <div class="portfolio-failed">
+            ${failed.map(team => `<div><strong>${escapeHtml(team.workspace.name)}</strong> could not be loaded: ${escapeHtml(team.error)}</div>`).join('')}
+        </div>` : '';
     
-    container.innerHTML = statusOrder
-        .filter(status => statusGroups[status] > 0)
-        .map(status => {
-            const count = statusGroups[status];
-            const percent = Math.round((count / totalTasks) * 100);
-            return `
-                <div class="status-bar-row">
-                    <span class="status-bar-label">${statusLabels[status]}</span>
-                    <div class="status-bar-track">
-                        <div class="status-bar-fill status-${status}" style="width: ${percent}%;">
-                            ${percent > 10 ? `${percent}%` : ''}
-                        </div>
-                    </div>
-                    <span class="status-bar-count">${count}</span>
+    if (summaries.length === 0) {
+        container.innerHTML = `
+            ${failedNotice}
+            <div class="desktop-card">
+                <div class="reports-empty">
+                    <h3>No team data</h3>
+                    <p>Add a workspace per team and point each one at its sheet in Data Settings.</p>
                 </div>
-            `;
-        }).join('');
+            </div>`;
+        return;
+    }
+    
+    container.innerHTML = `
+        ${failedNotice}
+        <div class="desktop-metrics-grid reports-summary">
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Teams</span>
+                    <span class="metric-card-value">${totals.teamCount}</span>
+                    <span class="metric-card-subtitle">${totals.memberCount} people</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Utilization</span>
+                    <span class="metric-card-value">${totals.utilizationPercent}%</span>
+                    <span class="metric-card-subtitle">${totals.allocatedHours}h of ${totals.capacityHours}h capacity</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Blocked</span>
+                    <span class="metric-card-value">${totals.blockedCount}</span>
+                    <span class="metric-card-subtitle">of ${totals.taskCount} tasks</span>
+                </div>
+            </div>
+            <div class="desktop-metric-card">
+                <div class="metric-card-content">
+                    <span class="metric-card-label">Completed</span>
+                    <span class="metric-card-value">${totals.taskCount > 0 ? Math.round((totals.completedCount / totals.taskCount) * 100) : 0}%</span>
+                    <span class="metric-card-subtitle">${totals.completedCount} of ${totals.taskCount} tasks</span>
+                </div>
+            </div>
+        </div>
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Teams</h3>
+                <div class="info-tooltip-wrap">
+                    <span class="info-tooltip-trigger">ⓘ</span>
+                    <div class="info-tooltip-popup">Each team's selected sprint. Utilization is estimated hours over sprint capacity (bandwidth minus leaves and holidays).</div>
+                </div>
+            </div>
+            <div class="desktop-card-content">${renderPortfolioTeamTable(summaries)}</div>
+        </div>
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Upcoming Milestones</h3>
+            </div>
+            <div class="desktop-card-content">${renderPortfolioMilestones(totals.upcomingMilestones)}</div>
+        </div>
+        <div class="desktop-card">
+            <div class="desktop-card-header">
+                <h3>Timeline by Team</h3>
+            </div>
+            <div class="desktop-card-content">${renderPortfolioGantt(summaries)}</div>
+        </div>
+    `;
 }
 
-// =============================================
-// BURNDOWN MINI CHART
-// =============================================
-
-function renderDesktopBurndownMini() {
-    const container = document.getElementById('burndown-mini');
-    const subtitle = document.getElementById('burndown-subtitle');
-    if (!container || !appData.project || !appData.tasks) return;
-    
-    const timeState = getSprintTimeState();
-    if (!timeState.isValid || timeState.totalWorkingDays === 0) return;
+function renderPortfolioTeamTable(summaries) {
+    const body = summaries.map(s => {
+        const utilizationClass = s.utilizationPercent > 100 ? 'is-over' : s.utilizationPercent > 90 ? 'is-high' : '';
+        const sprintState = !s.timeState.isValid ? ''
+            : s.timeState.isComplete ? ' • Ended'
+            : s.timeState.isNotStarted ? ' • Not started'
+            : ` • ${s.timeState.remainingWorkingDays} days left`;
+        
+        return `
+            <tr>
+                <td>
+                    <div class="reports-sprint-name">${escapeHtml(s.workspace.name)}</div>
+                    <div class="reports-sprint-dates">${escapeHtml(s.project.name || 'Sprint')} • ${formatDate(s.project.startDate)} - ${formatDate(s.project.endDate)}${sprintState}</div>
+                </td>
+                <td>${s.memberCount}</td>
+                <td>${s.capacity.totalSprintHours}h</td>
+                <td>${s.allocatedHours}h</td>
+                <td>
+                    <div class="portfolio-utilization ${utilizationClass}">
+                        <div class="portfolio-utilization-track"><div class="portfolio-utilization-fill" style="width: ${Math.min(s.utilizationPercent, 100)}%"></div></div>
+                        <span>${s.utilizationPercent}%</span>
+                    </div>
+                </td>
+                <td>${s.blockedCount > 0 ? `<span class="portfolio-blocked">${s.blockedCount}</span>` : '0'}</td>
+                <td>${s.completedCount}/${s.taskCount}</td>
+            </tr>`;
+    }).join('');
     
-    const totalTasks = appData.tasks.length;
-    const completedTasks = appData.tasks.filter(t => t.completed).length;
-    const remainingTasks = totalTasks - completedTasks;
+    return `
+        <div class="reports-table-wrap">
+            <table class="reports-table">
+                <thead>
+                    <tr><th>Team</th><th>People</th><th>Capacity</th><th>Allocated</th><th>Utilization</th><th>Blocked</th><th>Done</th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
+
+function renderPortfolioMilestones(milestones) {
+    if (milestones.length === 0) {
+        return '<div class="reports-empty-inline">No upcoming milestones in the selected sprints.</div>';
+    }
     
-    // Simple burndown - show bars for each "segment" of the sprint
-    const segments = Math.min(timeState.totalWorkingDays, 10); // max 10 bars
-    const segmentSize = timeState.totalWorkingDays / segments;
+    return `
+        <ul class="carryover-list">
+            ${milestones.map(m => `
+                <li>
+                    <span class="carryover-task">${escapeHtml(m.title)}</span>
+                    <span class="carryover-meta">${escapeHtml(m.teamName)} • ${formatDate(m.date)}${m.progress ? ` • ${m.progress}%` : ''}</span>
+                </li>
+            `).join('')}
+        </ul>`;
+}
+
+/**
+ * Task bars for every team on one shared date axis, grouped by team
+ */
+function renderPortfolioGantt(summaries) {
+    const teams = summaries.filter(s => s.tasks.some(t => t.startDate && t.endDate));
+    if (teams.length === 0) {
+        return '<div class="reports-empty-inline">No dated tasks in the selected sprints.</div>';
+    }
     
-    const idealDecrement = totalTasks / segments;
+    const dated = teams.flatMap(s => s.tasks.filter(t => t.startDate && t.endDate));
+    const rangeStart = dated.reduce((min, t) => t.startDate < min ? t.startDate : min, dated[0].startDate);
+    const rangeEnd = dated.reduce((max, t) => t.endDate > max ? t.endDate : max, dated[0].endDate);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const toDay = date => Math.round((new Date(date + 'T00:00:00') - new Date(rangeStart + 'T00:00:00')) / dayMs);
+    const totalDays = toDay(rangeEnd) + 1;
+    const percent = days => `${Math.round((days / totalDays) * 10000) / 100}%`;
     
-    let bars = '';
-    for (let i = 0; i < segments; i++) {
-        const idealRemaining = Math.max(0, totalTasks - (idealDecrement * (i + 1)));
-        const idealHeight = totalTasks > 0 ? (idealRemaining / totalTasks) * 100 : 0;
-        
-        const isElapsed = (i + 1) * segmentSize <= timeState.currentDay;
-        const actualRemaining = isElapsed ? 
-            Math.max(0, remainingTasks + (completedTasks * ((segments - i - 1) / segments))) :
-            totalTasks * ((segments - i) / segments);
-        const actualHeight = totalTasks > 0 ? (actualRemaining / totalTasks) * 100 : 0;
+    const today = getTodayLocalDate();
+    const todayMarker = today >= rangeStart && today <= rangeEnd
+        ? `<div class="portfolio-gantt-today" style="left: ${percent(toDay(today) + 0.5)};"></div>`
+        : '';
+    
+    const groups = teams.map(s => {
+        const rows = s.tasks
+            .filter(t => t.startDate && t.endDate)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))
+            .map(t => {
+                const barClass = t.completed ? 'bar-completed' :
+                    (t.status && t.status.toLowerCase().includes('blocked')) ? 'bar-blocked' :
+                    (t.status && t.status.toLowerCase().includes('progress')) ? 'bar-in-progress' :
+                    (t.status && t.status.toLowerCase().includes('review')) ? 'bar-review' : 'bar-primary';
+                const tip = `${t.name}: ${formatDate(t.startDate)} - ${formatDate(t.endDate)} • ${t.ownerLabel}`;
+                
+                return `
+                    <div class="portfolio-gantt-row">
+                        <div class="portfolio-gantt-label">
+                            <span class="portfolio-gantt-task">${escapeHtml(t.name)}</span>
+                            <span class="portfolio-gantt-owner">${escapeHtml(t.ownerLabel)}</span>
+                        </div>
+                        <div class="portfolio-gantt-track">
+                            ${todayMarker}
+                            <div class="portfolio-gantt-bar ${barClass}" style="left: ${percent(toDay(t.startDate))}; width: ${percent(toDay(t.endDate) - toDay(t.startDate) + 1)};" data-tip="${escapeHtml(tip)}"></div>
+                        </div>
+                    </div>`;
+            }).join('');
         
-        bars += `<div class="burndown-bar ${isElapsed ? 'completed' : 'ideal'}" style="height: ${isElapsed ? Math.max(actualHeight, 5) : idealHeight}%;"></div>`;
-    }
-    
-    container.innerHTML = `<div class="burndown-mini-chart">${bars}</div>`;
+        return `
+            <div class="portfolio-gantt-group">
+                <div class="portfolio-gantt-team">${escapeHtml(s.workspace.name)} <span>${s.taskCount} tasks</span></div>
+                ${rows}
+            </div>`;
+    }).join('');
     
-    if (subtitle) {
-        const velocity = timeState.currentDay > 0 ? (completedTasks / timeState.currentDay).toFixed(1) : 0;
-        subtitle.textContent = `${remainingTasks} tasks remaining • ${velocity} tasks/day`;
-    }
+    return `
+        <div class="portfolio-gantt">
+            <div class="portfolio-gantt-axis">
+                <span>${formatDate(rangeStart)}</span>
+                <span>${formatDate(rangeEnd)}</span>
+            </div>
+            ${groups}
+        </div>`;
 }
 
 // =============================================
@@ -2214,14 +5256,7 @@ function renderDesktopTeamList() {
     const container = document.getElementById('desktop-team-list');
     if (!container || !appData.teamMembers) return;
     
-    const tasksByOwner = {};
-    if (appData.tasks) {
-        appData.tasks.forEach(task => {
-            const owner = task.owner || 'unassigned';
-            if (!tasksByOwner[owner]) tasksByOwner[owner] = [];
-            tasksByOwner[owner].push(task);
-        });
-    }
+    const tasksByOwner = getTasksByOwner();
     
     // Update member count badge
     const memberCountEl = document.getElementById('team-member-count');
@@ -2234,7 +5269,7 @@ function renderDesktopTeamList() {
         const totalTasks = memberTasks.length;
         const completedTasks = memberTasks.filter(t => t.completed).length;
         const activeTasks = memberTasks.filter(t => !t.completed).length;
-        const allocatedHours = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const allocatedHours = getMemberAllocatedHours(memberTasks, member.id);
         const sprintBandwidth = getSprintBandwidth(member);
         const utilizationPercent = sprintBandwidth > 0 ? Math.min(Math.round((allocatedHours / sprintBandwidth) * 100), 100) : 0;
         const gradient = getGradientForColorClass(member.colorClass);
@@ -2366,12 +5401,15 @@ function renderDesktopBandwidthOverview() {
 }
 
 // =============================================
-// TASKS - GRID & LIST VIEWS
+// TASKS - GRID, LIST & KANBAN VIEWS
 // =============================================
 
 function renderDesktopTasksView(tasks = null) {
-    renderDesktopTasksGrid(tasks);
-    renderDesktopTasksList(tasks);
+    // Re-renders (e.g. after a task edit) keep the filter bar applied
+    const tasksToRender = tasks || getDesktopFilteredTasks();
+    renderDesktopTasksGrid(tasksToRender);
+    renderDesktopTasksList(tasksToRender);
+    renderDesktopKanban(tasksToRender);
 }
 
 function renderDesktopTasksGrid(tasks = null) {
@@ -2398,9 +5436,8 @@ function renderDesktopTasksGrid(tasks = null) {
     }
     
     container.innerHTML = tasksToRender.map(task => {
-        const statusInfo = getStatusInfo(task.status, task.completed);
-        const member = getTeamMember(task.owner);
-        const ownerName = member ? member.name : (task.owner || 'Unassigned');
+        const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+        const ownerName = getTaskOwnerLabel(task);
         
         const badgeColors = {
             'success': 'background: #d1fae5; color: #047857;',
@@ -2411,7 +5448,7 @@ function renderDesktopTasksGrid(tasks = null) {
             'muted': 'background: #f3f4f6; color: #6b7280;'
         };
         
-        const badgeStyle = badgeColors[statusInfo.color] || badgeColors.secondary;
+        const badgeStyle = statusInfo.hex ? getVocabularyBadgeStyle(statusInfo.hex) : (badgeColors[statusInfo.color] || badgeColors.secondary);
         const normalizedStatus = normalizeTaskStatus(task.status, task.completed ? 'completed' : 'todo');
         const cardClass = task.completed ? 'completed' : 
                          task.priority === 'urgent' ? 'urgent' : 
@@ -2528,11 +5565,11 @@ function renderDesktopTasksList(tasks = null) {
             </thead>
             <tbody>
                 ${sorted.map(task => {
-                    const statusInfo = getStatusInfo(task.status, task.completed);
-                    const badgeStyle = badgeColors[statusInfo.color] || badgeColors.secondary;
-                    const member = getTeamMember(task.owner);
-                    const ownerName = member ? member.name : (task.owner || 'Unassigned');
-                    const prioColor = priorityColors[task.priority] || '#9ca3af';
+                    const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+                    const badgeStyle = statusInfo.hex ? getVocabularyBadgeStyle(statusInfo.hex) : (badgeColors[statusInfo.color] || badgeColors.secondary);
+                    const ownerName = getTaskOwnerLabel(task);
+                    const priorityDef = getTaskPriorityDefinition(task);
+                    const prioColor = hasCustomPriorities() ? priorityDef.color : (priorityColors[task.priority] || '#9ca3af');
                     const normalizedStatus = normalizeTaskStatus(task.status, task.completed ? 'completed' : 'todo');
                     const rowStatusClass = task.completed ? 'row-completed' : `row-${normalizedStatus}`;
                     
@@ -2544,7 +5581,7 @@ function renderDesktopTasksList(tasks = null) {
                             <td>
                                 <span class="table-priority-badge">
                                     <span class="table-priority-dot" style="background: ${prioColor};"></span>
-                                    ${escapeHtml(task.priority || 'normal')}
+                                    ${escapeHtml(hasCustomPriorities() ? priorityDef.label : (task.priority || 'normal'))}
                                 </span>
                             </td>
                             <td>${task.estimatedHours || '-'}h</td>
@@ -2574,6 +5611,246 @@ function sortDesktopTasks(field) {
     applyDesktopFilters();
 }
 
+// =============================================
+// KANBAN BOARD
+// =============================================
+// One column per status (STATUS_CONFIG, or the STATUSES tab), optional
+// swimlanes and per-column WIP limits. Dropping a card in another column
+// changes the task's status: saved through the write-back endpoint when one
+// is set, otherwise held as a pending change.
+// =============================================
+
+const KANBAN_STORAGE_KEY = 'fmb-kanban';
+
+const KANBAN_SWIMLANES = {
+    none: 'No swimlanes',
+    owner: 'Swimlanes: Owner',
+    bu: 'Swimlanes: BU',
+    priority: 'Swimlanes: Priority'
+};
+
+/**
+ * Swimlane choice and WIP limits of the active workspace
+ * @returns {{swimlane: string, wipLimits: Object<string, number>}} wipLimits by status id
+ */
+function getKanbanSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(workspaceKey(KANBAN_STORAGE_KEY)) || '{}');
+        return {
+            swimlane: KANBAN_SWIMLANES[saved.swimlane] ? saved.swimlane : 'none',
+            wipLimits: saved.wipLimits || {}
+        };
+    } catch (e) {
+        return { swimlane: 'none', wipLimits: {} };
+    }
+}
+
+function saveKanbanSettings(settings) {
+    try {
+        localStorage.setItem(workspaceKey(KANBAN_STORAGE_KEY), JSON.stringify(settings));
+    } catch (e) { /* storage unavailable - settings last for this session */ }
+}
+
+/**
+ * Group tasks into swimlanes, in a stable order
+ * @returns {Array<{key: string, label: string, tasks: Object[]}>}
+ */
+function getKanbanLanes(tasks, swimlane) {
+    if (swimlane === 'none') return [{ key: 'all', label: '', tasks }];
+    
+    let lanes;
+    let laneOf;
+    if (swimlane === 'owner') {
+        // Multi-owner tasks sit in their first owner's lane
+        lanes = (appData.teamMembers || []).map(m => ({ key: m.id, label: m.name }));
+        lanes.push({ key: 'unassigned', label: 'Unassigned' });
+        laneOf = task => lanes.some(lane => lane.key === task.owner) ? task.owner : 'unassigned';
+    } else if (swimlane === 'priority') {
+        lanes = getPriorityDefinitions().map(def => ({ key: def.id, label: def.label }));
+        laneOf = task => getTaskPriorityDefinition(task).id;
+    } else {
+        lanes = [...new Set(tasks.map(task => task.bu).filter(Boolean))].sort()
+            .map(bu => ({ key: bu, label: bu }));
+        lanes.push({ key: '', label: 'No BU' });
+        laneOf = task => task.bu || '';
+    }
+    
+    return lanes
+        .map(lane => ({ ...lane, tasks: tasks.filter(task => laneOf(task) === lane.key) }))
+        .filter(lane => lane.tasks.length > 0);
+}
+
+function renderKanbanCard(task, canDrag) {
+    const priorityDef = getTaskPriorityDefinition(task);
+    const isPending = typeof getPendingTaskChanges === 'function' && getPendingTaskChanges().some(entry => entry.taskId === task.id);
+    
+    return `
+        <div class="kanban-card${isPending ? ' is-pending' : ''}" data-task-id="${task.id}"${canDrag ? ' draggable="true"' : ''} onclick="showDesktopTaskDetail('${task.id}')">
+            <div class="kanban-card-title">${escapeHtml(task.name)}</div>
+            <div class="kanban-card-meta">
+                <span class="kanban-card-priority" style="background: ${priorityDef.color};" data-tip="${escapeHtml(priorityDef.label)}"></span>
+                <span class="kanban-card-owner">${escapeHtml(getTaskOwnerLabel(task))}</span>
+                ${task.estimatedHours ? `<span>${task.estimatedHours}h</span>` : ''}
+                ${task.endDate ? `<span>Due ${formatDate(task.endDate)}</span>` : ''}
+            </div>
+            ${isPending ? '<div class="kanban-card-pending">Unsaved change</div>' : ''}
+        </div>
+    `;
+}
+
+function renderDesktopKanban(tasks = null) {
+    const container = document.getElementById('desktop-tasks-kanban');
+    if (!container) return;
+    
+    const tasksToRender = tasks || appData.tasks || [];
+    const settings = getKanbanSettings();
+    const statuses = getStatusDefinitions();
+    const lanes = getKanbanLanes(tasksToRender, settings.swimlane);
+    const canDrag = appData.source !== 'demo';
+    
+    const swimlaneSelect = document.getElementById('desktop-kanban-swimlane');
+    if (swimlaneSelect) swimlaneSelect.value = settings.swimlane;
+    
+    // WIP counts every task of the sprint, not only the filtered ones
+    const wipCounts = {};
+    (appData.tasks || []).forEach(task => {
+        const id = getTaskStatusDefinition(task).id;
+        wipCounts[id] = (wipCounts[id] || 0) + 1;
+    });
+    
+    const columnHeaders = statuses.map(def => {
+        const limit = settings.wipLimits[def.id];
+        const count = wipCounts[def.id] || 0;
+        const isOver = limit && count > limit;
+        return `
+            <div class="kanban-column-header${isOver ? ' is-over-limit' : ''}" style="border-top-color: ${def.color};">
+                <span class="kanban-column-title">${escapeHtml(def.label)}</span>
+                <button type="button" class="kanban-wip" onclick="editKanbanWipLimit('${escapeHtml(def.id)}')" data-tip="${isOver ? `Over the WIP limit of ${limit}` : 'Set WIP limit'}">
+                    ${count}${limit ? ` / ${limit}` : ''}
+                </button>
+            </div>
+        `;
+    }).join('');
+    
+    const laneRows = lanes.map(lane => `
+        ${lane.label ? `<div class="kanban-lane-title" style="grid-column: 1 / -1;">${escapeHtml(lane.label)} <span>${lane.tasks.length}</span></div>` : ''}
+        ${statuses.map(def => {
+            const limit = settings.wipLimits[def.id];
+            const isOver = limit && (wipCounts[def.id] || 0) > limit;
+            const cards = lane.tasks.filter(task => getTaskStatusDefinition(task).id === def.id);
+            return `
+            <div class="kanban-cell${isOver ? ' is-over-limit' : ''}" data-status-id="${escapeHtml(def.id)}" data-lane="${escapeHtml(lane.key)}">
+                ${cards.map(task => renderKanbanCard(task, canDrag)).join('')}
+            </div>`;
+        }).join('')}
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="kanban-board" style="grid-template-columns: repeat(${statuses.length}, minmax(220px, 1fr));">
+            ${columnHeaders}
+            ${tasksToRender.length === 0 ? `<div class="kanban-empty" style="grid-column: 1 / -1;">No tasks found</div>` : laneRows}
+        </div>
+    `;
+}
+
+/**
+ * Drag and drop between columns, and the swimlane picker
+ * Listeners sit on the container, which keeps its element across re-renders
+ */
+function initializeKanban() {
+    const container = document.getElementById('desktop-tasks-kanban');
+    const swimlaneSelect = document.getElementById('desktop-kanban-swimlane');
+    if (!container) return;
+    
+    if (swimlaneSelect) {
+        swimlaneSelect.innerHTML = Object.keys(KANBAN_SWIMLANES)
+            .map(key => `<option value="${key}">${KANBAN_SWIMLANES[key]}</option>`).join('');
+        swimlaneSelect.addEventListener('change', () => {
+            saveKanbanSettings({ ...getKanbanSettings(), swimlane: swimlaneSelect.value });
+            applyDesktopFilters();
+        });
+    }
+    
+    let dragged = null;
+    
+    container.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('.kanban-card');
+        if (!card) return;
+        dragged = { taskId: card.dataset.taskId, lane: card.parentElement.dataset.lane };
+        card.classList.add('is-dragging');
+        e.dataTransfer.setData('text/plain', card.dataset.taskId);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    container.addEventListener('dragend', (e) => {
+        const card = e.target.closest('.kanban-card');
+        if (card) card.classList.remove('is-dragging');
+        container.querySelectorAll('.kanban-cell.is-drop-target').forEach(cell => cell.classList.remove('is-drop-target'));
+        dragged = null;
+    });
+    
+    // Cards change column (status) but stay in their own swimlane
+    const getDropCell = (e) => {
+        const cell = e.target.closest('.kanban-cell');
+        return cell && dragged && cell.dataset.lane === dragged.lane ? cell : null;
+    };
+    
+    container.addEventListener('dragover', (e) => {
+        const cell = getDropCell(e);
+        if (!cell) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        container.querySelectorAll('.kanban-cell.is-drop-target').forEach(c => { if (c !== cell) c.classList.remove('is-drop-target'); });
+        cell.classList.add('is-drop-target');
+    });
+    
+    container.addEventListener('drop', (e) => {
+        const cell = getDropCell(e);
+        if (!cell) return;
+        e.preventDefault();
+        cell.classList.remove('is-drop-target');
+        moveKanbanTask(dragged.taskId, cell.dataset.statusId);
+    });
+}
+
+/**
+ * Change a task's status from the board
+ */
+async function moveKanbanTask(taskId, statusId) {
+    const task = (appData.tasks || []).find(t => t.id === taskId);
+    if (!task || getTaskStatusDefinition(task).id === statusId) return;
+    
+    const statusLabel = (getStatusDefinitions().find(def => def.id === statusId) || {}).label || statusId;
+    try {
+        if (isWriteBackEnabled()) {
+            await updateTask(taskId, { status: statusId });
+            showToast(`"${task.name}" → ${statusLabel}`, 'success', 2000);
+        } else {
+            stageTaskChange(taskId, { status: statusId });
+        }
+    } catch (error) {
+        showToast(`Status not changed: ${error.message}`, 'error', 5000);
+    }
+}
+
+function editKanbanWipLimit(statusId) {
+    const def = getStatusDefinitions().find(d => d.id === statusId);
+    if (!def) return;
+    
+    const settings = getKanbanSettings();
+    const input = prompt(`WIP limit for "${def.label}" (leave blank for no limit)`, settings.wipLimits[statusId] || '');
+    if (input === null) return;
+    
+    const limit = parseInt(input, 10);
+    if (Number.isFinite(limit) && limit > 0) {
+        settings.wipLimits[statusId] = limit;
+    } else {
+        delete settings.wipLimits[statusId];
+    }
+    saveKanbanSettings(settings);
+    applyDesktopFilters();
+}
+
 // =============================================
 // BANDWIDTH GRID
 // =============================================
@@ -2582,20 +5859,16 @@ function renderDesktopBandwidthGrid() {
     const container = document.getElementById('desktop-bandwidth-grid');
     if (!container || !appData.teamMembers) return;
     
-    const tasksByOwner = {};
-    if (appData.tasks) {
-        appData.tasks.forEach(task => {
-            const owner = task.owner || 'unassigned';
-            if (!tasksByOwner[owner]) tasksByOwner[owner] = [];
-            tasksByOwner[owner].push(task);
-        });
-    }
+    const tasksByOwner = getTasksByOwner();
     
     container.innerHTML = appData.teamMembers.map(member => {
         const sprintBandwidth = getSprintBandwidth(member);
         const remainingBandwidth = getRemainingSprintBandwidth(member);
+        const { leaveHours } = appData.project
+            ? calculateMemberBandwidth(member, appData.project.startDate, appData.project.endDate)
+            : { leaveHours: 0 };
         const memberTasks = tasksByOwner[member.id] || [];
-        const allocatedHours = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const allocatedHours = getMemberAllocatedHours(memberTasks, member.id);
         const utilizationPercent = sprintBandwidth > 0 ? Math.round((allocatedHours / sprintBandwidth) * 100) : 0;
         const availableHours = Math.max(0, sprintBandwidth - allocatedHours);
         
@@ -2606,7 +5879,7 @@ function renderDesktopBandwidthGrid() {
                              utilizationPercent > 80 ? 'var(--warning)' : 'var(--success)';
         
         return `
-            <div class="desktop-bandwidth-card" data-tip="${escapeHtml(member.name)}: ${memberTasks.length} tasks, ${allocatedHours}h / ${sprintBandwidth}h capacity">
+            <div class="desktop-bandwidth-card" data-tip="${escapeHtml(member.name)}: ${memberTasks.length} tasks, ${allocatedHours}h / ${sprintBandwidth}h capacity${leaveHours > 0 ? ` (${leaveHours}h leave deducted)` : ''}">
                 <div class="bandwidth-card-header">
                     <div class="bandwidth-card-avatar" style="background: ${gradient};">
                         ${initials}
@@ -2883,7 +6156,7 @@ function renderDesktopSprintCalendar() {
             dayOfWeek,
             dayNum: date.getDate(),
             isToday: dateStr === todayStr,
-            isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
+            isWeekend: isWeekend(dateStr),
             taskCount: loadByDate[dateStr] || 0
         });
     });
@@ -2898,7 +6171,7 @@ function renderDesktopSprintCalendar() {
     const totalCompleted = appData.tasks ? appData.tasks.filter(t => t.completed).length : 0;
     const totalBlocked = appData.tasks ? appData.tasks.filter(t => normalizeTaskStatus(t.status) === 'blocked').length : 0;
     const totalInProgress = appData.tasks ? appData.tasks.filter(t => normalizeTaskStatus(t.status) === 'in-progress').length : 0;
-    const workingDatesCount = sprintDates.filter(d => !isWeekend(d)).length;
+    const workingDatesCount = sprintDates.filter(d => isWorkingDay(d)).length;
     const avgTasksPerDay = workingDatesCount > 0 ? (Object.values(loadByDate).reduce((a, b) => a + b, 0) / workingDatesCount).toFixed(1) : 0;
     const peakDay = Object.entries(loadByDate).sort((a, b) => b[1] - a[1])[0];
     const peakDayLabel = peakDay ? `${new Date(peakDay[0] + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} (${peakDay[1]} tasks)` : 'N/A';
@@ -2994,8 +6267,8 @@ function renderTeamAvailability() {
     const sprintDates = generateDateRange(appData.project.startDate, appData.project.endDate);
     const todayStr = getTodayLocalDate();
     
-    // Show all sprint working days (full sprint view)
-    const displayDates = sprintDates.filter(d => !isWeekend(d));
+    // Show every sprint day that at least one member works (full sprint view)
+    const displayDates = sprintDates.filter(d => appData.teamMembers.some(m => isScheduledDay(d, m)));
     
     if (displayDates.length === 0) {
         container.innerHTML = '<div style="text-align:center; padding: 24px; color: var(--text-muted);">No working days to display</div>';
@@ -3017,17 +6290,13 @@ function renderTeamAvailability() {
     appData.tasks.forEach(task => {
         if (!task.startDate || !task.endDate) return;
         const dates = generateDateRange(task.startDate, task.endDate);
-        const ownerId = task.owner;
+        const owners = getTaskOwners(task);
         dates.forEach(d => {
-            if (isWeekend(d)) return;
-            if (ownerId === 'both') {
-                appData.teamMembers.forEach(m => {
-                    if (!memberLoad[m.id]) memberLoad[m.id] = {};
-                    memberLoad[m.id][d] = (memberLoad[m.id][d] || 0) + 1;
-                });
-            } else if (memberLoad[ownerId]) {
-                memberLoad[ownerId][d] = (memberLoad[ownerId][d] || 0) + 1;
-            }
+            owners.forEach(({ id }) => {
+                if (memberLoad[id] && isScheduledDay(d, getTeamMember(id))) {
+                    memberLoad[id][d] = (memberLoad[id][d] || 0) + 1;
+                }
+            });
         });
     });
     
@@ -3055,6 +6324,7 @@ function renderTeamAvailability() {
                     <div class="team-avail-name" data-tip="${member.name}">${escapeHtml(member.name.split(' ')[0])}</div>
                     ${displayDates.map(d => {
                         const isPast      = d < todayStr;
+                        const isOffDay    = !isScheduledDay(d, member);
                         const isOnLeave   = leaveSet.has(d);
                         const isHalfDay   = !isOnLeave && halfDaySet.has(d);
                         const taskCount   = (memberLoad[member.id] && memberLoad[member.id][d]) || 0;
@@ -3063,7 +6333,11 @@ function renderTeamAvailability() {
                         let label = '';
                         let title = '';
                         
-                        if (isOnLeave) {
+                        if (isOffDay) {
+                            cellClass = 'avail-off';
+                            label = '–';
+                            title = `${member.name}: Not a working day`;
+                        } else if (isOnLeave) {
                             cellClass = 'avail-leave';
                             label = '🌴';
                             title = `${member.name}: On leave`;
@@ -3101,8 +6375,9 @@ function renderTeamAvailability() {
             <div class="team-avail-legend-item"><div class="team-avail-legend-dot" style="background: rgba(245, 158, 11, 0.35);"></div> On Leave</div>
             <div class="team-avail-legend-item"><div class="team-avail-legend-dot" style="background: linear-gradient(135deg, rgba(245,158,11,0.35) 50%, rgba(16,185,129,0.15) 50%);"></div> Half Day</div>
             <div class="team-avail-legend-item"><div class="team-avail-legend-dot" style="background: var(--gray-200);"></div> Past Day</div>
+            <div class="team-avail-legend-item"><div class="team-avail-legend-dot" style="background: repeating-linear-gradient(45deg, var(--gray-100), var(--gray-100) 3px, var(--gray-200) 3px, var(--gray-200) 6px);"></div> Day Off</div>
         </div>
-        <p class="team-avail-data-hint">To mark leaves, add a <strong>leaves</strong> column to your MEMBERS sheet with comma-separated dates (e.g. <code>2026-02-16,2026-02-17</code>). For half-days, add a <strong>half_days</strong> column with the same format.</p>
+        <p class="team-avail-data-hint">To mark leaves, add a <strong>leaves</strong> column to your MEMBERS sheet with comma-separated dates (e.g. <code>2026-02-16,2026-02-17</code>). For half-days, add a <strong>half_days</strong> column with the same format. Part-time schedules go in a <strong>work_days</strong> column (e.g. <code>Mon,Wed,Fri</code> or <code>Sun-Thu</code>).</p>
     `;
 }
 
@@ -3168,11 +6443,10 @@ function renderDesktopWeeklyBreakdown() {
                 <div style="margin-top: 10px; display: flex; flex-direction: column; gap: 4px;">
                     ${weekTasks.slice(0, 5).map(task => {
                         const ns = normalizeTaskStatus(task.status, task.completed ? 'completed' : 'todo');
-                        const dotColor = ns === 'completed' ? '#10b981' : ns === 'in-progress' ? '#3b82f6' : ns === 'blocked' ? '#ef4444' : ns === 'review' ? '#06b6d4' : '#9ca3af';
-                        const bgTint = ns === 'completed' ? 'rgba(16,185,129,0.06)' : ns === 'in-progress' ? 'rgba(59,130,246,0.05)' : ns === 'blocked' ? 'rgba(239,68,68,0.05)' : ns === 'review' ? 'rgba(6,182,212,0.05)' : 'var(--card-bg)';
-                        const member = getTeamMember(task.owner);
-                        const ownerLabel = member ? member.name : (task.owner || '');
-                        const statusInfo = getStatusInfo(task.status, task.completed);
+                        const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+                        const dotColor = statusInfo.hex || (ns === 'completed' ? '#10b981' : ns === 'in-progress' ? '#3b82f6' : ns === 'blocked' ? '#ef4444' : ns === 'review' ? '#06b6d4' : '#9ca3af');
+                        const bgTint = statusInfo.hex ? `${statusInfo.hex}0f` : ns === 'completed' ? 'rgba(16,185,129,0.06)' : ns === 'in-progress' ? 'rgba(59,130,246,0.05)' : ns === 'blocked' ? 'rgba(239,68,68,0.05)' : ns === 'review' ? 'rgba(6,182,212,0.05)' : 'var(--card-bg)';
+                        const ownerLabel = getTaskOwnerLabel(task);
                         return `
                         <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 10px; background: ${bgTint}; border-left: 3px solid ${dotColor}; border-radius: 6px; cursor: pointer; font-size: 0.82rem;" onclick="showDesktopTaskDetail('${task.id}')">
                             <div style="display:flex;align-items:center;gap:8px;overflow:hidden;flex:1;">
@@ -3231,6 +6505,18 @@ function updateLegend() {
         </div>
     `;
     
+    // Dependencies (only when the TASKS sheet uses depends_on)
+    if ((appData.tasks || []).some(t => t.dependsOn && t.dependsOn.length > 0)) {
+        legendHTML += `
+            <div class="legend-item">
+                <div class="legend-color" style="background:transparent;border:2px solid #f59e0b;"></div>Critical Path
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background:transparent;border:2px dashed #ef4444;"></div>Starts Before Dependency Ends
+            </div>
+        `;
+    }
+    
     legend.innerHTML = legendHTML;
 }
 
@@ -3323,7 +6609,6 @@ function addToolbar() {
                 <select class="toolbar-select" data-filter="owner" aria-label="Filter by owner">
                     <option value="all">All Owners</option>
                     ${ownerOptions}
-                    <option value="both">Both</option>
                 </select>
                 <select class="toolbar-select" data-filter="priority" aria-label="Filter by priority">
                     <option value="all">All Priorities</option>
@@ -3454,8 +6739,8 @@ function renderExecutiveDashboard() {
     // Render status breakdown
     renderStatusBreakdown();
     
-    // Update burndown chart (simplified version)
-    updateBurndownChart(progressPercent);
+    // Update burndown chart
+    updateBurndownChart();
 }
 
 function renderStatusBreakdown() {
@@ -3503,11 +6788,14 @@ function renderStatusBreakdown() {
     statusBars.innerHTML = statusItems;
 }
 
-function updateBurndownChart(progressPercent) {
+function updateBurndownChart() {
     const burndownLine = document.querySelector('.burndown-line');
     if (burndownLine) {
-        // Simulate burndown progress (in real app, this would be calculated from actual data)
-        const remainingWork = 100 - progressPercent;
+        // Share of estimated hours still open
+        const series = computeBurndownSeries();
+        const remainingWork = series && series.scopeHours > 0
+            ? Math.round((series.latest.remainingHours / series.scopeHours) * 100)
+            : 0;
         burndownLine.style.width = `${remainingWork}%`;
     }
 }
@@ -3789,15 +7077,15 @@ function renderVisibleRows(startRow) {
     const content = virtualScrollState.viewport.querySelector('.gantt-virtual-content');
     if (!content) return;
     
-    // Calculate date range (reuse existing logic)
-    const dates = generateDateRange(appData.project.startDate, appData.project.endDate);
-    const dateCount = dates.length;
+    // Same columns as the full chart at the current zoom level
+    const zoom = getGanttZoom();
+    const columns = getGanttColumns(appData.project.startDate, appData.project.endDate, zoom);
     
     // Generate HTML for visible rows only
     const visibleRowsHtml = visibleTasks.map((task, index) => {
         const actualIndex = startRow + index;
         // Reuse existing row rendering logic but for specific task
-        return generateGanttRowHtml(task, dates, dateCount, actualIndex);
+        return generateGanttRowHtml(task, columns, zoom, actualIndex);
     }).join('');
     
     // Update content transform to show correct position
@@ -3806,10 +7094,10 @@ function renderVisibleRows(startRow) {
     content.innerHTML = visibleRowsHtml;
 }
 
-function generateGanttRowHtml(task, dates, dateCount, rowIndex) {
+function generateGanttRowHtml(task, columns, zoom, rowIndex) {
     // Simplified version of the existing row generation logic
+    const ownerName = getTaskOwnerLabel(task);
     const member = getTeamMember(task.owner);
-    const ownerName = task.owner === 'both' ? 'Both' : (member ? member.name : task.owner);
     
     let startDateFormatted = 'No date';
     let endDateFormatted = '';
@@ -3822,25 +7110,25 @@ function generateGanttRowHtml(task, dates, dateCount, rowIndex) {
     }
     
     // Get status and priority styling
-    const statusInfo = getStatusInfo(task.status, task.completed);
+    const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
     const priorityInfo = getPriorityInfo(task.priority);
     
-    let rowHtml = `<div class="gantt-row ${statusInfo.class} ${priorityInfo.class}" style="grid-template-columns: 220px repeat(${dateCount}, minmax(30px, 1fr));" tabindex="0" data-row-index="${rowIndex}">
+    let rowHtml = `<div class="gantt-row ${statusInfo.class} ${priorityInfo.class}" style="grid-template-columns: ${getGanttGridTemplate(columns, zoom)};" tabindex="0" data-row-index="${rowIndex}">
         <div class="gantt-task-name">
             <span class="gantt-task-title">${escapeHtml(task.name)}</span>
             <span class="gantt-task-owner">${escapeHtml(ownerName)} • ${dateInfo}</span>
         </div>`;
     
     // Add cells (simplified for virtual scrolling)
-    dates.forEach(date => {
-        const isWE = isWeekend(date);
-        const isHol = isHoliday(date);
-        const isToday = date === getTodayLocalDate(); // Use canonical local date
+    const markers = getGanttMarkers(columns[0].start, columns[columns.length - 1].end);
+    columns.forEach(column => {
         const cellClasses = ['gantt-cell'];
-        if (isWE || isHol) cellClasses.push('weekend');
-        if (isToday) cellClasses.push('today');
+        if (zoom === 'day') {
+            if (!isWorkingDay(column.start, member)) cellClasses.push('weekend'); // Owner's day off or holiday
+            if (column.start === getTodayLocalDate()) cellClasses.push('today'); // Use canonical local date
+        }
         
-        rowHtml += `<div class="${cellClasses.join(' ')}"></div>`;
+        rowHtml += `<div class="${cellClasses.join(' ')}">${renderGanttMarkers(column, markers)}</div>`;
     });
     
     rowHtml += '</div>';
@@ -3993,6 +7281,15 @@ function handleOverlayAction(action) {
                 });
             }
             break;
+        case 'import-files':
+            if (typeof openFileImport === 'function') openFileImport();
+            break;
+        case 'settings':
+            if (typeof openSheetSettings === 'function') openSheetSettings();
+            break;
+        case 'data-health':
+            openDataHealth();
+            break;
         case 'fullscreen':
             if (typeof toggleFullscreen === 'function') {
                 toggleFullscreen();
@@ -4335,8 +7632,9 @@ function renderMobileTeam() {
     const taskCountByOwner = {};
     if (appData.tasks) {
         appData.tasks.forEach(task => {
-            const owner = task.owner || 'unassigned';
-            taskCountByOwner[owner] = (taskCountByOwner[owner] || 0) + 1;
+            getTaskOwners(task).forEach(({ id }) => {
+                taskCountByOwner[id] = (taskCountByOwner[id] || 0) + 1;
+            });
         });
     }
     
@@ -4600,7 +7898,7 @@ function renderMobileTasks() {
                                     <span class="task-status-badge status-${status}">${status}</span>
                                 </div>
                                 <div class="task-details">
-                                    <span class="task-owner">${escapeHtml(task.owner || 'Unassigned')}</span>
+                                    <span class="task-owner">${escapeHtml(getTaskOwnerLabel(task))}</span>
                                     ${task.estimatedHours ? `<span class="task-hours">${task.estimatedHours}h</span>` : ''}
                                     ${task.endDate ? `<span class="task-due">Due: ${formatDate(task.endDate)}</span>` : ''}
                                 </div>
@@ -4668,6 +7966,80 @@ function renderMobileMilestones() {
 // MOBILE TIMELINE VISUALIZATION
 // Shows task distribution across sprint timeline
 // =============================================
+/**
+ * Task bars on the sprint timeline, at the same zoom level as the desktop Gantt
+ */
+function renderMobileGantt() {
+    const zoom = getGanttZoom();
+    const columns = getGanttColumns(appData.project.startDate, appData.project.endDate, zoom);
+    if (columns.length === 0) {
+        return '<div class="mobile-card"><p>No timeline to show - the sprint ends before it starts</p></div>';
+    }
+    const timelineStart = columns[0].start;
+    const timelineEnd = columns[columns.length - 1].end;
+    const totalDays = countDaysBetween(timelineStart, timelineEnd) + 1;
+    const markers = getGanttMarkers(timelineStart, timelineEnd);
+    const percent = days => `${Math.round((days / totalDays) * 10000) / 100}%`;
+    
+    const tasks = appData.tasks
+        .filter(t => t.startDate && t.endDate && t.endDate >= timelineStart && t.startDate <= timelineEnd)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    
+    const zoomButtons = Object.keys(GANTT_ZOOM_LEVELS).map(level => `
+        <button type="button" class="gantt-zoom-btn${level === zoom ? ' active' : ''}" data-zoom="${level}" aria-pressed="${level === zoom}" onclick="setGanttZoom('${level}')">${GANTT_ZOOM_LEVELS[level].label}</button>
+    `).join('');
+    
+    const headerCells = columns.map(column => {
+        const header = getGanttColumnHeader(column, zoom);
+        return `<div class="mobile-gantt-column${zoom === 'day' && isWeekend(column.start) ? ' weekend' : ''}" style="left: ${percent(countDaysBetween(timelineStart, column.start))}; width: ${percent(column.days)};">
+            <span>${header.title}</span><span class="mobile-gantt-column-sub">${header.subtitle}</span>
+        </div>`;
+    }).join('');
+    
+    const markerLines = markers.map(m => `
+        <div class="gantt-marker is-${m.type}${m.status ? ` milestone-${m.status}` : ''}" style="left: ${percent(countDaysBetween(timelineStart, m.date) + 0.5)};" aria-hidden="true"></div>
+    `).join('');
+    
+    const rows = tasks.map(task => {
+        const visibleStart = task.startDate < timelineStart ? timelineStart : task.startDate;
+        const visibleEnd = task.endDate > timelineEnd ? timelineEnd : task.endDate;
+        const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+        const left = percent(countDaysBetween(timelineStart, visibleStart));
+        return `
+            <div class="mobile-gantt-row" onclick="showTaskDetails('${task.id}')">
+                <span class="mobile-gantt-label" style="left: ${left};">${escapeHtml(task.name)}</span>
+                <div class="mobile-gantt-bar bar-${statusInfo.color}" style="left: ${left}; width: ${percent(countDaysBetween(visibleStart, visibleEnd) + 1)};"></div>
+            </div>`;
+    }).join('');
+    
+    const milestones = markers.filter(m => m.type === 'milestone');
+    
+    return `
+        <div class="mobile-card">
+            <div class="card-header">
+                <h3>Task Timeline</h3>
+                <div class="gantt-zoom-toggle" role="group" aria-label="Timeline zoom">${zoomButtons}</div>
+            </div>
+            <div class="card-content">
+                ${tasks.length === 0 ? '<div class="no-tasks-week">No dated tasks in this sprint</div>' : `
+                <div class="mobile-gantt" role="img" aria-label="Task bars from ${formatDate(timelineStart)} to ${formatDate(timelineEnd)}">
+                    <div class="mobile-gantt-inner" style="width: max(100%, ${totalDays * GANTT_ZOOM_LEVELS[zoom].dayWidth}px);">
+                        <div class="mobile-gantt-header">${headerCells}</div>
+                        <div class="mobile-gantt-body">
+                            ${markerLines}
+                            ${rows}
+                        </div>
+                    </div>
+                </div>`}
+                <div class="mobile-gantt-legend">
+                    ${markers.some(m => m.type === 'today') ? '<span class="mobile-gantt-legend-item is-today">Today</span>' : ''}
+                    ${milestones.map(m => `<span class="mobile-gantt-legend-item is-milestone">${escapeHtml(m.label)}</span>`).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 function renderMobileTimeline() {
     if (!appData.project || !appData.tasks) {
         return '<div class="mobile-card"><p>No timeline data available</p></div>';
@@ -4821,7 +8193,7 @@ function renderMobileTimeline() {
                                     dayOfWeek,
                                     dayNum: date.getDate(),
                                     isToday: dateStr === todayStr,
-                                    isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
+                                    isWeekend: isWeekend(dateStr),
                                     taskCount: loadByDate[dateStr] || 0
                                 });
                             });
@@ -4895,6 +8267,9 @@ function renderMobileTimeline() {
                 </div>
             </div>
             
+            <!-- Task Bars (Day / Week / Month) -->
+            ${renderMobileGantt()}
+            
             <!-- Week-by-Week Task Breakdown -->
             <div class="mobile-card">
                 <div class="card-header">
@@ -4931,7 +8306,7 @@ function renderMobileTimeline() {
                                         ${week.tasks.slice(0, 3).map(task => `
                                             <div class="mini-task status-${normalizeTaskStatus(task.status)}">
                                                 <span class="mini-task-name">${escapeHtml(task.name.substring(0, 30))}${task.name.length > 30 ? '...' : ''}</span>
-                                                <span class="mini-task-owner">${escapeHtml(task.owner || 'Unassigned')}</span>
+                                                <span class="mini-task-owner">${escapeHtml(getTaskOwnerLabel(task))}</span>
                                             </div>
                                         `).join('')}
                                         ${taskCount > 3 ? `<div class="more-tasks">+${taskCount - 3} more</div>` : ''}
@@ -5012,7 +8387,7 @@ function performMobileSearch(query) {
         appData.tasks.forEach(task => {
             const taskName = String(task.name || '').toLowerCase();
             const taskNotes = String(task.notes || '').toLowerCase();
-            const taskOwner = String(task.owner || '').toLowerCase();
+            const taskOwner = `${task.owner || ''} ${getTaskOwnerLabel(task)}`.toLowerCase();
             const taskJiraId = String(task.jiraId || '').toLowerCase();
             
             if (taskName.includes(query) || 
@@ -5023,7 +8398,7 @@ function performMobileSearch(query) {
                     type: 'task',
                     item: task,
                     title: task.name,
-                    subtitle: `Assigned to ${task.owner || 'Unassigned'}`,
+                    subtitle: `Assigned to ${getTaskOwnerLabel(task)}`,
                     section: 'tasks'
                 });
             }
@@ -5151,6 +8526,8 @@ function showTaskDetails(taskId) {
         'low': { label: 'Low', class: 'priority-low' }
     };
     const priority = task.priority ? (priorityMap[task.priority.toLowerCase()] || { label: task.priority, class: 'priority-default' }) : { label: 'Not set', class: 'priority-default' };
+    if (hasCustomPriorities()) priority.label = getTaskPriorityDefinition(task).label;
+    const statusLabel = hasCustomStatuses() ? getTaskStatusDefinition(task).label : (task.status || 'todo');
     
     // Create modal overlay with proper ARIA attributes
     const modal = document.createElement('div');
@@ -5164,7 +8541,7 @@ function showTaskDetails(taskId) {
             <div class="modal-header-modern">
                 <div class="modal-header-top">
                     <div class="modal-badges">
-                        <span class="status-badge-modern status-${normalizedStatus}">${escapeHtml(task.status || 'todo')}</span>
+                        <span class="status-badge-modern status-${normalizedStatus}">${escapeHtml(statusLabel)}</span>
                         <span class="priority-badge-modern ${priority.class}">${escapeHtml(priority.label)}</span>
                     </div>
                     <button class="modal-close-modern" data-action="close" aria-label="Close modal">
@@ -5183,7 +8560,7 @@ function showTaskDetails(taskId) {
                     <div class="info-grid-compact">
                         <div class="info-item">
                             <span class="info-label">Owner</span>
-                            <span class="info-value">${escapeHtml(task.owner || 'Unassigned')}</span>
+                            <span class="info-value">${escapeHtml(getTaskOwnerLabel(task))}</span>
                         </div>
                         ${task.estimatedHours ? `
                         <div class="info-item">
@@ -5215,6 +8592,12 @@ function showTaskDetails(taskId) {
                             <span class="info-value">${escapeHtml(task.assignedBy)}</span>
                         </div>
                         ` : ''}
+                        ${getTaskCustomFieldItems(task).map(({ field, html }) => `
+                        <div class="info-item">
+                            <span class="info-label">${escapeHtml(field.label)}</span>
+                            <span class="info-value">${html}</span>
+                        </div>
+                        `).join('')}
                     </div>
                     
                     <!-- Jira Link -->
@@ -5258,6 +8641,10 @@ function showTaskDetails(taskId) {
                             <p class="blockers-text">${escapeHtml(task.blockers)}</p>
                         </div>
                     ` : ''}
+                    
+                    ${isWriteBackEnabled() ? `
+                        <button class="task-panel-btn task-edit-open-btn" data-action="edit">Edit Task</button>
+                    ` : ''}
                 </div>
             </div>
         </div>
@@ -5265,16 +8652,14 @@ function showTaskDetails(taskId) {
     
     document.body.appendChild(modal);
     
-    // Get all focusable elements within modal for focus trap
-    const focusableElements = modal.querySelectorAll(
-        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
-    
-    // Focus trap handler
+    // Focus trap handler - looks up focusable elements each time, the edit form replaces the content
     const handleFocusTrap = (e) => {
         if (e.key !== 'Tab') return;
+        const focusableElements = modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
         
         if (e.shiftKey) { // Shift + Tab
             if (document.activeElement === firstFocusable) {
@@ -5313,6 +8698,19 @@ function showTaskDetails(taskId) {
     document.addEventListener('keydown', handleEscape);
     document.addEventListener('keydown', handleFocusTrap);
     
+    // Edit: swap the details for the edit form, reopen the modal once saved
+    const editBtn = modal.querySelector('[data-action="edit"]');
+    if (editBtn) {
+        editBtn.addEventListener('click', () => {
+            const content = modal.querySelector('.task-detail-compact');
+            content.innerHTML = renderTaskEditForm(task, 'mobile-task-edit-form');
+            bindTaskEditForm(modal.querySelector('#mobile-task-edit-form'), task, () => {
+                closeBtn.click();
+                if (appData.tasks.some(t => t.id === task.id)) showTaskDetails(task.id);
+            });
+        });
+    }
+    
     // Click outside modal to close (single listener with proper cleanup)
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
@@ -5382,7 +8780,8 @@ function takeDataSnapshot() {
             name: t.name,
             status: t.status,
             completed: t.completed,
-            owner: t.owner,
+            // Owner ids, not names: renaming a member is not a reassignment
+            owners: getTaskOwners(t).map(o => ({ id: o.id, share: o.share })),
             estimatedHours: t.estimatedHours
         })),
         completedCount: appData.tasks.filter(t => t.completed).length,
@@ -5488,8 +8887,9 @@ function computeActivityDiff(oldSnap, newSnap) {
         if (!ot.completed && nt.completed) {
             _activityLog.unshift({ type: 'added', text: `"${nt.name}" was completed ✓`, time: timeStr });
         }
-        if (ot.owner !== nt.owner) {
-            _activityLog.unshift({ type: 'changed', text: `"${nt.name}" reassigned to ${nt.owner}`, time: timeStr });
+        const ownerIds = snapTask => (snapTask.owners || []).map(o => o.id).join(',');
+        if (ownerIds(ot) !== ownerIds(nt)) {
+            _activityLog.unshift({ type: 'changed', text: `"${nt.name}" reassigned to ${getTaskOwnerLabel(nt)}`, time: timeStr });
         }
     });
     
@@ -5557,9 +8957,9 @@ function generateNotifications() {
     
     if (!appData.tasks) return;
     
-    // Overdue tasks (end date past, not completed)
+    // Overdue tasks (end date past, not completed or in a status that counts as done)
     appData.tasks.forEach(task => {
-        if (task.endDate && !task.completed) {
+        if (task.endDate && !task.completed && task.status !== 'completed') {
             const endDate = new Date(task.endDate + 'T00:00:00');
             if (endDate < todayDate) {
                 _notifications.push({
@@ -5615,8 +9015,8 @@ function generateNotifications() {
     if (appData.teamMembers) {
         appData.teamMembers.forEach(member => {
             const sprintBandwidth = getSprintBandwidth(member);
-            const memberTasks = (appData.tasks || []).filter(t => t.owner === member.id);
-            const allocated = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+            const memberTasks = (appData.tasks || []).filter(t => isTaskOwnedBy(t, member.id));
+            const allocated = getMemberAllocatedHours(memberTasks, member.id);
             if (allocated > sprintBandwidth && sprintBandwidth > 0) {
                 _notifications.push({
                     type: 'warning',
@@ -5702,9 +9102,9 @@ function showMemberProfile(memberId) {
     const body = document.getElementById('member-profile-body');
     if (!overlay || !header || !body) return;
     
-    const memberTasks = (appData.tasks || []).filter(t => t.owner === memberId);
+    const memberTasks = (appData.tasks || []).filter(t => isTaskOwnedBy(t, memberId));
     const sprintBandwidth = getSprintBandwidth(member);
-    const allocatedHours = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+    const allocatedHours = getMemberAllocatedHours(memberTasks, member.id);
     const completedTasks = memberTasks.filter(t => t.completed).length;
     const activeTasks = memberTasks.filter(t => !t.completed).length;
     const gradient = getGradientForColorClass(member.colorClass);
@@ -5804,7 +9204,7 @@ function showMemberProfile(memberId) {
     // Daily Load Heatmap
     if (appData.project) {
         const weeklyHours = member.bandwidthHours ?? 40;
-        const hoursPerDay = weeklyHours / WORK_DAYS_PER_WEEK;
+        const hoursPerDay = weeklyHours / getMemberWorkDays(member).length;
         
         // Build leave / half-day lookup sets for quick access
         const leaveSet = new Set(member.leaves || []);
@@ -5814,12 +9214,12 @@ function showMemberProfile(memberId) {
         const dailyAllocation = {};
         memberTasks.forEach(task => {
             if (!task.startDate || !task.endDate) return;
-            const taskDays = getWorkingDays(task.startDate, task.endDate);
+            const taskDays = getWorkingDays(task.startDate, task.endDate, member);
             if (taskDays <= 0) return;
-            const hoursPerTaskDay = (task.estimatedHours || 0) / taskDays;
+            const hoursPerTaskDay = getMemberTaskHours(task, member.id) / taskDays;
             const dates = generateDateRange(task.startDate, task.endDate);
             dates.forEach(d => {
-                if (!isWeekend(d)) {
+                if (isWorkingDay(d, member)) {
                     dailyAllocation[d] = (dailyAllocation[d] || 0) + hoursPerTaskDay;
                 }
             });
@@ -5834,7 +9234,8 @@ function showMemberProfile(memberId) {
                 ${sprintDates.map(d => {
                     const date = new Date(d + 'T00:00:00');
                     const dayNum = date.getDate();
-                    const wkend = isWeekend(d);
+                    const wkend = !isScheduledDay(d, member);
+                    const holiday = wkend ? null : getHoliday(d);
                     const isLeave = leaveSet.has(d);
                     const isHalfDay = !isLeave && halfDaySet.has(d);
                     
@@ -5847,7 +9248,11 @@ function showMemberProfile(memberId) {
                     if (wkend) {
                         level = 0;
                         extraClass = 'is-weekend';
-                        tipSuffix = 'Weekend';
+                        tipSuffix = 'Day off';
+                    } else if (holiday) {
+                        level = 0;
+                        extraClass = 'is-weekend';
+                        tipSuffix = `Holiday — ${escapeHtml(holiday.name)}`;
                     } else if (isLeave) {
                         level = 0;
                         extraClass = 'is-leave';
@@ -5890,10 +9295,10 @@ function showMemberProfile(memberId) {
         <div class="profile-section-title">Tasks (${memberTasks.length})</div>
         ${memberTasks.length === 0 ? '<div style="font-size:0.8rem;color:var(--text-muted);padding:12px 0;">No tasks assigned</div>' :
         memberTasks.map(task => {
-            const statusInfo = getStatusInfo(task.status, task.completed);
-            const dotColor = task.completed ? 'var(--success)' : 
+            const statusInfo = getStatusInfo(task.status, task.completed, task.statusId);
+            const dotColor = statusInfo.hex || (task.completed ? 'var(--success)' : 
                            task.status && task.status.toLowerCase().includes('blocked') ? 'var(--danger)' :
-                           task.status && task.status.toLowerCase().includes('progress') ? 'var(--primary)' : 'var(--gray-400)';
+                           task.status && task.status.toLowerCase().includes('progress') ? 'var(--primary)' : 'var(--gray-400)');
             return `<div class="profile-task-item" onclick="closeMemberProfile(); showDesktopTaskDetail('${task.id}');">
                 <div class="profile-task-dot" style="background: ${dotColor};"></div>
                 <div class="profile-task-name">${escapeHtml(task.name)}</div>
@@ -5921,13 +9326,11 @@ function printTasksList() {
     const ownerFilter   = document.getElementById('desktop-filter-owner')?.value   || 'all';
     const statusFilter  = document.getElementById('desktop-filter-status')?.value  || 'all';
     const priorityFilter= document.getElementById('desktop-filter-priority')?.value|| 'all';
+    const customField   = document.getElementById('desktop-filter-custom-field')?.value || '';
+    const customValue   = document.getElementById('desktop-filter-custom-value')?.value.trim() || '';
     const hideCompleted = document.getElementById('desktop-hide-completed')?.checked || false;
 
-    let tasks = [...(appData.tasks || [])];
-    if (ownerFilter !== 'all')   tasks = tasks.filter(t => t.owner === ownerFilter);
-    if (statusFilter !== 'all')  tasks = tasks.filter(t => normalizeTaskStatus(t.status) === statusFilter);
-    if (priorityFilter !== 'all')tasks = tasks.filter(t => t.priority === priorityFilter);
-    if (hideCompleted)           tasks = tasks.filter(t => !t.completed);
+    const tasks = getDesktopFilteredTasks();
 
     // Build active filter labels for the header
     const filterLabels = [];
@@ -5935,8 +9338,9 @@ function printTasksList() {
         const m = getTeamMember(ownerFilter);
         filterLabels.push(`Owner: ${m ? m.name : ownerFilter}`);
     }
-    if (statusFilter !== 'all')   filterLabels.push(`Status: ${statusFilter}`);
-    if (priorityFilter !== 'all') filterLabels.push(`Priority: ${priorityFilter}`);
+    if (statusFilter !== 'all')   filterLabels.push(`Status: ${getStatusDefinitions().find(def => def.id === statusFilter)?.label || statusFilter}`);
+    if (priorityFilter !== 'all') filterLabels.push(`Priority: ${getPriorityDefinitions().find(def => def.id === priorityFilter)?.label || priorityFilter}`);
+    if (customField && customValue) filterLabels.push(`${getCustomField(customField)?.label || customField}: ${customValue}`);
     if (hideCompleted)            filterLabels.push('Hiding completed');
 
     const sprintName = appData.project?.name || 'Sprint';
@@ -5953,12 +9357,15 @@ function printTasksList() {
     };
 
     const rows = tasks.map(task => {
-        const member = getTeamMember(task.owner);
-        const owner  = member ? member.name : (task.owner || 'Unassigned');
+        const owner  = getTaskOwnerLabel(task);
         const status = normalizeTaskStatus(task.status, task.completed ? 'completed' : 'todo');
-        const pColor = priorityColors[task.priority] || '#6b7280';
-        const sBg    = statusBg[status] || '#f3f4f6';
-        const sFg    = statusFg[status] || '#374151';
+        const statusDef   = getTaskStatusDefinition(task);
+        const priorityDef = getTaskPriorityDefinition(task);
+        const pColor = hasCustomPriorities() ? priorityDef.color : (priorityColors[task.priority] || '#6b7280');
+        const sBg    = hasCustomStatuses() ? `${statusDef.color}26` : (statusBg[status] || '#f3f4f6');
+        const sFg    = hasCustomStatuses() ? statusDef.color : (statusFg[status] || '#374151');
+        const sLabel = hasCustomStatuses() ? escapeHtml(statusDef.label) : status.replace('-',' ');
+        const pLabel = hasCustomPriorities() ? priorityDef.label : (task.priority || 'normal');
         const jiraCell = task.jiraUrl
             ? `<a href="${task.jiraUrl}" style="color:#2563eb;">${escapeHtml(task.jiraId || 'Link')}</a>`
             : (task.jiraId ? escapeHtml(task.jiraId) : '-');
@@ -5972,10 +9379,10 @@ function printTasksList() {
                 </td>
                 <td style="padding:7px 8px;border-bottom:1px solid #e5e7eb;font-size:0.8rem;">${escapeHtml(owner)}</td>
                 <td style="padding:7px 8px;border-bottom:1px solid #e5e7eb;">
-                    <span style="background:${sBg};color:${sFg};padding:2px 7px;border-radius:10px;font-size:0.72rem;font-weight:600;white-space:nowrap;">${status.replace('-',' ')}</span>
+                    <span style="background:${sBg};color:${sFg};padding:2px 7px;border-radius:10px;font-size:0.72rem;font-weight:600;white-space:nowrap;">${sLabel}</span>
                 </td>
                 <td style="padding:7px 8px;border-bottom:1px solid #e5e7eb;">
-                    <span style="color:${pColor};font-weight:600;font-size:0.78rem;">${escapeHtml(task.priority || 'normal')}</span>
+                    <span style="color:${pColor};font-weight:600;font-size:0.78rem;">${escapeHtml(pLabel)}</span>
                 </td>
                 <td style="padding:7px 8px;border-bottom:1px solid #e5e7eb;font-size:0.8rem;text-align:right;">${task.estimatedHours || '-'}h</td>
                 <td style="padding:7px 8px;border-bottom:1px solid #e5e7eb;font-size:0.78rem;white-space:nowrap;">${task.startDate ? formatDate(task.startDate) : '-'}</td>
@@ -6112,8 +9519,8 @@ function applyHeatGlow() {
     
     appData.teamMembers.forEach((member, idx) => {
         const sprintBandwidth = getSprintBandwidth(member);
-        const memberTasks = appData.tasks.filter(t => t.owner === member.id);
-        const allocated = memberTasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const memberTasks = appData.tasks.filter(t => isTaskOwnedBy(t, member.id));
+        const allocated = getMemberAllocatedHours(memberTasks, member.id);
         const ratio = sprintBandwidth > 0 ? allocated / sprintBandwidth : 0;
         
         const heatClass = ratio > 1 ? 'heat-red' : ratio > 0.8 ? 'heat-yellow' : 'heat-green';
@@ -6306,15 +9713,11 @@ function renderEmptyState(container, title, subtitle) {
 
 // --- WIDGET REORDER (drag & drop) ---
 let _widgetOrder = null;
+let _defaultWidgetOrder = null;
 
 function initWidgetReorder() {
     // Restore saved order
-    try {
-        const saved = localStorage.getItem('fmb-widget-order');
-        if (saved) _widgetOrder = JSON.parse(saved);
-    } catch(e) {}
-    
-    if (_widgetOrder) applyWidgetOrder();
+    loadWidgetOrder();
     
     // Make dashboard cards draggable
     const dashboard = document.querySelector('.desktop-section[data-section="dashboard"]');
@@ -6384,10 +9787,30 @@ function saveWidgetOrder() {
     const order = Array.from(cards).map(c => c.id || c.querySelector('h3')?.textContent || '');
     
     try {
-        localStorage.setItem('fmb-widget-order', JSON.stringify(order));
+        localStorage.setItem(workspaceKey('fmb-widget-order'), JSON.stringify(order));
     } catch(e) {}
 }
 
+/**
+ * Load the active workspace's widget order (or the page's original order)
+ */
+function loadWidgetOrder() {
+    const dashboard = document.querySelector('.desktop-section[data-section="dashboard"]');
+    if (dashboard && !_defaultWidgetOrder) {
+        _defaultWidgetOrder = Array.from(dashboard.querySelectorAll('.desktop-card'))
+            .map(c => c.id || c.querySelector('h3')?.textContent || '');
+    }
+    
+    try {
+        const saved = localStorage.getItem(workspaceKey('fmb-widget-order'));
+        _widgetOrder = saved ? JSON.parse(saved) : _defaultWidgetOrder;
+    } catch(e) {
+        _widgetOrder = _defaultWidgetOrder;
+    }
+    
+    if (_widgetOrder) applyWidgetOrder();
+}
+
 function applyWidgetOrder() {
     if (!_widgetOrder) return;
     
@@ -6470,6 +9893,26 @@ window.closeMemberProfile = closeMemberProfile;
 window.toggleNotificationDropdown = toggleNotificationDropdown;
 window.clearNotifications = clearNotifications;
 window.toggleActivityLog = toggleActivityLog;
+window.openWorkspaceManager = openWorkspaceManager;
+window.closeWorkspaceManager = closeWorkspaceManager;
+window.addWorkspaceFromForm = addWorkspaceFromForm;
+window.confirmDeleteWorkspace = confirmDeleteWorkspace;
+window.openDataHealth = openDataHealth;
+window.getStatusDefinitions = getStatusDefinitions;
+window.getPriorityDefinitions = getPriorityDefinitions;
+window.getDesktopFilteredTasks = getDesktopFilteredTasks;
+window.editDesktopTask = editDesktopTask;
+window.discardPendingChanges = discardPendingChanges;
+window.editKanbanWipLimit = editKanbanWipLimit;
+window.setGanttZoom = setGanttZoom;
+window.pushPendingChanges = pushPendingChanges;
+window.openColumnMapping = openColumnMapping;
+window.closeColumnMapping = closeColumnMapping;
+window.saveColumnMappingForm = saveColumnMappingForm;
+window.resetColumnMappingForm = resetColumnMappingForm;
+window.closeDataHealth = closeDataHealth;
+window.refreshPortfolio = refreshPortfolio;
+window.updateOfflineIndicators = updateOfflineIndicators;
 window.closeActivityLog = closeActivityLog;
 window.applyAutoRefresh = applyAutoRefresh;
 window.dismissAutoRefresh = dismissAutoRefresh;
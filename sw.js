@@ -0,0 +1,169 @@
+// =============================================
+// FINDMYBANDWIDTH - SERVICE WORKER
+// Precaches the app shell and keeps the last copy of every sheet
+// request so the tracker opens and shows data without network
+// =============================================
+
+// Bump SHELL_VERSION whenever SHELL_FILES or any of those files change,
+// otherwise installed copies keep serving the old shell
+const SHELL_VERSION = 2;
+const SHELL_CACHE = `fmb-shell-v${SHELL_VERSION}`;
+const DATA_CACHE = 'fmb-data-v1';
+
+const SHELL_FILES = [
+    'index.html',
+    'styles.css',
+    'constants.js',
+    'dataLoader.js',
+    'renderer.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// CORS proxies get a fresh URL every time - nothing to reuse offline
+const UNCACHED_HOSTS = ['corsproxy.io', 'api.allorigins.win', 'cors-anywhere.herokuapp.com'];
+
+// Set on cached sheet responses; dataLoader.js reads it to show "cached data from ..."
+const FETCHED_AT_HEADER = 'X-FMB-Fetched-At';
+
+// Configured CSV/JSON source URLs, sent by dataLoader.js and kept in DATA_CACHE
+// so they survive the worker being stopped; null until read back
+const DATA_SOURCES_KEY = 'fmb-data-sources.json';
+let dataSourceUrls = null;
+const dataSourcesRead = caches.open(DATA_CACHE)
+    .then(cache => cache.match(DATA_SOURCES_KEY))
+    .then(stored => (stored ? stored.json() : []))
+    .catch(() => [])
+    .then(urls => {
+        if (!dataSourceUrls) dataSourceUrls = new Set(urls);
+    });
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('fmb-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http') || UNCACHED_HOSTS.includes(url.hostname)) return;
+
+    if (url.origin === self.location.origin && isShellFile(url)) {
+        // The page itself (with or without ?sheet= parameters) is always index.html
+        event.respondWith(serveShell(request, request.mode === 'navigate' ? 'index.html' : request));
+        return;
+    }
+    if (request.mode === 'navigate') return;
+
+    // Only sheet data is kept; anything else (fonts, Jira links, ...) goes straight to the network
+    if (isGoogleSheetData(url) || (dataSourceUrls && isConfiguredSource(url))) {
+        event.respondWith(serveData(request));
+    } else if (!dataSourceUrls) {
+        // Just woken up: the configured sources aren't read back yet
+        event.respondWith(dataSourcesRead.then(() => (isConfiguredSource(url) ? serveData(request) : fetch(request))));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'data-sources' || !Array.isArray(event.data.urls)) return;
+
+    const urls = event.data.urls.map(getDataCacheKey);
+    dataSourceUrls = new Set(urls);
+    event.waitUntil(caches.open(DATA_CACHE).then(async cache => {
+        await cache.put(DATA_SOURCES_KEY, new Response(JSON.stringify(urls), { headers: { 'Content-Type': 'application/json' } }));
+        // Drop copies of anything that is no longer a data source
+        const keys = await cache.keys();
+        await Promise.all(keys
+            .filter(key => {
+                const url = new URL(key.url);
+                return !url.pathname.endsWith(`/${DATA_SOURCES_KEY}`) && !isGoogleSheetData(url) && !isConfiguredSource(url);
+            })
+            .map(key => cache.delete(key)));
+    }));
+});
+
+function isGoogleSheetData(url) {
+    return url.hostname === 'docs.google.com' && /^\/spreadsheets\/d\/[^/]+\/gviz\/tq$/.test(url.pathname);
+}
+
+function isConfiguredSource(url) {
+    return dataSourceUrls.has(getDataCacheKey(url.toString()));
+}
+
+function isShellFile(url) {
+    const scope = new URL(self.registration.scope);
+    const path = url.pathname.startsWith(scope.pathname) ? url.pathname.slice(scope.pathname.length) : url.pathname;
+    return path === '' || SHELL_FILES.includes(path);
+}
+
+/**
+ * App shell: answer from the cache straight away and update it in the background
+ * @param {Request} request
+ * @param {Request|string} key - Cache entry to read and refresh
+ */
+async function serveShell(request, key) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(key, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(key, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+    return (await network) || Response.error();
+}
+
+/**
+ * Sheet data (gviz CSV and the configured CSV/JSON sources): always try
+ * the network; when it fails, answer with the last copy, marked with the
+ * time it was fetched
+ */
+async function serveData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    const key = getDataCacheKey(request.url);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type !== 'opaque') {
+            const headers = new Headers(response.headers);
+            headers.set(FETCHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(key, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Drop the "_" cache-buster dataLoader.js adds, so every fetch of a sheet shares one entry
+ */
+function getDataCacheKey(requestUrl) {
+    const url = new URL(requestUrl);
+    url.searchParams.delete('_');
+    return url.toString();
+}